@@ -0,0 +1,33 @@
+#!/bin/bash
+
+echo "🔁 Order Payment Index Backfill"
+echo "==============================="
+
+# Rebuilds the order-payments-<orderId> index in payment-service from the
+# stored payment records. Safe to run more than once.
+
+PAYMENT_SERVICE="http://localhost:3004"
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+NC='\033[0m' # No Color
+
+if ! curl -s "$PAYMENT_SERVICE/health" > /dev/null; then
+    echo -e "${RED}❌ Payment service is not responding${NC}"
+    echo "Please make sure all services are running with './scripts/run-services.sh'"
+    exit 1
+fi
+
+response=$(curl -s -w "\n%{http_code}" -X POST "$PAYMENT_SERVICE/admin/order-payments/backfill")
+http_code=$(echo "$response" | tail -n1)
+body=$(echo "$response" | sed '$d')
+
+echo "$body" | jq '.' 2>/dev/null || echo "$body"
+
+if [ "$http_code" -ne 200 ]; then
+    echo -e "${RED}❌ Backfill failed (HTTP $http_code)${NC}"
+    exit 1
+fi
+
+echo -e "${GREEN}✅ Order payment index rebuilt${NC}"
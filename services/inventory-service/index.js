@@ -1,5 +1,21 @@
 const express = require('express');
 const { DaprClient } = require('@dapr/dapr');
+const { ETagConflictError, updateWithETag, addToList } = require('../shared/etag-state');
+const { createOutbox, registerOutboxRoutes } = require('../shared/outbox');
+const { eventConsumer } = require('../shared/event-consumer');
+const { createDeadLetters, registerDeadLetterRoutes } = require('../shared/dead-letters');
+const {
+  WAREHOUSES,
+  DEFAULT_WAREHOUSE,
+  ALLOCATION_STRATEGIES,
+  DEFAULT_ALLOCATION_STRATEGY,
+  withTotals,
+  normalizeInventory,
+  addHold,
+  reduceHold,
+  locationBreakdown
+} = require('./warehouses');
+const { v4: uuidv4 } = require('uuid');
 
 const app = express();
 const port = process.env.PORT || 3005;
@@ -13,11 +29,61 @@ app.use(express.json());
 // State store names
 const INVENTORY_STORE = 'inventory-store';
 
+// Events go through the outbox, committed with the state they announce
+const outbox = createOutbox(daprClient, { storeName: INVENTORY_STORE });
+
+// Event subscriptions skip redelivered events they already handled
+const consumeEvent = eventConsumer(daprClient, { storeName: INVENTORY_STORE });
+
+// Events their handlers keep failing on are dead-lettered and kept for an admin
+const deadLetters = createDeadLetters(daprClient, { storeName: INVENTORY_STORE, service: 'inventory-service', appPort: port });
+
+// Order reservation statuses
+const RESERVATION_STATUS = {
+  RESERVED: 'reserved',
+  REJECTED: 'rejected',
+  RELEASED: 'released',
+  FULFILLED: 'fulfilled',
+  EXPIRED: 'expired'
+};
+
+// Reservation holds expire unless the order is fulfilled or released first
+const RESERVATION_TTL_SECONDS = parseInt(process.env.RESERVATION_TTL_SECONDS) || 15 * 60;
+const RESERVATION_SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// Key holding the IDs of all products with an inventory record
+const INVENTORY_LIST_KEY = 'inventory-list';
+
+// Transfer statuses
+const TRANSFER_STATUS = {
+  IN_TRANSIT: 'in_transit',
+  COMPLETED: 'completed'
+};
+
+// Condition of returned units: sellable units go back on sale, quarantined
+// units are kept off sale for inspection
+const RESTOCK_CONDITIONS = {
+  SELLABLE: 'sellable',
+  QUARANTINED: 'quarantined'
+};
+
 // Sample inventory data
 const sampleInventory = [
-  { productId: '1', quantity: 10, reserved: 0, location: 'Warehouse-A', reorderLevel: 5 },
-  { productId: '2', quantity: 25, reserved: 0, location: 'Warehouse-A', reorderLevel: 10 },
-  { productId: '3', quantity: 50, reserved: 0, location: 'Warehouse-B', reorderLevel: 20 }
+  {
+    productId: '1',
+    locations: { 'Warehouse-A': { quantity: 6, reserved: 0 }, 'Warehouse-B': { quantity: 4, reserved: 0 } },
+    reorderLevel: 5
+  },
+  {
+    productId: '2',
+    locations: { 'Warehouse-A': { quantity: 25, reserved: 0 } },
+    reorderLevel: 10
+  },
+  {
+    productId: '3',
+    locations: { 'Warehouse-B': { quantity: 30, reserved: 0 }, 'Warehouse-C': { quantity: 20, reserved: 0 } },
+    reorderLevel: 20
+  }
 ];
 
 // Initialize sample data
@@ -29,13 +95,22 @@ async function initializeSampleData() {
       
       const stateOperations = sampleInventory.map(item => ({
         key: item.productId,
-        value: {
+        value: withTotals({
           ...item,
+          holds: {},
           lastUpdated: new Date().toISOString()
-        }
+        })
       }));
       
       await daprClient.state.save(INVENTORY_STORE, stateOperations);
+
+      await daprClient.state.save(INVENTORY_STORE, [
+        {
+          key: INVENTORY_LIST_KEY,
+          value: sampleInventory.map(item => item.productId)
+        }
+      ]);
+
       console.log('Sample inventory data initialized successfully');
     }
   } catch (error) {
@@ -43,6 +118,330 @@ async function initializeSampleData() {
   }
 }
 
+async function getInventoryProductIds() {
+  return await daprClient.state.get(INVENTORY_STORE, INVENTORY_LIST_KEY) ||
+    sampleInventory.map(item => item.productId);
+}
+
+// Stock totals attached to stock events so consumers can keep a read model
+function stockLevel(inventory) {
+  return {
+    quantity: inventory.quantity,
+    reserved: inventory.reserved,
+    available: inventory.quantity - inventory.reserved,
+    asOf: inventory.lastUpdated
+  };
+}
+
+// Active (unexpired) holds of an inventory record
+function activeHolds(inventory, now = new Date()) {
+  return Object.entries(inventory.holds || {})
+    .filter(([, hold]) => new Date(hold.expiresAt) > now)
+    .map(([orderId, hold]) => ({ orderId, ...hold }));
+}
+
+// Release holds whose TTL has passed and tell other services about it
+async function releaseExpiredHolds() {
+  const now = new Date();
+  const productIds = await getInventoryProductIds();
+  const expiredOrders = new Set();
+
+  for (const productId of productIds) {
+    let expired = [];
+
+    const { saved } = await outbox.update(productId, current => {
+      const record = normalizeInventory(current);
+      expired = Object.entries((record && record.holds) || {})
+        .filter(([, hold]) => new Date(hold.expiresAt) <= now);
+
+      if (expired.length === 0) {
+        return undefined;
+      }
+
+      return expired.reduce(
+        (updated, [orderId, hold]) => reduceHold(updated, orderId, hold.quantity, false).inventory,
+        record
+      );
+    }, inventory => expired.map(([orderId, hold]) => ({
+      topic: 'inventory-released',
+      data: {
+        productId,
+        quantity: hold.quantity,
+        orderId,
+        availableQuantity: inventory.quantity - inventory.reserved,
+        reason: 'expired',
+        stockLevel: stockLevel(inventory)
+      }
+    })));
+
+    if (!saved) {
+      continue;
+    }
+
+    for (const [orderId, hold] of expired) {
+      expiredOrders.add(orderId);
+      console.log(`Reservation expired: ${hold.quantity} units of product ${productId} for order ${orderId}`);
+    }
+  }
+
+  for (const orderId of expiredOrders) {
+    const reservation = await daprClient.state.get(INVENTORY_STORE, reservationKey(orderId));
+    if (reservation && reservation.status === RESERVATION_STATUS.RESERVED) {
+      reservation.status = RESERVATION_STATUS.EXPIRED;
+      reservation.expiredAt = now.toISOString();
+      await saveOrderReservation(reservation);
+    }
+  }
+}
+
+// Order reservations are stored next to the stock records, keyed by order
+function reservationKey(orderId) {
+  return `reservation-${orderId}`;
+}
+
+// Save an order reservation together with the events announcing it
+async function saveOrderReservation(reservation, events = []) {
+  reservation.updatedAt = new Date().toISOString();
+  await outbox.save([
+    {
+      key: reservationKey(reservation.orderId),
+      value: reservation
+    }
+  ], events);
+}
+
+// Run a stock action (reserve, release, fulfill) through the product endpoints
+async function postInventoryAction(productId, action, quantity, orderId, options = {}) {
+  const response = await fetch(`http://localhost:${port}/inventory/${productId}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...options, quantity, orderId })
+  });
+
+  const result = await response.json();
+  return { ok: response.ok, status: response.status, result };
+}
+
+// Events announcing units of an order given back from a product's hold
+function releasedEvents(productId, quantity, orderId, taken, inventory) {
+  return [
+    {
+      topic: 'inventory-released',
+      data: {
+        productId,
+        quantity,
+        orderId,
+        locations: taken,
+        availableQuantity: inventory.quantity - inventory.reserved,
+        stockLevel: stockLevel(inventory)
+      }
+    }
+  ];
+}
+
+// Events announcing units of an order shipped out of a product's stock
+function fulfilledEvents(productId, quantity, orderId, taken, inventory) {
+  const events = [];
+
+  // Check if reorder is needed
+  if (inventory.quantity <= inventory.reorderLevel) {
+    events.push({
+      topic: 'reorder-needed',
+      data: {
+        productId,
+        currentQuantity: inventory.quantity,
+        reorderLevel: inventory.reorderLevel,
+        suggestedReorderQuantity: inventory.reorderLevel * 3
+      }
+    });
+  }
+
+  events.push({
+    topic: 'order-fulfilled',
+    data: {
+      productId,
+      quantity,
+      orderId,
+      shippedFrom: taken,
+      remainingQuantity: inventory.quantity,
+      stockLevel: stockLevel(inventory)
+    }
+  });
+  return events;
+}
+
+// Release every item held for an order. The holds are given back in one
+// transaction with the reservation record; units whose hold already expired
+// were given back by the sweep. Releasing an order that has no reservation
+// yet leaves a marker so a late reserve request is ignored; the marker is
+// only written while no reservation exists.
+async function releaseOrderReservation(orderId, reason) {
+  const key = reservationKey(orderId);
+  const reservation = await daprClient.state.get(INVENTORY_STORE, key);
+
+  if (reservation && reservation.status !== RESERVATION_STATUS.RESERVED) {
+    return reservation;
+  }
+
+  const productIds = reservation ? [...new Set(reservation.items.map(item => item.productId))] : [];
+  let changed = false;
+  let events = [];
+
+  const { saved, values } = await outbox.updateKeys([key, ...productIds], current => {
+    const existing = current[key];
+    const now = new Date().toISOString();
+    changed = Boolean(existing) !== Boolean(reservation);
+    events = [];
+
+    if (changed || (existing && existing.status !== RESERVATION_STATUS.RESERVED)) {
+      return undefined;
+    }
+
+    if (!existing) {
+      return {
+        [key]: {
+          orderId,
+          status: RESERVATION_STATUS.RELEASED,
+          items: [],
+          reason,
+          createdAt: now,
+          updatedAt: now
+        }
+      };
+    }
+
+    const inventories = {};
+    for (const item of existing.items) {
+      const inventory = inventories[item.productId] || normalizeInventory(current[item.productId]);
+      const hold = inventory && inventory.holds[orderId];
+      const quantity = Math.min(parseInt(item.quantity), hold ? hold.quantity : 0);
+      if (quantity === 0) {
+        continue;
+      }
+
+      const released = reduceHold(inventory, orderId, quantity, false);
+      inventories[item.productId] = released.inventory;
+      events.push(...releasedEvents(item.productId, quantity, orderId, released.taken, released.inventory));
+    }
+
+    return {
+      ...inventories,
+      [key]: {
+        ...existing,
+        status: RESERVATION_STATUS.RELEASED,
+        reason,
+        releasedAt: now,
+        updatedAt: now
+      }
+    };
+  }, () => events);
+
+  // A reservation was made meanwhile: release that one instead
+  if (changed) {
+    return releaseOrderReservation(orderId, reason);
+  }
+
+  if (saved && reservation) {
+    console.log(`Order reservation released: ${orderId}`);
+  }
+  return values[key];
+}
+
+// Ship the items of an order out of its holds, in one transaction with the
+// reservation record and the order-level outcome (used to capture two-phase
+// payments). Items without a hold covering them are reported as unfulfilled.
+// Orders shipped without a reservation get a fulfilled one, so redeliveries
+// replay the outcome instead of shipping again.
+async function fulfillOrderReservation(orderId, orderItems) {
+  const key = reservationKey(orderId);
+  const reservation = await daprClient.state.get(INVENTORY_STORE, key);
+
+  if (reservation && reservation.status === RESERVATION_STATUS.FULFILLED) {
+    // Redelivered: repeat the outcome so a missed capture can still happen,
+    // committed with a note on the reservation
+    const { value } = await outbox.update(key, current => current && {
+      ...current,
+      redeliveredAt: new Date().toISOString()
+    }, current => [
+      {
+        topic: 'order-inventory-fulfilled',
+        data: {
+          orderId,
+          items: current.fulfilledItems || current.items,
+          failedItems: current.unfulfilledItems || []
+        }
+      }
+    ]);
+    return value;
+  }
+
+  const items = reservation ? reservation.items : orderItems;
+  const productIds = [...new Set(items.map(item => item.productId))];
+  let changed = false;
+  let events = [];
+
+  const { values } = await outbox.updateKeys([key, ...productIds], current => {
+    const existing = current[key];
+    const now = new Date().toISOString();
+    changed = (existing && existing.status) !== (reservation && reservation.status);
+    events = [];
+
+    if (changed) {
+      return undefined;
+    }
+
+    const inventories = {};
+    const fulfilledItems = [];
+    const unfulfilledItems = [];
+    for (const item of items) {
+      const quantity = parseInt(item.quantity);
+      const inventory = inventories[item.productId] || normalizeInventory(current[item.productId]);
+      const hold = inventory && inventory.holds[orderId];
+
+      if (!hold || hold.quantity < quantity) {
+        unfulfilledItems.push({ productId: item.productId, quantity: item.quantity });
+        continue;
+      }
+
+      const shipped = reduceHold(inventory, orderId, quantity, true);
+      inventories[item.productId] = shipped.inventory;
+      fulfilledItems.push({ productId: item.productId, quantity: item.quantity });
+      events.push(...fulfilledEvents(item.productId, quantity, orderId, shipped.taken, shipped.inventory));
+    }
+
+    events.push({
+      topic: 'order-inventory-fulfilled',
+      data: { orderId, items: fulfilledItems, failedItems: unfulfilledItems }
+    });
+
+    return {
+      ...inventories,
+      [key]: {
+        ...(existing || {
+          orderId,
+          items: items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+          createdAt: now
+        }),
+        status: RESERVATION_STATUS.FULFILLED,
+        fulfilledItems,
+        unfulfilledItems,
+        fulfilledAt: now,
+        updatedAt: now
+      }
+    };
+  }, () => events);
+
+  // The reservation changed meanwhile: fulfill it as it is now
+  if (changed) {
+    return fulfillOrderReservation(orderId, orderItems);
+  }
+
+  for (const item of values[key].unfulfilledItems) {
+    console.error(`Failed to fulfill inventory for product ${item.productId}`);
+  }
+  return values[key];
+}
+
 // API Endpoints
 
 // Get inventory for a product
@@ -50,16 +449,18 @@ app.get('/inventory/:productId', async (req, res) => {
   try {
     const { productId } = req.params;
     
-    const inventory = await daprClient.state.get(INVENTORY_STORE, productId);
+    const inventory = normalizeInventory(await daprClient.state.get(INVENTORY_STORE, productId));
     
     if (!inventory) {
       return res.status(404).json({ error: 'Inventory not found for product' });
     }
     
+    // Aggregate availability across warehouses plus the per-warehouse breakdown
     res.json({
       productId,
       ...inventory,
-      available: inventory.quantity - inventory.reserved
+      available: inventory.quantity - inventory.reserved,
+      locations: locationBreakdown(inventory)
     });
   } catch (error) {
     console.error('Error getting inventory:', error);
@@ -68,66 +469,101 @@ app.get('/inventory/:productId', async (req, res) => {
 });
 
 // Update inventory
+// Sets the stock of one warehouse (`location` + `quantity`) or of several (`locations`)
 app.put('/inventory/:productId', async (req, res) => {
   try {
     const { productId } = req.params;
-    const { quantity, location, reorderLevel } = req.body;
+    const { quantity, location = DEFAULT_WAREHOUSE, locations, reorderLevel } = req.body;
     
-    const existingInventory = await daprClient.state.get(INVENTORY_STORE, productId);
+    const stockUpdates = locations ||
+      (quantity !== undefined ? { [location]: quantity } : {});
     
-    if (!existingInventory) {
-      // Create new inventory record
-      const newInventory = {
+    const unknownLocations = Object.keys(stockUpdates).filter(name => !WAREHOUSES[name]);
+    if (unknownLocations.length > 0) {
+      return res.status(400).json({
+        error: 'Unknown warehouse',
+        unknownLocations,
+        validLocations: Object.keys(WAREHOUSES)
+      });
+    }
+
+    let created = false;
+    let rejection;
+
+    const { saved, value: inventory } = await outbox.update(productId, current => {
+      rejection = undefined;
+      created = !current;
+
+      // Create new inventory record or update the existing one
+      const existingInventory = normalizeInventory(current) || {
         productId,
-        quantity: parseInt(quantity) || 0,
-        reserved: 0,
-        location: location || 'Warehouse-A',
-        reorderLevel: parseInt(reorderLevel) || 5,
-        lastUpdated: new Date().toISOString()
+        locations: {},
+        reorderLevel: 5,
+        holds: {}
       };
       
-      await daprClient.state.save(INVENTORY_STORE, [
-        {
-          key: productId,
-          value: newInventory
+      const updatedLocations = { ...existingInventory.locations };
+      for (const [name, newQuantity] of Object.entries(stockUpdates)) {
+        const stock = updatedLocations[name] || { quantity: 0, reserved: 0 };
+
+        if (parseInt(newQuantity) < stock.reserved) {
+          rejection = {
+            error: 'Quantity cannot be lower than the reserved amount',
+            location: name,
+            reserved: stock.reserved,
+            requested: parseInt(newQuantity)
+          };
+          return undefined;
         }
-      ]);
+
+        updatedLocations[name] = { ...stock, quantity: parseInt(newQuantity) || 0 };
+      }
       
-      console.log(`New inventory created for product: ${productId}`);
-      res.status(201).json(newInventory);
-    } else {
-      // Update existing inventory
-      const updatedInventory = {
+      return withTotals({
         ...existingInventory,
-        quantity: quantity !== undefined ? parseInt(quantity) : existingInventory.quantity,
-        location: location || existingInventory.location,
+        locations: updatedLocations,
         reorderLevel: reorderLevel !== undefined ? parseInt(reorderLevel) : existingInventory.reorderLevel,
         lastUpdated: new Date().toISOString()
-      };
-      
-      await daprClient.state.save(INVENTORY_STORE, [
-        {
-          key: productId,
-          value: updatedInventory
+      });
+    }, updated => [
+      {
+        topic: 'inventory-updated',
+        data: {
+          productId,
+          newStock: updated.quantity,
+          locations: locationBreakdown(updated),
+          stockLevel: stockLevel(updated)
         }
-      ]);
-      
-      console.log(`Inventory updated for product: ${productId}`);
+      }
+    ]);
+
+    if (rejection) {
+      return res.status(409).json(rejection);
+    }
+
+    if (saved && created) {
+      await addToList(daprClient, INVENTORY_STORE, INVENTORY_LIST_KEY, productId);
       
-      // Publish inventory updated event
-      await daprClient.pubsub.publish('order-pubsub', 'inventory-updated', {
-        productId,
-        newStock: updatedInventory.quantity,
-        location: updatedInventory.location
-      });
+      console.log(`New inventory created for product: ${productId}`);
       
-      res.json({
-        productId,
-        ...updatedInventory,
-        available: updatedInventory.quantity - updatedInventory.reserved
+      return res.status(201).json({
+        ...inventory,
+        locations: locationBreakdown(inventory)
       });
     }
+
+    console.log(`Inventory updated for product: ${productId}`);
+
+    res.json({
+      productId,
+      ...inventory,
+      available: inventory.quantity - inventory.reserved,
+      locations: locationBreakdown(inventory)
+    });
   } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Inventory is being updated concurrently, please retry' });
+    }
     console.error('Error updating inventory:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -137,57 +573,89 @@ app.put('/inventory/:productId', async (req, res) => {
 app.post('/inventory/:productId/reserve', async (req, res) => {
   try {
     const { productId } = req.params;
-    const { quantity, orderId } = req.body;
+    const {
+      quantity,
+      orderId,
+      ttlSeconds = RESERVATION_TTL_SECONDS,
+      allocationStrategy = DEFAULT_ALLOCATION_STRATEGY,
+      shippingAddress
+    } = req.body;
     
     if (!quantity || quantity <= 0) {
       return res.status(400).json({ error: 'Valid quantity is required' });
     }
     
-    const inventory = await daprClient.state.get(INVENTORY_STORE, productId);
-    
-    if (!inventory) {
-      return res.status(404).json({ error: 'Inventory not found for product' });
+    if (!ALLOCATION_STRATEGIES[allocationStrategy]) {
+      return res.status(400).json({
+        error: 'Invalid allocation strategy',
+        validStrategies: Object.keys(ALLOCATION_STRATEGIES)
+      });
     }
     
-    const available = inventory.quantity - inventory.reserved;
-    
-    if (available < quantity) {
-      return res.status(400).json({ 
-        error: 'Insufficient inventory',
-        available,
-        requested: quantity
-      });
+    if (!orderId) {
+      return res.status(400).json({ error: 'Order ID is required to hold inventory' });
     }
     
-    // Reserve the inventory
-    inventory.reserved += parseInt(quantity);
-    inventory.lastUpdated = new Date().toISOString();
+    let rejection;
     
-    await daprClient.state.save(INVENTORY_STORE, [
+    // The ETag makes sure two orders cannot both take the last units
+    const { value: inventory } = await outbox.update(productId, stored => {
+      rejection = undefined;
+      const current = normalizeInventory(stored);
+
+      if (!current) {
+        rejection = { status: 404, body: { error: 'Inventory not found for product' } };
+        return undefined;
+      }
+
+      // Reserve the inventory in the allocated warehouses and record the hold for the order
+      const held = addHold(current, orderId, parseInt(quantity), { ttlSeconds, strategy: allocationStrategy, shippingAddress });
+
+      if (!held) {
+        rejection = {
+          status: 400,
+          body: {
+            error: 'Insufficient inventory',
+            available: current.quantity - current.reserved,
+            requested: quantity
+          }
+        };
+        return undefined;
+      }
+
+      return held.inventory;
+    }, updated => [
       {
-        key: productId,
-        value: inventory
+        topic: 'inventory-reserved',
+        data: {
+          productId,
+          quantity: parseInt(quantity),
+          orderId,
+          remainingAvailable: updated.quantity - updated.reserved,
+          stockLevel: stockLevel(updated)
+        }
       }
     ]);
     
-    console.log(`Inventory reserved: ${quantity} units of product ${productId} for order ${orderId}`);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
     
-    // Publish inventory reserved event
-    await daprClient.pubsub.publish('order-pubsub', 'inventory-reserved', {
-      productId,
-      quantity: parseInt(quantity),
-      orderId,
-      remainingAvailable: inventory.quantity - inventory.reserved
-    });
+    console.log(`Inventory reserved: ${quantity} units of product ${productId} for order ${orderId}`);
     
     res.json({
       message: 'Inventory reserved successfully',
       productId,
       reservedQuantity: parseInt(quantity),
       remainingAvailable: inventory.quantity - inventory.reserved,
-      orderId
+      orderId,
+      allocations: inventory.holds[orderId].allocations,
+      expiresAt: inventory.holds[orderId].expiresAt
     });
   } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Inventory is being updated concurrently, please retry' });
+    }
     console.error('Error reserving inventory:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -203,49 +671,57 @@ app.post('/inventory/:productId/release', async (req, res) => {
       return res.status(400).json({ error: 'Valid quantity is required' });
     }
     
-    const inventory = await daprClient.state.get(INVENTORY_STORE, productId);
+    let rejection;
     
-    if (!inventory) {
-      return res.status(404).json({ error: 'Inventory not found for product' });
-    }
-    
-    if (inventory.reserved < quantity) {
-      return res.status(400).json({ 
-        error: 'Cannot release more than reserved',
-        reserved: inventory.reserved,
-        requested: quantity
-      });
-    }
-    
-    // Release the reserved inventory
-    inventory.reserved -= parseInt(quantity);
-    inventory.lastUpdated = new Date().toISOString();
+    let taken;
     
-    await daprClient.state.save(INVENTORY_STORE, [
-      {
-        key: productId,
-        value: inventory
+    const { value: inventory } = await outbox.update(productId, stored => {
+      rejection = undefined;
+      const current = normalizeInventory(stored);
+
+      if (!current) {
+        rejection = { status: 404, body: { error: 'Inventory not found for product' } };
+        return undefined;
       }
-    ]);
+
+      const hold = current.holds[orderId];
+
+      if (!hold || hold.quantity < quantity) {
+        rejection = {
+          status: 400,
+          body: {
+            error: 'Cannot release more than reserved for order',
+            reserved: hold ? hold.quantity : 0,
+            requested: quantity
+          }
+        };
+        return undefined;
+      }
+
+      // Release the reserved inventory
+      const result = reduceHold(current, orderId, parseInt(quantity), false);
+      taken = result.taken;
+      return result.inventory;
+    }, updated => releasedEvents(productId, parseInt(quantity), orderId, taken, updated));
     
-    console.log(`Inventory released: ${quantity} units of product ${productId} for order ${orderId}`);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
     
-    // Publish inventory released event
-    await daprClient.pubsub.publish('order-pubsub', 'inventory-released', {
-      productId,
-      quantity: parseInt(quantity),
-      orderId,
-      availableQuantity: inventory.quantity - inventory.reserved
-    });
+    console.log(`Inventory released: ${quantity} units of product ${productId} for order ${orderId}`);
     
     res.json({
       message: 'Inventory released successfully',
       productId,
       releasedQuantity: parseInt(quantity),
+      releasedFrom: taken,
       availableQuantity: inventory.quantity - inventory.reserved,
       orderId
     });
   } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Inventory is being updated concurrently, please retry' });
+    }
     console.error('Error releasing inventory:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -261,61 +737,412 @@ app.post('/inventory/:productId/fulfill', async (req, res) => {
       return res.status(400).json({ error: 'Valid quantity is required' });
     }
     
-    const inventory = await daprClient.state.get(INVENTORY_STORE, productId);
+    let rejection;
+
+    let taken;
+
+    const { value: inventory } = await outbox.update(productId, stored => {
+      rejection = undefined;
+      const current = normalizeInventory(stored);
+
+      if (!current) {
+        rejection = { status: 404, body: { error: 'Inventory not found for product' } };
+        return undefined;
+      }
+
+      const hold = current.holds[orderId];
+
+      if (!hold || hold.quantity < quantity) {
+        rejection = {
+          status: 400,
+          body: {
+            error: 'Cannot fulfill more than reserved for order',
+            reserved: hold ? hold.quantity : 0,
+            requested: quantity
+          }
+        };
+        return undefined;
+      }
+
+      // Fulfill the order by reducing both reserved and total quantity
+      const result = reduceHold(current, orderId, parseInt(quantity), true);
+      taken = result.taken;
+      return result.inventory;
+    }, updated => fulfilledEvents(productId, parseInt(quantity), orderId, taken, updated));
+
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    console.log(`Order fulfilled: ${quantity} units of product ${productId} for order ${orderId}`);
+
+    res.json({
+      message: 'Order fulfilled successfully',
+      productId,
+      fulfilledQuantity: parseInt(quantity),
+      shippedFrom: taken,
+      remainingQuantity: inventory.quantity,
+      orderId
+    });
+  } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Inventory is being updated concurrently, please retry' });
+    }
+    console.error('Error fulfilling order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List active reservation holds for a product
+app.get('/inventory/:productId/reservations', async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const inventory = normalizeInventory(await daprClient.state.get(INVENTORY_STORE, productId));
     
     if (!inventory) {
       return res.status(404).json({ error: 'Inventory not found for product' });
     }
     
-    if (inventory.reserved < quantity) {
-      return res.status(400).json({ 
-        error: 'Cannot fulfill more than reserved',
-        reserved: inventory.reserved,
-        requested: quantity
-      });
+    const reservations = activeHolds(inventory);
+
+    res.json({
+      productId,
+      reservations,
+      totalHeld: reservations.reduce((sum, hold) => sum + hold.quantity, 0),
+      reserved: inventory.reserved
+    });
+  } catch (error) {
+    console.error('Error getting reservations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the reservation held for an order
+app.get('/inventory/orders/:orderId/reservation', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const reservation = await daprClient.state.get(INVENTORY_STORE, reservationKey(orderId));
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found for order' });
     }
     
-    // Fulfill the order by reducing both reserved and total quantity
-    inventory.quantity -= parseInt(quantity);
-    inventory.reserved -= parseInt(quantity);
-    inventory.lastUpdated = new Date().toISOString();
-    
-    await daprClient.state.save(INVENTORY_STORE, [
-      {
-        key: productId,
-        value: inventory
-      }
-    ]);
-    
-    console.log(`Order fulfilled: ${quantity} units of product ${productId} for order ${orderId}`);
+    res.json(reservation);
+  } catch (error) {
+    console.error('Error getting order reservation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Release every item reserved for an order
+app.post('/inventory/orders/:orderId/release', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
     
-    // Check if reorder is needed
-    if (inventory.quantity <= inventory.reorderLevel) {
-      await daprClient.pubsub.publish('order-pubsub', 'reorder-needed', {
-        productId,
-        currentQuantity: inventory.quantity,
-        reorderLevel: inventory.reorderLevel,
-        suggestedReorderQuantity: inventory.reorderLevel * 3
+    const reservation = await releaseOrderReservation(orderId, reason);
+
+    res.json({
+      message: 'Order reservation released',
+      reservation
+    });
+  } catch (error) {
+    console.error('Error releasing order reservation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Transfer records are stored next to the stock records, keyed by transfer
+function transferKey(transferId) {
+  return `transfer-${transferId}`;
+}
+
+// Start a stock transfer between warehouses. The stock leaves the source
+// warehouse immediately and is in transit until the transfer is received.
+app.post('/inventory/:productId/transfers', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { from, to, quantity } = req.body;
+
+    if (!WAREHOUSES[from] || !WAREHOUSES[to] || from === to) {
+      return res.status(400).json({
+        error: 'Valid and different source and destination warehouses are required',
+        validLocations: Object.keys(WAREHOUSES)
       });
     }
     
-    // Publish order fulfilled event
-    await daprClient.pubsub.publish('order-pubsub', 'order-fulfilled', {
+    if (!quantity || quantity <= 0) {
+      return res.status(400).json({ error: 'Valid quantity is required' });
+    }
+
+    let rejection;
+
+    const transfer = {
+      id: uuidv4(),
       productId,
+      from,
+      to,
       quantity: parseInt(quantity),
-      orderId,
-      remainingQuantity: inventory.quantity
+      status: TRANSFER_STATUS.IN_TRANSIT,
+      createdAt: new Date().toISOString()
+    };
+
+    // The transfer record is saved in the same transaction as the stock it takes
+    await outbox.update(productId, stored => {
+      rejection = undefined;
+      const current = normalizeInventory(stored);
+
+      if (!current) {
+        rejection = { status: 404, body: { error: 'Inventory not found for product' } };
+        return undefined;
+      }
+
+      const source = current.locations[from] || { quantity: 0, reserved: 0 };
+      const available = source.quantity - source.reserved;
+
+      if (available < quantity) {
+        rejection = {
+          status: 400,
+          body: {
+            error: 'Insufficient available stock in source warehouse',
+            location: from,
+            available,
+            requested: parseInt(quantity)
+          }
+        };
+        return undefined;
+      }
+
+      return withTotals({
+        ...current,
+        locations: {
+          ...current.locations,
+          [from]: { ...source, quantity: source.quantity - parseInt(quantity) }
+        },
+        lastUpdated: new Date().toISOString()
+      });
+    }, updated => [
+      {
+        topic: 'inventory-transfer-started',
+        data: {
+          ...transfer,
+          stockLevel: stockLevel(updated)
+        }
+      }
+    ], {
+      operations: [{ operation: 'upsert', request: { key: transferKey(transfer.id), value: transfer } }]
     });
     
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    console.log(`Transfer ${transfer.id} started: ${transfer.quantity} units of product ${productId} from ${from} to ${to}`);
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Inventory is being updated concurrently, please retry' });
+    }
+    console.error('Error starting transfer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a stock transfer
+app.get('/inventory/transfers/:transferId', async (req, res) => {
+  try {
+    const { transferId } = req.params;
+
+    const transfer = await daprClient.state.get(INVENTORY_STORE, transferKey(transferId));
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    res.json(transfer);
+  } catch (error) {
+    console.error('Error getting transfer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Receive an in-transit transfer into the destination warehouse
+app.post('/inventory/transfers/:transferId/receive', async (req, res) => {
+  try {
+    const { transferId } = req.params;
+
+    let rejection;
+
+    const { saved, value: transfer } = await updateWithETag(daprClient, INVENTORY_STORE, transferKey(transferId), current => {
+      rejection = undefined;
+
+      if (!current) {
+        rejection = { status: 404, body: { error: 'Transfer not found' } };
+        return undefined;
+      }
+
+      if (current.status !== TRANSFER_STATUS.IN_TRANSIT) {
+        rejection = { status: 409, body: { error: 'Transfer is not in transit', status: current.status } };
+        return undefined;
+      }
+
+      return {
+        ...current,
+        status: TRANSFER_STATUS.COMPLETED,
+        receivedAt: new Date().toISOString()
+      };
+    });
+
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    // Only the request that completed the transfer adds the stock
+    if (saved) {
+      await outbox.update(transfer.productId, stored => {
+        const current = normalizeInventory(stored);
+        const destination = current.locations[transfer.to] || { quantity: 0, reserved: 0 };
+
+        return withTotals({
+          ...current,
+          locations: {
+            ...current.locations,
+            [transfer.to]: { ...destination, quantity: destination.quantity + transfer.quantity }
+          },
+          lastUpdated: new Date().toISOString()
+        });
+      }, updated => [
+        {
+          topic: 'inventory-transfer-completed',
+          data: {
+            ...transfer,
+            stockLevel: stockLevel(updated)
+          }
+        }
+      ]);
+
+      console.log(`Transfer ${transferId} received at ${transfer.to}`);
+    }
+
+    res.json(transfer);
+  } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Inventory is being updated concurrently, please retry' });
+    }
+    console.error('Error receiving transfer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Put the returned units of a product back into a warehouse. Sellable units
+// are available again right away, quarantined units are kept off sale. Units
+// of a return are only restocked once.
+// Body: { returnId, orderId, quantity, condition, location }
+app.post('/inventory/:productId/restock', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { returnId, orderId, quantity, condition = RESTOCK_CONDITIONS.SELLABLE, location = DEFAULT_WAREHOUSE } = req.body;
+
+    if (!returnId) {
+      return res.status(400).json({ error: 'Return ID is required' });
+    }
+
+    if (!quantity || quantity <= 0) {
+      return res.status(400).json({ error: 'Valid quantity is required' });
+    }
+
+    if (!Object.values(RESTOCK_CONDITIONS).includes(condition)) {
+      return res.status(400).json({
+        error: 'Invalid condition',
+        validConditions: Object.values(RESTOCK_CONDITIONS)
+      });
+    }
+
+    if (!WAREHOUSES[location]) {
+      return res.status(400).json({
+        error: 'Unknown warehouse',
+        validLocations: Object.keys(WAREHOUSES)
+      });
+    }
+
+    let rejection;
+    let duplicate = false;
+
+    const { value: inventory } = await outbox.update(productId, stored => {
+      rejection = undefined;
+      duplicate = false;
+      const current = normalizeInventory(stored);
+
+      if (!current) {
+        rejection = { status: 404, body: { error: 'Inventory not found for product' } };
+        return undefined;
+      }
+
+      if ((current.restocks || {})[returnId]) {
+        duplicate = true;
+        return undefined;
+      }
+
+      const now = new Date().toISOString();
+      const units = parseInt(quantity);
+      const stock = current.locations[location] || { quantity: 0, reserved: 0 };
+      const sellable = condition === RESTOCK_CONDITIONS.SELLABLE;
+      const quarantined = { ...current.quarantined };
+      if (!sellable) {
+        quarantined[location] = (quarantined[location] || 0) + units;
+      }
+
+      return withTotals({
+        ...current,
+        locations: {
+          ...current.locations,
+          [location]: sellable ? { ...stock, quantity: stock.quantity + units } : stock
+        },
+        quarantined,
+        restocks: {
+          ...current.restocks,
+          [returnId]: { orderId, quantity: units, condition, location, restockedAt: now }
+        },
+        lastUpdated: now
+      });
+    }, updated => condition === RESTOCK_CONDITIONS.SELLABLE ? [
+      {
+        topic: 'inventory-updated',
+        data: {
+          productId,
+          newStock: updated.quantity,
+          locations: locationBreakdown(updated),
+          stockLevel: stockLevel(updated)
+        }
+      }
+    ] : []);
+
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    const restock = inventory.restocks[returnId];
+
+    if (!duplicate) {
+      console.log(`Restocked ${restock.quantity} returned units of product ${productId} at ${restock.location} (${restock.condition})`);
+    }
+
     res.json({
-      message: 'Order fulfilled successfully',
       productId,
-      fulfilledQuantity: parseInt(quantity),
-      remainingQuantity: inventory.quantity,
-      orderId
+      returnId,
+      ...restock,
+      duplicate,
+      available: inventory.quantity - inventory.reserved,
+      locations: locationBreakdown(inventory)
     });
   } catch (error) {
-    console.error('Error fulfilling order:', error);
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Inventory is being updated concurrently, please retry' });
+    }
+    console.error('Error restocking returned inventory:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -327,14 +1154,14 @@ app.get('/inventory/alerts/low-stock', async (req, res) => {
     const lowStockItems = [];
     
     for (const item of sampleInventory) {
-      const inventory = await daprClient.state.get(INVENTORY_STORE, item.productId);
+      const inventory = normalizeInventory(await daprClient.state.get(INVENTORY_STORE, item.productId));
       if (inventory && inventory.quantity <= inventory.reorderLevel) {
         lowStockItems.push({
           productId: inventory.productId || item.productId,
           currentQuantity: inventory.quantity,
           reorderLevel: inventory.reorderLevel,
           available: inventory.quantity - inventory.reserved,
-          location: inventory.location
+          locations: locationBreakdown(inventory)
         });
       }
     }
@@ -349,6 +1176,12 @@ app.get('/inventory/alerts/low-stock', async (req, res) => {
   }
 });
 
+// Inspect and replay events stuck in the outbox (admin)
+registerOutboxRoutes(app, outbox);
+
+// Keep dead-lettered events; inspect, replay or discard them (admin)
+registerDeadLetterRoutes(app, deadLetters, consumeEvent);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -360,7 +1193,7 @@ app.get('/health', (req, res) => {
 
 // Dapr pub/sub subscription configuration
 app.get('/dapr/subscribe', (req, res) => {
-  res.json([
+  res.json(deadLetters.subscriptions([
     {
       pubsubname: 'order-pubsub',
       topic: 'reserve-inventory',
@@ -375,127 +1208,256 @@ app.get('/dapr/subscribe', (req, res) => {
       pubsubname: 'order-pubsub',
       topic: 'order-shipped',
       route: '/events/order-shipped'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'return-status-updated',
+      route: '/events/return-status-updated'
     }
-  ]);
+  ]));
 });
 
 // Handle reserve inventory events
-app.post('/events/reserve-inventory', async (req, res) => {
+app.post('/events/reserve-inventory', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Reserve inventory event received:', data);
     
-    const { orderId, items } = data;
-    
-    // Reserve inventory for all items in the order
-    for (const item of items) {
-      try {
-        const response = await fetch(`http://localhost:${port}/inventory/${item.productId}/reserve`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
+    const { orderId, items, shippingAddress, allocationStrategy } = data;
+
+    // Reserve all items of the order, or none of them. The holds are committed
+    // in one transaction with the reservation record (and its events), so a
+    // redelivery finds the reservation whenever the stock was held.
+    const key = reservationKey(orderId);
+    const productIds = [...new Set(items.map(item => item.productId))];
+    let events = [];
+    let redelivered = false;
+
+    const { saved, values } = await outbox.updateKeys([key, ...productIds], current => {
+      const existing = current[key];
+      redelivered = Boolean(existing);
+
+      // Redelivered requests replay the outcome instead of reserving twice;
+      // the replayed event is committed with a note on the reservation
+      if (existing) {
+        if (existing.status === RESERVATION_STATUS.RESERVED) {
+          events = [{ topic: 'order-inventory-reserved', data: { orderId, items: existing.items } }];
+        } else if (existing.status === RESERVATION_STATUS.REJECTED) {
+          events = [{
+            topic: 'order-inventory-rejected',
+            data: { orderId, reason: existing.reason, failedItems: existing.failedItems }
+          }];
+        } else {
+          return undefined;
+        }
+        return { [key]: { ...existing, redeliveredAt: new Date().toISOString() } };
+      }
+
+      const inventories = {};
+      const reservedItems = [];
+      const failedItems = [];
+      events = [];
+
+      for (const item of items) {
+        const inventory = inventories[item.productId] || normalizeInventory(current[item.productId]);
+        let error;
+        let held;
+
+        if (!inventory) {
+          error = 'Inventory not found for product';
+        } else if (!(item.quantity > 0)) {
+          error = 'Valid quantity is required';
+        } else if (allocationStrategy && !ALLOCATION_STRATEGIES[allocationStrategy]) {
+          error = 'Invalid allocation strategy';
+        } else {
+          held = addHold(inventory, orderId, parseInt(item.quantity), {
+            ttlSeconds: RESERVATION_TTL_SECONDS,
+            strategy: allocationStrategy,
+            shippingAddress
+          });
+          error = held ? undefined : 'Insufficient inventory';
+        }
+
+        if (error) {
+          failedItems.push({ productId: item.productId, quantity: item.quantity, error });
+          break;
+        }
+
+        inventories[item.productId] = held.inventory;
+        reservedItems.push({ productId: item.productId, quantity: item.quantity, allocations: held.allocations });
+        events.push({
+          topic: 'inventory-reserved',
+          data: {
+            productId: item.productId,
             quantity: item.quantity,
-            orderId
-          })
+            orderId,
+            remainingAvailable: held.inventory.quantity - held.inventory.reserved,
+            stockLevel: stockLevel(held.inventory)
+          }
         });
-        
-        if (!response.ok) {
-          console.error(`Failed to reserve inventory for product ${item.productId}`);
-        }
-      } catch (error) {
-        console.error(`Error reserving inventory for product ${item.productId}:`, error);
       }
+
+      const now = new Date().toISOString();
+
+      if (failedItems.length > 0) {
+        const reason = failedItems.map(item => `product ${item.productId}: ${item.error}`).join('; ');
+        events = [{ topic: 'order-inventory-rejected', data: { orderId, reason, failedItems } }];
+        return {
+          [key]: {
+            orderId,
+            status: RESERVATION_STATUS.REJECTED,
+            items: [],
+            failedItems,
+            reason,
+            createdAt: now,
+            updatedAt: now
+          }
+        };
+      }
+
+      events.push({ topic: 'order-inventory-reserved', data: { orderId, items: reservedItems } });
+      return {
+        ...inventories,
+        [key]: {
+          orderId,
+          status: RESERVATION_STATUS.RESERVED,
+          items: reservedItems,
+          createdAt: now,
+          updatedAt: now
+        }
+      };
+    }, () => events);
+
+    if (saved && !redelivered) {
+      const reservation = values[key];
+      console.log(reservation.status === RESERVATION_STATUS.RESERVED
+        ? `Order reservation completed: ${orderId}`
+        : `Order reservation rejected: ${orderId} (${reservation.reason})`);
     }
-    
+
     res.status(200).send();
   } catch (error) {
     console.error('Error handling reserve inventory event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
 // Handle order cancelled events
-app.post('/events/order-cancelled', async (req, res) => {
+app.post('/events/order-cancelled', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Order cancelled event received:', data);
     
-    const { orderId, order } = data;
+    const { orderId, reason } = data;
     
-    // Release reserved inventory for all items in the cancelled order
-    for (const item of order.items) {
-      try {
-        const response = await fetch(`http://localhost:${port}/inventory/${item.productId}/release`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            quantity: item.quantity,
-            orderId
-          })
-        });
-        
-        if (!response.ok) {
-          console.error(`Failed to release inventory for product ${item.productId}`);
-        }
-      } catch (error) {
-        console.error(`Error releasing inventory for product ${item.productId}:`, error);
-      }
-    }
+    // Only what was actually reserved for the order is given back
+    await releaseOrderReservation(orderId, reason || 'Order cancelled');
     
     res.status(200).send();
   } catch (error) {
     console.error('Error handling order cancelled event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
 // Handle order shipped events
-app.post('/events/order-shipped', async (req, res) => {
+app.post('/events/order-shipped', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Order shipped event received:', data);
     
     const { orderId, order } = data;
-    
+
     // Fulfill order by removing inventory from stock
-    for (const item of order.items) {
-      try {
-        const response = await fetch(`http://localhost:${port}/inventory/${item.productId}/fulfill`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            quantity: item.quantity,
-            orderId
-          })
-        });
-        
-        if (!response.ok) {
-          console.error(`Failed to fulfill inventory for product ${item.productId}`);
-        }
-      } catch (error) {
-        console.error(`Error fulfilling inventory for product ${item.productId}:`, error);
+    await fulfillOrderReservation(orderId, order.items);
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling order shipped event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Restock outcomes of returns are stored next to the stock records, keyed by return
+function returnRestockKey(returnId) {
+  return `return-restock-${returnId}`;
+}
+
+// Handle return status updated events: restock the items of received returns.
+// Redelivered events are safe, each product is restocked once per return.
+// The outcome is saved per return together with its return-restocked event.
+app.post('/events/return-status-updated', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Return status updated event received:', data);
+
+    const { returnId, orderId, newStatus } = data;
+    if (newStatus !== 'received') {
+      return res.status(200).send();
+    }
+
+    const restockedItems = [];
+    const failedItems = [];
+
+    for (const item of data.return.items) {
+      const { ok, result } = await postInventoryAction(item.productId, 'restock', item.quantity, orderId, {
+        returnId,
+        condition: item.condition,
+        location: item.location
+      });
+
+      if (ok) {
+        restockedItems.push({ productId: item.productId, quantity: item.quantity, condition: result.condition, location: result.location });
+      } else {
+        console.error(`Failed to restock returned product ${item.productId}:`, result.error);
+        failedItems.push({ productId: item.productId, quantity: item.quantity, error: result.error });
       }
     }
-    
+
+    const restocked = {
+      returnId,
+      orderId,
+      items: restockedItems,
+      failedItems
+    };
+    await outbox.save([
+      {
+        key: returnRestockKey(returnId),
+        value: { ...restocked, restockedAt: new Date().toISOString() }
+      }
+    ], [{ topic: 'return-restocked', data: restocked }]);
+
     res.status(200).send();
   } catch (error) {
-    console.error('Error handling order shipped event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    console.error('Error handling return status updated event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
 // Start server
+let reservationSweeper;
 const server = app.listen(port, async () => {
   console.log(`Inventory Service running on port ${port}`);
   console.log(`Dapr sidecar expected on port ${daprPort}`);
   
   // Initialize sample data
   await initializeSampleData();
+
+  // Give back stock held by abandoned orders
+  reservationSweeper = setInterval(() => {
+    releaseExpiredHolds().catch(error => console.error('Error releasing expired holds:', error));
+  }, RESERVATION_SWEEP_INTERVAL_MS);
+  reservationSweeper.unref();
+
+  // Publish outbox events left behind by a crash or a broker outage
+  outbox.startRelay();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  clearInterval(reservationSweeper);
+  outbox.stopRelay();
   server.close(() => {
     console.log('Inventory Service stopped');
     process.exit(0);
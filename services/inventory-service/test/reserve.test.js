@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETagConflictError } = require('../../shared/etag-state');
+const { createOutbox } = require('../../shared/outbox');
+const { createMemoryDaprClient } = require('../../shared/test/memory-state');
+const { withTotals, normalizeInventory, addHold } = require('../warehouses');
+
+const STORE = 'inventory-store';
+const PRODUCT_ID = 'concurrency-test';
+
+// The read-modify-write of POST /inventory/:productId/reserve
+async function reserve(outbox, orderId, quantity) {
+  try {
+    const { saved } = await outbox.update(PRODUCT_ID, stored => {
+      const held = addHold(normalizeInventory(stored), orderId, quantity, { ttlSeconds: 60 });
+      return held && held.inventory;
+    }, [], { relay: false });
+    return saved ? 'reserved' : 'insufficient';
+  } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return 'gave-up';
+    }
+    throw error;
+  }
+}
+
+// Fire `count` reservations at once and sort them by outcome
+async function reserveConcurrently(outbox, count, quantity) {
+  const outcomes = await Promise.all(Array.from({ length: count }, (_, i) => reserve(outbox, `order-${i}`, quantity)));
+  return {
+    reserved: outcomes.filter(outcome => outcome === 'reserved').length,
+    insufficient: outcomes.filter(outcome => outcome === 'insufficient').length,
+    gaveUp: outcomes.filter(outcome => outcome === 'gave-up').length
+  };
+}
+
+// A product with the given stock per warehouse and nothing reserved
+async function setup(stock) {
+  const daprClient = createMemoryDaprClient();
+  const locations = {};
+  for (const [location, quantity] of Object.entries(stock)) {
+    locations[location] = { quantity, reserved: 0 };
+  }
+  await daprClient.state.save(STORE, [
+    {
+      key: PRODUCT_ID,
+      value: withTotals({ productId: PRODUCT_ID, reorderLevel: 0, locations, holds: {} })
+    }
+  ]);
+  return { daprClient, outbox: createOutbox(daprClient, { storeName: STORE }) };
+}
+
+// The stored record must account for exactly the reservations that succeeded
+async function assertHeld(daprClient, outcome, quantity) {
+  const inventory = await daprClient.state.get(STORE, PRODUCT_ID);
+  assert.ok(inventory.reserved <= inventory.quantity, `reserved ${inventory.reserved} exceeds quantity ${inventory.quantity}`);
+  assert.strictEqual(inventory.reserved, outcome.reserved * quantity);
+  assert.strictEqual(Object.keys(inventory.holds).length, outcome.reserved);
+  for (const stock of Object.values(inventory.locations)) {
+    assert.ok(stock.reserved <= stock.quantity);
+  }
+}
+
+test('parallel reservations never reserve more than the stock', async t => {
+  const { daprClient, outbox } = await setup({ 'Warehouse-A': 5 });
+
+  const outcome = await reserveConcurrently(outbox, 25, 1);
+  t.diagnostic(`reserved ${outcome.reserved}, insufficient ${outcome.insufficient}, gave up on conflicts ${outcome.gaveUp}`);
+
+  assert.ok(outcome.reserved <= 5);
+  assert.strictEqual(outcome.reserved + outcome.insufficient + outcome.gaveUp, 25);
+  await assertHeld(daprClient, outcome, 1);
+});
+
+test('parallel reservations spread over warehouses stay within each warehouse', async t => {
+  const { daprClient, outbox } = await setup({ 'Warehouse-A': 3, 'Warehouse-B': 4, 'Warehouse-C': 2 });
+
+  const outcome = await reserveConcurrently(outbox, 10, 2);
+  t.diagnostic(`reserved ${outcome.reserved}, insufficient ${outcome.insufficient}, gave up on conflicts ${outcome.gaveUp}`);
+
+  assert.ok(outcome.reserved <= 4);
+  await assertHeld(daprClient, outcome, 2);
+});
+
+test('every reservation of a burst is either held once or gave up without a trace', async t => {
+  const { daprClient, outbox } = await setup({ 'Warehouse-A': 100 });
+
+  const outcome = await reserveConcurrently(outbox, 30, 1);
+  t.diagnostic(`reserved ${outcome.reserved}, insufficient ${outcome.insufficient}, gave up on conflicts ${outcome.gaveUp}`);
+
+  assert.strictEqual(outcome.insufficient, 0);
+  await assertHeld(daprClient, outcome, 1);
+});
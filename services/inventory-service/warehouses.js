@@ -0,0 +1,252 @@
+// Warehouses and stock allocation
+//
+// An inventory record keeps stock per warehouse under `locations`:
+//
+//   {
+//     productId, reorderLevel,
+//     locations: { 'Warehouse-A': { quantity, reserved } },
+//     holds: { [orderId]: { quantity, reservedAt, expiresAt, allocations: { 'Warehouse-A': 2 } } },
+//     quarantined: { 'Warehouse-A': 1 },   // returned units kept off sale
+//     restocks: { [returnId]: { orderId, quantity, condition, location, restockedAt } },
+//     quantity, reserved   // totals across all warehouses
+//   }
+//
+// Reservations are spread over the warehouses by an allocation strategy.
+
+const WAREHOUSES = {
+  'Warehouse-A': { name: 'Istanbul Main Warehouse', city: 'Istanbul', country: 'Turkey', latitude: 41.0082, longitude: 28.9784, priority: 1 },
+  'Warehouse-B': { name: 'Ankara Warehouse', city: 'Ankara', country: 'Turkey', latitude: 39.9334, longitude: 32.8597, priority: 2 },
+  'Warehouse-C': { name: 'Izmir Warehouse', city: 'Izmir', country: 'Turkey', latitude: 38.4237, longitude: 27.1428, priority: 3 }
+};
+
+const DEFAULT_WAREHOUSE = 'Warehouse-A';
+
+// Coordinates for shipping addresses that only carry a city
+const CITY_COORDINATES = {
+  istanbul: { latitude: 41.0082, longitude: 28.9784 },
+  ankara: { latitude: 39.9334, longitude: 32.8597 },
+  izmir: { latitude: 38.4237, longitude: 27.1428 },
+  bursa: { latitude: 40.1885, longitude: 29.0610 },
+  antalya: { latitude: 36.8969, longitude: 30.7133 }
+};
+
+function warehousePriority(location) {
+  return WAREHOUSES[location] ? WAREHOUSES[location].priority : Number.MAX_SAFE_INTEGER;
+}
+
+function byPriority(a, b) {
+  return warehousePriority(a) - warehousePriority(b);
+}
+
+function addressCoordinates(shippingAddress) {
+  if (!shippingAddress) {
+    return undefined;
+  }
+  if (shippingAddress.latitude !== undefined && shippingAddress.longitude !== undefined) {
+    return { latitude: shippingAddress.latitude, longitude: shippingAddress.longitude };
+  }
+  return CITY_COORDINATES[(shippingAddress.city || '').toLowerCase()];
+}
+
+// Great-circle distance in kilometres
+function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Allocation strategies order the warehouses to take stock from
+const ALLOCATION_STRATEGIES = {
+  // Fixed warehouse priority order
+  priority: locations => Object.keys(locations).sort(byPriority),
+
+  // Warehouses with the most available stock first
+  'most-stock': locations => Object.keys(locations).sort((a, b) =>
+    available(locations[b]) - available(locations[a]) || byPriority(a, b)
+  ),
+
+  // Warehouses closest to the shipping address first; unknown addresses fall back to priority
+  nearest: (locations, { shippingAddress } = {}) => {
+    const destination = addressCoordinates(shippingAddress);
+    if (!destination) {
+      return ALLOCATION_STRATEGIES.priority(locations);
+    }
+
+    const distance = location => WAREHOUSES[location]
+      ? distanceKm(WAREHOUSES[location], destination)
+      : Number.MAX_SAFE_INTEGER;
+
+    return Object.keys(locations).sort((a, b) => distance(a) - distance(b) || byPriority(a, b));
+  }
+};
+
+const DEFAULT_ALLOCATION_STRATEGY = process.env.ALLOCATION_STRATEGY || 'priority';
+
+function available(stock) {
+  return stock.quantity - stock.reserved;
+}
+
+// Recompute the totals kept at the top of the record
+function withTotals(inventory) {
+  const stocks = Object.values(inventory.locations);
+  return {
+    ...inventory,
+    quantity: stocks.reduce((sum, stock) => sum + stock.quantity, 0),
+    reserved: stocks.reduce((sum, stock) => sum + stock.reserved, 0)
+  };
+}
+
+// Convert records written before multi-warehouse support (single `location`)
+function normalizeInventory(inventory) {
+  if (!inventory || inventory.locations) {
+    return inventory;
+  }
+
+  const location = inventory.location || DEFAULT_WAREHOUSE;
+  const holds = {};
+  for (const [orderId, hold] of Object.entries(inventory.holds || {})) {
+    holds[orderId] = { ...hold, allocations: hold.allocations || { [location]: hold.quantity } };
+  }
+
+  const { location: legacyLocation, ...rest } = inventory;
+  return withTotals({
+    ...rest,
+    locations: {
+      [location]: { quantity: inventory.quantity || 0, reserved: inventory.reserved || 0 }
+    },
+    holds
+  });
+}
+
+// Split a quantity over the warehouses in the order chosen by the strategy.
+// Returns undefined when the warehouses together do not have enough stock.
+function allocate(inventory, quantity, { strategy = DEFAULT_ALLOCATION_STRATEGY, shippingAddress } = {}) {
+  const order = ALLOCATION_STRATEGIES[strategy](inventory.locations, { shippingAddress });
+  const allocations = {};
+  let remaining = quantity;
+
+  for (const location of order) {
+    if (remaining === 0) {
+      break;
+    }
+    const take = Math.min(remaining, available(inventory.locations[location]));
+    if (take > 0) {
+      allocations[location] = take;
+      remaining -= take;
+    }
+  }
+
+  return remaining === 0 ? allocations : undefined;
+}
+
+// Hold `quantity` more units for an order, allocated over the warehouses by
+// the strategy; the hold expires `ttlSeconds` from now. Returns the updated
+// inventory and the allocations, or undefined when there is not enough stock.
+function addHold(inventory, orderId, quantity, { ttlSeconds, strategy, shippingAddress }) {
+  const allocations = allocate(inventory, quantity, { strategy, shippingAddress });
+  if (!allocations) {
+    return undefined;
+  }
+
+  const now = new Date();
+  const existingHold = inventory.holds[orderId];
+  const locations = { ...inventory.locations };
+  const holdAllocations = { ...(existingHold ? existingHold.allocations : {}) };
+
+  for (const [location, allocated] of Object.entries(allocations)) {
+    locations[location] = { ...locations[location], reserved: locations[location].reserved + allocated };
+    holdAllocations[location] = (holdAllocations[location] || 0) + allocated;
+  }
+
+  return {
+    allocations,
+    inventory: withTotals({
+      ...inventory,
+      locations,
+      holds: {
+        ...inventory.holds,
+        [orderId]: {
+          quantity: (existingHold ? existingHold.quantity : 0) + quantity,
+          allocations: holdAllocations,
+          reservedAt: existingHold ? existingHold.reservedAt : now.toISOString(),
+          expiresAt: new Date(now.getTime() + parseInt(ttlSeconds) * 1000).toISOString()
+        }
+      },
+      lastUpdated: now.toISOString()
+    })
+  };
+}
+
+// Take quantity off an order's hold, newest allocations first. With `consume`
+// the stock leaves the warehouses too (fulfilment), otherwise it becomes
+// available again (release).
+function reduceHold(inventory, orderId, quantity, consume) {
+  const hold = inventory.holds[orderId];
+  const locations = { ...inventory.locations };
+  const allocations = { ...hold.allocations };
+  const taken = {};
+  let remaining = quantity;
+
+  for (const location of Object.keys(allocations).reverse()) {
+    if (remaining === 0) {
+      break;
+    }
+    const take = Math.min(remaining, allocations[location]);
+    locations[location] = {
+      quantity: consume ? locations[location].quantity - take : locations[location].quantity,
+      reserved: locations[location].reserved - take
+    };
+    allocations[location] -= take;
+    if (allocations[location] === 0) {
+      delete allocations[location];
+    }
+    taken[location] = take;
+    remaining -= take;
+  }
+
+  const holds = { ...inventory.holds };
+  if (hold.quantity === quantity) {
+    delete holds[orderId];
+  } else {
+    holds[orderId] = { ...hold, quantity: hold.quantity - quantity, allocations };
+  }
+
+  return {
+    inventory: withTotals({
+      ...inventory,
+      locations,
+      holds,
+      lastUpdated: new Date().toISOString()
+    }),
+    taken
+  };
+}
+
+// Per-warehouse view used in API responses
+function locationBreakdown(inventory) {
+  return Object.entries(inventory.locations)
+    .sort(([a], [b]) => byPriority(a, b))
+    .map(([location, stock]) => ({
+      location,
+      quantity: stock.quantity,
+      reserved: stock.reserved,
+      available: available(stock),
+      quarantined: (inventory.quarantined || {})[location] || 0
+    }));
+}
+
+module.exports = {
+  WAREHOUSES,
+  DEFAULT_WAREHOUSE,
+  ALLOCATION_STRATEGIES,
+  DEFAULT_ALLOCATION_STRATEGY,
+  withTotals,
+  normalizeInventory,
+  allocate,
+  addHold,
+  reduceHold,
+  locationBreakdown
+};
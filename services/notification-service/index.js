@@ -1,6 +1,10 @@
 const express = require('express');
 const { DaprClient } = require('@dapr/dapr');
 const { v4: uuidv4 } = require('uuid');
+const { formatMoney } = require('../shared/money');
+const { createOutbox, registerOutboxRoutes } = require('../shared/outbox');
+const { eventConsumer } = require('../shared/event-consumer');
+const { createDeadLetters, registerDeadLetterRoutes } = require('../shared/dead-letters');
 
 const app = express();
 const port = process.env.PORT || 3006;
@@ -14,6 +18,15 @@ app.use(express.json());
 // State store names
 const NOTIFICATION_STORE = 'notification-store';
 
+// Events go through the outbox, committed with the state they announce
+const outbox = createOutbox(daprClient, { storeName: NOTIFICATION_STORE });
+
+// Event subscriptions skip redelivered events they already handled
+const consumeEvent = eventConsumer(daprClient, { storeName: NOTIFICATION_STORE });
+
+// Events their handlers keep failing on are dead-lettered and kept for an admin
+const deadLetters = createDeadLetters(daprClient, { storeName: NOTIFICATION_STORE, service: 'notification-service', appPort: port });
+
 // Notification types
 const NOTIFICATION_TYPES = {
   EMAIL: 'email',
@@ -119,23 +132,26 @@ app.post('/notifications/send', async (req, res) => {
       notification.attempts = 1;
       notification.updatedAt = new Date().toISOString();
       
-      await daprClient.state.save(NOTIFICATION_STORE, [
+      // Save with the notification sent event
+      await outbox.save([
         {
           key: notificationId,
           value: notification
         }
+      ], [
+        {
+          topic: 'notification-sent',
+          data: {
+            notificationId,
+            type,
+            recipient,
+            messageId: result.messageId
+          }
+        }
       ]);
       
       console.log(`Notification sent: ${notificationId}`);
       
-      // Publish notification sent event
-      await daprClient.pubsub.publish('order-pubsub', 'notification-sent', {
-        notificationId,
-        type,
-        recipient,
-        messageId: result.messageId
-      });
-      
       res.json({
         notificationId,
         status: notification.status,
@@ -153,21 +169,24 @@ app.post('/notifications/send', async (req, res) => {
       notification.failedAt = new Date().toISOString();
       notification.updatedAt = new Date().toISOString();
       
-      await daprClient.state.save(NOTIFICATION_STORE, [
+      // Save with the notification failed event
+      await outbox.save([
         {
           key: notificationId,
           value: notification
         }
+      ], [
+        {
+          topic: 'notification-failed',
+          data: {
+            notificationId,
+            type,
+            recipient,
+            error: error.message
+          }
+        }
       ]);
       
-      // Publish notification failed event
-      await daprClient.pubsub.publish('order-pubsub', 'notification-failed', {
-        notificationId,
-        type,
-        recipient,
-        error: error.message
-      });
-      
       res.status(400).json({
         notificationId,
         status: notification.status,
@@ -327,6 +346,12 @@ app.post('/notifications/bulk', async (req, res) => {
   }
 });
 
+// Inspect and replay events stuck in the outbox (admin)
+registerOutboxRoutes(app, outbox);
+
+// Keep dead-lettered events; inspect, replay or discard them (admin)
+registerDeadLetterRoutes(app, deadLetters, consumeEvent);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -343,7 +368,7 @@ app.get('/health', (req, res) => {
 
 // Dapr pub/sub subscription configuration
 app.get('/dapr/subscribe', (req, res) => {
-  res.json([
+  res.json(deadLetters.subscriptions([
     {
       pubsubname: 'order-pubsub',
       topic: 'user-created',
@@ -364,6 +389,11 @@ app.get('/dapr/subscribe', (req, res) => {
       topic: 'payment-completed',
       route: '/events/payment-completed'
     },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'payment-failed',
+      route: '/events/payment-failed'
+    },
     {
       pubsubname: 'order-pubsub',
       topic: 'order-shipped',
@@ -373,12 +403,37 @@ app.get('/dapr/subscribe', (req, res) => {
       pubsubname: 'order-pubsub',
       topic: 'reorder-needed',
       route: '/events/reorder-needed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'payment-refunded',
+      route: '/events/payment-refunded'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'refund-failed',
+      route: '/events/refund-failed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'cart-abandoned',
+      route: '/events/cart-abandoned'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'shipment-updated',
+      route: '/events/shipment-updated'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'return-status-updated',
+      route: '/events/return-status-updated'
     }
-  ]);
+  ]));
 });
 
 // Handle user created events
-app.post('/events/user-created', async (req, res) => {
+app.post('/events/user-created', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('User created event received:', data);
@@ -401,12 +456,43 @@ app.post('/events/user-created', async (req, res) => {
     res.status(200).send();
   } catch (error) {
     console.error('Error handling user created event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
+// Itemised price breakdown of an order for emails
+function priceSummary(pricing) {
+  const money = amount => formatMoney(amount, pricing.currency);
+  const lines = [`Subtotal: ${money(pricing.subtotal)}`];
+  for (const discount of pricing.discounts) {
+    lines.push(`Discount (${discount.code}): -${money(discount.amount)}`);
+  }
+  lines.push(`Shipping: ${pricing.shipping.amount > 0 ? money(pricing.shipping.amount) : 'Free'}`);
+  lines.push(`Tax (${pricing.tax.rate}%): ${money(pricing.tax.amount)}`);
+  lines.push(`Total: ${money(pricing.total)}`);
+  return lines.join('\n');
+}
+
+// Tracking numbers of an order's shipments for emails
+function trackingDetails(order) {
+  if (!order.shipments || order.shipments.length === 0) {
+    return 'Tracking information will be provided soon.';
+  }
+  const lines = order.shipments.map(shipment =>
+    `- ${shipment.carrier} ${shipment.trackingNumber}${shipment.trackingUrl ? ` (${shipment.trackingUrl})` : ''}`
+  );
+  return `Your order ships in ${lines.length} package${lines.length > 1 ? 's' : ''}:\n${lines.join('\n')}`;
+}
+
+function shippedEmail(order) {
+  return {
+    subject: `Order Shipped - #${order.id}`,
+    content: `Hello ${order.userName},\n\nGreat news! Your order has been shipped and is on its way to you.\n\n${trackingDetails(order)}\n\nBest regards,\nThe E-commerce Team`
+  };
+}
+
 // Handle order created events
-app.post('/events/order-created', async (req, res) => {
+app.post('/events/order-created', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Order created event received:', data);
@@ -415,9 +501,11 @@ app.post('/events/order-created', async (req, res) => {
     
     // Send order confirmation email
     const itemsList = order.items.map(item => 
-      `- ${item.productName} x${item.quantity} @ $${item.unitPrice}`
+      `- ${item.productName} x${item.quantity} @ ${formatMoney(item.unitPrice, order.currency)}`
     ).join('\n');
     
+    const summary = order.pricing ? priceSummary(order.pricing) : `Total: ${formatMoney(order.totalAmount, order.currency)}`;
+
     await fetch(`http://localhost:${port}/notifications/send`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -425,7 +513,7 @@ app.post('/events/order-created', async (req, res) => {
         type: NOTIFICATION_TYPES.EMAIL,
         recipient: order.userEmail,
         subject: `Order Confirmation - #${order.id}`,
-        content: `Hello ${order.userName},\n\nYour order has been created successfully!\n\nOrder Details:\n${itemsList}\n\nTotal: $${order.totalAmount}\n\nThank you for your purchase!\n\nBest regards,\nThe E-commerce Team`,
+        content: `Hello ${order.userName},\n\nYour order has been created successfully!\n\nOrder Details:\n${itemsList}\n\n${summary}\n\nThank you for your purchase!\n\nBest regards,\nThe E-commerce Team`,
         metadata: { orderId: order.id, userId: order.userId, eventType: 'order-created' }
       })
     });
@@ -433,12 +521,12 @@ app.post('/events/order-created', async (req, res) => {
     res.status(200).send();
   } catch (error) {
     console.error('Error handling order created event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
 // Handle order status updated events
-app.post('/events/order-status-updated', async (req, res) => {
+app.post('/events/order-status-updated', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Order status updated event received:', data);
@@ -453,8 +541,7 @@ app.post('/events/order-status-updated', async (req, res) => {
         content = `Hello ${order.userName},\n\nYour order has been confirmed and is being processed.\n\nThank you for your payment!\n\nBest regards,\nThe E-commerce Team`;
         break;
       case 'shipped':
-        subject = `Order Shipped - #${order.id}`;
-        content = `Hello ${order.userName},\n\nGreat news! Your order has been shipped and is on its way to you.\n\nTracking information will be provided soon.\n\nBest regards,\nThe E-commerce Team`;
+        ({ subject, content } = shippedEmail(order));
         break;
       case 'delivered':
         subject = `Order Delivered - #${order.id}`;
@@ -483,12 +570,12 @@ app.post('/events/order-status-updated', async (req, res) => {
     res.status(200).send();
   } catch (error) {
     console.error('Error handling order status updated event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
 // Handle payment completed events
-app.post('/events/payment-completed', async (req, res) => {
+app.post('/events/payment-completed', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Payment completed event received:', data);
@@ -499,28 +586,128 @@ app.post('/events/payment-completed', async (req, res) => {
     res.status(200).send();
   } catch (error) {
     console.error('Error handling payment completed event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Handle payment failed events
+app.post('/events/payment-failed', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Payment failed event received:', data);
+
+    const { orderId, payment, error } = data;
+
+    // The payment event carries no customer details, so look them up on the order
+    const order = await daprClient.invoker.invoke('order-service', `orders/${orderId}`, 'GET');
+
+    await fetch(`http://localhost:${port}/notifications/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: NOTIFICATION_TYPES.EMAIL,
+        recipient: order.userEmail,
+        subject: `Payment Declined - #${orderId}`,
+        content: `Hello ${order.userName},\n\nUnfortunately your payment of ${formatMoney(payment.amount, payment.currency)} for order #${orderId} was declined.\n\nReason: ${error}\n\nYou can retry the payment from your order page. If no payment is received in time, the order will be cancelled automatically.\n\nBest regards,\nThe E-commerce Team`,
+        metadata: { orderId, userId: order.userId, paymentId: payment.id, eventType: 'payment-failed' }
+      })
+    });
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling payment failed event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Handle payment refunded events
+app.post('/events/payment-refunded', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Payment refunded event received:', data);
+
+    const { orderId, paymentId, refundId, refundAmount, currency } = data;
+
+    const order = await daprClient.invoker.invoke('order-service', `orders/${orderId}`, 'GET');
+
+    await fetch(`http://localhost:${port}/notifications/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: NOTIFICATION_TYPES.EMAIL,
+        recipient: order.userEmail,
+        subject: `Refund Processed - #${orderId}`,
+        content: `Hello ${order.userName},\n\nWe have refunded ${formatMoney(refundAmount, currency)} for order #${orderId}. Depending on your bank it can take a few business days to appear on your statement.\n\nBest regards,\nThe E-commerce Team`,
+        metadata: { orderId, userId: order.userId, paymentId, refundId, eventType: 'payment-refunded' }
+      })
+    });
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling payment refunded event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Handle refund failed events
+app.post('/events/refund-failed', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Refund failed event received:', data);
+
+    const { orderId, paymentId, refundId, refundAmount, currency } = data;
+
+    const order = await daprClient.invoker.invoke('order-service', `orders/${orderId}`, 'GET');
+
+    await fetch(`http://localhost:${port}/notifications/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: NOTIFICATION_TYPES.EMAIL,
+        recipient: order.userEmail,
+        subject: `Refund Delayed - #${orderId}`,
+        content: `Hello ${order.userName},\n\nWe could not complete the refund of ${formatMoney(refundAmount, currency)} for order #${orderId} automatically. Our support team has been notified and will process it manually.\n\nBest regards,\nThe E-commerce Team`,
+        metadata: { orderId, userId: order.userId, paymentId, refundId, eventType: 'refund-failed' }
+      })
+    });
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling refund failed event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
 // Handle order shipped events
-app.post('/events/order-shipped', async (req, res) => {
+app.post('/events/order-shipped', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Order shipped event received:', data);
     
-    // This is handled by order-status-updated event
-    // Keeping this for potential additional logic
+    const { order } = data;
+    const { subject, content } = shippedEmail(order);
+
+    await fetch(`http://localhost:${port}/notifications/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: NOTIFICATION_TYPES.EMAIL,
+        recipient: order.userEmail,
+        subject,
+        content,
+        metadata: { orderId: order.id, userId: order.userId, eventType: 'order-shipped' }
+      })
+    });
     
     res.status(200).send();
   } catch (error) {
     console.error('Error handling order shipped event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
 // Handle reorder needed events
-app.post('/events/reorder-needed', async (req, res) => {
+app.post('/events/reorder-needed', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Reorder needed event received:', data);
@@ -543,7 +730,150 @@ app.post('/events/reorder-needed', async (req, res) => {
     res.status(200).send();
   } catch (error) {
     console.error('Error handling reorder needed event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Tracking updates worth an email; delivery itself is announced by order-status-updated
+const SHIPMENT_UPDATE_EMAILS = {
+  out_for_delivery: {
+    subject: 'Out for Delivery',
+    message: 'is out for delivery and should arrive today'
+  },
+  exception: {
+    subject: 'Delivery Problem',
+    message: 'could not be delivered. The carrier will try again or contact you'
+  },
+  returned: {
+    subject: 'Package Returned',
+    message: 'was returned to us. Our support team will contact you'
+  }
+};
+
+// Handle shipment updated events (carrier tracking updates)
+app.post('/events/shipment-updated', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Shipment updated event received:', data);
+
+    const { orderId, shipment, status } = data;
+
+    const email = SHIPMENT_UPDATE_EMAILS[status];
+    if (!email) {
+      return res.status(200).send();
+    }
+
+    const order = await daprClient.invoker.invoke('order-service', `orders/${orderId}`, 'GET');
+
+    await fetch(`http://localhost:${port}/notifications/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: NOTIFICATION_TYPES.EMAIL,
+        recipient: order.userEmail,
+        subject: `${email.subject} - #${orderId}`,
+        content: `Hello ${order.userName},\n\nYour package ${shipment.trackingNumber} (${shipment.carrier}) ${email.message}.\n\nBest regards,\nThe E-commerce Team`,
+        metadata: { orderId, userId: order.userId, shipmentId: shipment.id, status, eventType: 'shipment-updated' }
+      })
+    });
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling shipment updated event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Handle cart abandoned events: remind the customer of what is left in the cart
+app.post('/events/cart-abandoned', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Cart abandoned event received:', data);
+
+    const { userId, cart } = data;
+
+    const user = await daprClient.invoker.invoke('user-service', `users/${userId}`, 'GET');
+
+    const itemsList = cart.items.map(item =>
+      `- ${item.productName} x${item.quantity} @ ${formatMoney(item.unitPrice, item.currency)}`
+    ).join('\n');
+
+    await fetch(`http://localhost:${port}/notifications/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: NOTIFICATION_TYPES.EMAIL,
+        recipient: user.email,
+        subject: 'You left something in your cart',
+        content: `Hello ${user.name},\n\nYou still have these items in your cart:\n${itemsList}\n\nComplete your order before they sell out!\n\nBest regards,\nThe E-commerce Team`,
+        metadata: { userId, eventType: 'cart-abandoned' }
+      })
+    });
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling cart abandoned event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Emails for the steps of a return, by return status
+const RETURN_EMAILS = {
+  requested: {
+    subject: 'Return Requested',
+    message: record => `We have received your return request ${record.rmaNumber} for:\n${returnItemsList(record)}\n\nWe will review it and get back to you shortly.`
+  },
+  approved: {
+    subject: 'Return Approved',
+    message: record => `Your return ${record.rmaNumber} has been approved. Please send the items back and mention ${record.rmaNumber} on the package.`
+  },
+  rejected: {
+    subject: 'Return Rejected',
+    message: record => `Unfortunately your return request ${record.rmaNumber} was rejected.\n\nReason: ${record.rejectionReason}`
+  },
+  received: {
+    subject: 'Return Received',
+    message: record => `We have received the items of your return ${record.rmaNumber}. A refund of ${formatMoney(record.refundAmount, record.currency)} is on its way.`
+  },
+  refunded: {
+    subject: 'Return Completed',
+    message: record => `Your return ${record.rmaNumber} is complete and ${formatMoney(record.refundedAmount, record.currency)} has been refunded.`
+  }
+};
+
+function returnItemsList(record) {
+  return record.items.map(item => `- ${item.productName} x${item.quantity} (${item.reason.replace(/_/g, ' ')})`).join('\n');
+}
+
+// Handle return status updated events: tell the customer about every step
+app.post('/events/return-status-updated', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Return status updated event received:', data);
+
+    const { orderId, returnId, order, newStatus } = data;
+
+    const email = RETURN_EMAILS[newStatus];
+    if (!email) {
+      return res.status(200).send();
+    }
+
+    await fetch(`http://localhost:${port}/notifications/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: NOTIFICATION_TYPES.EMAIL,
+        recipient: order.userEmail,
+        subject: `${email.subject} - ${data.rmaNumber}`,
+        content: `Hello ${order.userName},\n\n${email.message(data.return)}\n\nBest regards,\nThe E-commerce Team`,
+        metadata: { orderId, userId: order.userId, returnId, status: newStatus, eventType: 'return-status-updated' }
+      })
+    });
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling return status updated event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
@@ -552,11 +882,15 @@ const server = app.listen(port, () => {
   console.log(`Notification Service running on port ${port}`);
   console.log(`Dapr sidecar expected on port ${daprPort}`);
   console.log('Available notification types:', Object.values(NOTIFICATION_TYPES));
+
+  // Publish outbox events left behind by a crash or a broker outage
+  outbox.startRelay();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  outbox.stopRelay();
   server.close(() => {
     console.log('Notification Service stopped');
     process.exit(0);
@@ -0,0 +1,160 @@
+// Carrier adapters
+//
+// Every adapter implements:
+//
+//   book({ shipmentId, orderId, items, shippingAddress, webhookUrl })
+//     -> { carrier, trackingNumber, trackingUrl, estimatedDeliveryAt }
+//
+// After booking, carriers report tracking updates by posting to `webhookUrl`
+// (POST /shipments/:id/events). Adapters fail with a CarrierError. The adapter
+// is chosen with CARRIER (see carrierFor).
+
+const { v4: uuidv4 } = require('uuid');
+const { SHIPMENT_STATUS } = require('./shipments');
+
+class CarrierError extends Error {
+  constructor(message, code, retryable = false) {
+    super(message);
+    this.name = 'CarrierError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// Time between the tracking updates the fake carrier posts; 0 turns them off
+// (post events to the webhook by hand instead)
+const FAKE_CARRIER_STEP_MS = process.env.FAKE_CARRIER_STEP_MS !== undefined
+  ? parseInt(process.env.FAKE_CARRIER_STEP_MS)
+  : 10000;
+
+// Tracking updates the fake carrier walks a shipment through, picked by the
+// zip code of the shipping address
+const FAKE_ROUTES = {
+  default: [SHIPMENT_STATUS.PICKED_UP, SHIPMENT_STATUS.IN_TRANSIT, SHIPMENT_STATUS.OUT_FOR_DELIVERY, SHIPMENT_STATUS.DELIVERED],
+  '00000': [SHIPMENT_STATUS.PICKED_UP, SHIPMENT_STATUS.IN_TRANSIT, SHIPMENT_STATUS.EXCEPTION],
+  '99999': [SHIPMENT_STATUS.PICKED_UP, SHIPMENT_STATUS.IN_TRANSIT, SHIPMENT_STATUS.EXCEPTION, SHIPMENT_STATUS.RETURNED]
+};
+
+const FAKE_DESCRIPTIONS = {
+  [SHIPMENT_STATUS.PICKED_UP]: 'Picked up from the warehouse',
+  [SHIPMENT_STATUS.IN_TRANSIT]: 'In transit to the destination hub',
+  [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: 'Out for delivery',
+  [SHIPMENT_STATUS.DELIVERED]: 'Delivered to the recipient',
+  [SHIPMENT_STATUS.EXCEPTION]: 'Recipient not available, delivery failed',
+  [SHIPMENT_STATUS.RETURNED]: 'Returned to sender'
+};
+
+function fakeRoute(shippingAddress) {
+  const zipCode = shippingAddress && String(shippingAddress.zipCode || '');
+  return FAKE_ROUTES[zipCode] || FAKE_ROUTES.default;
+}
+
+// Post the tracking updates of a route to the webhook, one step apart, like a
+// carrier calling back
+function playFakeRoute(route, { trackingNumber, webhookUrl, shippingAddress }) {
+  route.forEach((status, index) => {
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Carrier-Token': process.env.CARRIER_WEBHOOK_TOKEN || ''
+          },
+          body: JSON.stringify({
+            eventId: `${trackingNumber}-${index + 1}`,
+            status,
+            description: FAKE_DESCRIPTIONS[status],
+            location: status === SHIPMENT_STATUS.DELIVERED ? shippingAddress && shippingAddress.city : undefined,
+            occurredAt: new Date().toISOString()
+          })
+        });
+        if (!response.ok) {
+          console.error(`Fake carrier webhook for ${trackingNumber} answered ${response.status}`);
+        }
+      } catch (error) {
+        console.error(`Fake carrier could not reach the webhook for ${trackingNumber}:`, error.message);
+      }
+    }, FAKE_CARRIER_STEP_MS * (index + 1));
+    timer.unref();
+  });
+}
+
+const fakeCarrier = {
+  name: 'fake',
+
+  async book({ shippingAddress, webhookUrl }) {
+    const trackingNumber = `FC${uuidv4().replace(/-/g, '').substring(0, 10).toUpperCase()}`;
+
+    if (FAKE_CARRIER_STEP_MS > 0) {
+      playFakeRoute(fakeRoute(shippingAddress), { trackingNumber, webhookUrl, shippingAddress });
+    }
+
+    return {
+      carrier: 'fake-carrier',
+      trackingNumber,
+      // The fake has no tracking page, so the shipment resource stands in for it
+      trackingUrl: webhookUrl.replace(/\/events$/, ''),
+      estimatedDeliveryAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString()
+    };
+  }
+};
+
+// Carrier reached over HTTP: POST <url>/shipments answers the booking
+function createHttpCarrier({ url, timeoutMs }) {
+  return {
+    name: 'http',
+
+    async book(shipment) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      let response;
+      try {
+        response = await fetch(`${url}/shipments`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(shipment),
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw error.name === 'AbortError'
+          ? new CarrierError('Carrier timed out', 'timeout', true)
+          : new CarrierError('Carrier unavailable', 'carrier_unavailable', true);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new CarrierError(result.error || `Carrier answered ${response.status}`, result.code || 'booking_failed', response.status >= 500);
+      }
+      return result;
+    }
+  };
+}
+
+const CARRIERS = {
+  fake: fakeCarrier,
+  http: createHttpCarrier({
+    url: process.env.CARRIER_URL || 'http://localhost:4020',
+    timeoutMs: parseInt(process.env.CARRIER_TIMEOUT_MS) || 5000
+  })
+};
+
+function carrierFor(name = process.env.CARRIER || 'fake') {
+  const carrier = CARRIERS[name];
+  if (!carrier) {
+    throw new Error(`Unknown carrier: ${name}`);
+  }
+  return carrier;
+}
+
+module.exports = {
+  CarrierError,
+  CARRIERS,
+  FAKE_ROUTES,
+  fakeCarrier,
+  carrierFor
+};
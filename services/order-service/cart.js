@@ -0,0 +1,171 @@
+// Shopping carts
+//
+// One cart per user, kept under cart-<userId> in the order store:
+//
+//   { userId, items: [{ productId, quantity, unitPrice, currency, productName, addedAt }],
+//     createdAt, updatedAt, reminderSentAt }
+//
+// `unitPrice` and `currency` are the price the customer last saw. Reads
+// compare them with product-service and flag lines whose price or stock
+// changed (see refreshCart in index.js).
+//
+// Carts with items are listed under active-carts so the abandoned cart sweep
+// finds them without scanning the store. A cart is abandoned once it has not
+// been changed for `abandonedAfterMs`; it gets one reminder until it changes
+// again. The reminder is recorded in the same transaction as its events
+// (see the outbox).
+
+const { StateConcurrencyEnum } = require('@dapr/dapr');
+const { getWithETag, updateWithETag, addToList, removeFromList } = require('../shared/etag-state');
+
+const ACTIVE_CARTS_KEY = 'active-carts';
+
+class CartError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'CartError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function cartKey(userId) {
+  return `cart-${userId}`;
+}
+
+function emptyCart(userId) {
+  return { userId, items: [] };
+}
+
+function createCarts(daprClient, { storeName, abandonedAfterMs, outbox }) {
+  async function getCart(userId) {
+    return (await daprClient.state.get(storeName, cartKey(userId))) || emptyCart(userId);
+  }
+
+  // The cart with the ETag it was read at, for checkout
+  async function getCartWithETag(userId) {
+    const { value, etag } = await getWithETag(daprClient, storeName, cartKey(userId));
+    return { cart: value || emptyCart(userId), etag };
+  }
+
+  // Change the items of a cart. `mutate` gets the current items and returns
+  // the new ones, or undefined to leave the cart alone; it may throw a CartError.
+  async function updateItems(userId, mutate) {
+    const { saved, value } = await updateWithETag(daprClient, storeName, cartKey(userId), async current => {
+      const cart = current || emptyCart(userId);
+      const items = await mutate(cart.items);
+      if (items === undefined) {
+        return undefined;
+      }
+
+      const now = new Date().toISOString();
+      return {
+        ...cart,
+        items,
+        createdAt: cart.createdAt || now,
+        updatedAt: now,
+        reminderSentAt: undefined
+      };
+    });
+
+    const cart = value || emptyCart(userId);
+    if (saved) {
+      if (cart.items.length > 0) {
+        await addToList(daprClient, storeName, ACTIVE_CARTS_KEY, userId);
+      } else {
+        await removeFromList(daprClient, storeName, ACTIVE_CARTS_KEY, userId);
+      }
+    }
+    return cart;
+  }
+
+  // Remember the prices the customer has now seen, without counting as
+  // activity on the cart
+  async function rememberPrices(userId, prices) {
+    const { value } = await updateWithETag(daprClient, storeName, cartKey(userId), current => {
+      if (!current) {
+        return undefined;
+      }
+      return {
+        ...current,
+        items: current.items.map(item => prices[item.productId] ? { ...item, ...prices[item.productId] } : item)
+      };
+    });
+    return value || emptyCart(userId);
+  }
+
+  async function clearCart(userId) {
+    await daprClient.state.delete(storeName, cartKey(userId));
+    await removeFromList(daprClient, storeName, ACTIVE_CARTS_KEY, userId);
+  }
+
+  // State operation deleting the cart as read at `etag`, for a transaction
+  // that must fail when the cart changed meanwhile
+  function clearOperation(userId, etag) {
+    return {
+      operation: 'delete',
+      request: {
+        key: cartKey(userId),
+        etag,
+        options: {
+          concurrency: StateConcurrencyEnum.CONCURRENCY_FIRST_WRITE
+        }
+      }
+    };
+  }
+
+  // Carts left alone for longer than abandonedAfterMs that got no reminder yet.
+  // Users whose cart is gone or empty are dropped from the active list.
+  async function findAbandoned(now = new Date()) {
+    const userIds = await daprClient.state.get(storeName, ACTIVE_CARTS_KEY) || [];
+    const abandoned = [];
+    const settled = [];
+
+    for (const userId of userIds) {
+      const cart = await daprClient.state.get(storeName, cartKey(userId));
+      if (!cart || cart.items.length === 0) {
+        settled.push(userId);
+        continue;
+      }
+      if (!cart.reminderSentAt && now - new Date(cart.updatedAt) >= abandonedAfterMs) {
+        abandoned.push(cart);
+      }
+    }
+
+    // Carts added while sweeping stay on the list
+    if (settled.length > 0) {
+      await updateWithETag(daprClient, storeName, ACTIVE_CARTS_KEY, current =>
+        (current || []).filter(id => !settled.includes(id))
+      );
+    }
+    return abandoned;
+  }
+
+  // Record the reminder for a cart together with `events`, unless the cart
+  // changed since it was found abandoned
+  async function markReminded(cart, events) {
+    const { saved } = await outbox.update(cartKey(cart.userId), current => {
+      if (!current || current.updatedAt !== cart.updatedAt || current.reminderSentAt) {
+        return undefined;
+      }
+      return { ...current, reminderSentAt: new Date().toISOString() };
+    }, events);
+    return saved;
+  }
+
+  return {
+    getCart,
+    getCartWithETag,
+    updateItems,
+    rememberPrices,
+    clearCart,
+    clearOperation,
+    findAbandoned,
+    markReminded
+  };
+}
+
+module.exports = {
+  CartError,
+  createCarts
+};
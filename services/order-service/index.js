@@ -1,6 +1,29 @@
 const express = require('express');
 const { DaprClient } = require('@dapr/dapr');
 const { v4: uuidv4 } = require('uuid');
+const { ETagConflictError, isETagMismatch, updateWithETag, addToList } = require('../shared/etag-state');
+const { IDEMPOTENCY_HEADER, idempotency } = require('../shared/idempotency');
+const { DEFAULT_CURRENCY, CURRENCIES, isCurrency, parseMinorUnits, toMinorUnits, proportionOf, convert } = require('../shared/money');
+const { createExchangeRates } = require('../shared/exchange-rates');
+const { mapWithConcurrency, chunk } = require('../shared/concurrency');
+const { createOutbox, registerOutboxRoutes } = require('../shared/outbox');
+const { eventConsumer } = require('../shared/event-consumer');
+const { createDeadLetters, registerDeadLetterRoutes } = require('../shared/dead-letters');
+const { SAGA_STATUS, SAGA_STEPS, createSagaCoordinator } = require('./saga');
+const { PricingError, priceOrder } = require('./pricing');
+const { PromotionError, COUPON_TYPES, normalizeCode, createPromotions } = require('./promotions');
+const { CartError, createCarts } = require('./cart');
+const { SHIPMENT_STATUS, splitByWarehouse, shipmentSummary, createShipments } = require('./shipments');
+const { carrierFor } = require('./carriers');
+const {
+  RETURN_STATUS,
+  RETURN_REASONS,
+  ITEM_CONDITIONS,
+  ReturnError,
+  returnableQuantities,
+  refundAmountFor,
+  createReturns
+} = require('./returns');
 
 const app = express();
 const port = process.env.PORT || 3003;
@@ -14,6 +37,15 @@ app.use(express.json());
 // State store names
 const ORDER_STORE = 'order-store';
 
+// Events go through the outbox, committed with the state they announce
+const outbox = createOutbox(daprClient, { storeName: ORDER_STORE });
+
+// Event subscriptions skip redelivered events they already handled
+const consumeEvent = eventConsumer(daprClient, { storeName: ORDER_STORE });
+
+// Events their handlers keep failing on are dead-lettered and kept for an admin
+const deadLetters = createDeadLetters(daprClient, { storeName: ORDER_STORE, service: 'order-service', appPort: port });
+
 // Order statuses
 const ORDER_STATUS = {
   PENDING: 'pending',
@@ -21,154 +53,1312 @@ const ORDER_STATUS = {
   PROCESSING: 'processing',
   SHIPPED: 'shipped',
   DELIVERED: 'delivered',
-  CANCELLED: 'cancelled'
+  CANCELLED: 'cancelled',
+  PAYMENT_FAILED: 'payment_failed'
+};
+
+// Allowed status transitions. Statuses not listed as a key are final.
+const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.PAYMENT_FAILED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAYMENT_FAILED]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED]
+};
+
+// Guards that must hold for an order to enter a status
+const hasPayment = {
+  description: 'Order must have a paymentId',
+  check: order => Boolean(order.paymentId)
+};
+
+const ORDER_STATUS_GUARDS = {
+  [ORDER_STATUS.CONFIRMED]: [hasPayment],
+  [ORDER_STATUS.PROCESSING]: [hasPayment],
+  [ORDER_STATUS.SHIPPED]: [hasPayment],
+  [ORDER_STATUS.DELIVERED]: [hasPayment]
+};
+
+function failedGuards(order, status) {
+  return (ORDER_STATUS_GUARDS[status] || []).filter(guard => !guard.check(order));
+}
+
+// Next statuses an order can move to right now
+function allowedNextStatuses(order) {
+  return (ORDER_STATUS_TRANSITIONS[order.status] || []).filter(status =>
+    failedGuards(order, status).length === 0
+  );
+}
+
+// Payment flows: one-shot charges at payment time, two-phase authorizes at
+// payment time and captures once inventory-service has fulfilled the order
+const PAYMENT_FLOWS = {
+  ONE_SHOT: 'one-shot',
+  TWO_PHASE: 'two-phase'
 };
+const DEFAULT_PAYMENT_FLOW = process.env.DEFAULT_PAYMENT_FLOW || PAYMENT_FLOWS.ONE_SHOT;
+
+// How long a customer may retry a declined payment before the order is cancelled
+const PAYMENT_RETRY_WINDOW_MS = parseInt(process.env.PAYMENT_RETRY_WINDOW_MS) || 30 * 60 * 1000;
+const PAYMENT_RETRY_SWEEP_INTERVAL_MS = parseInt(process.env.PAYMENT_RETRY_SWEEP_INTERVAL_MS) || 60 * 1000;
+const PAYMENT_FAILED_ORDERS_KEY = 'payment-failed-orders';
+
+// Carts with products priced in another currency than the order are rejected
+// unless conversion is enabled
+const CURRENCY_CONVERSION_ENABLED = process.env.CURRENCY_CONVERSION_ENABLED === 'true';
+const exchangeRates = createExchangeRates(daprClient, { daprPort });
+
+// Coupons, their use counts and redemptions (kept in the order store so a
+// redemption can be saved in the same transaction as its order)
+const promotions = createPromotions(daprClient, { storeName: ORDER_STORE });
+
+// Cart items are checked with product-service's batch endpoint, in batches of
+// this size with at most PRODUCT_CHECK_CONCURRENCY batches in flight
+const PRODUCT_CHECK_BATCH_SIZE = parseInt(process.env.PRODUCT_CHECK_BATCH_SIZE) || 50;
+const PRODUCT_CHECK_CONCURRENCY = parseInt(process.env.PRODUCT_CHECK_CONCURRENCY) || 4;
+
+// Carts untouched for this long get one reminder (cart-abandoned event)
+const CART_ABANDONED_AFTER_MS = parseInt(process.env.CART_ABANDONED_AFTER_MS) || 24 * 60 * 60 * 1000;
+const CART_SWEEP_INTERVAL_MS = parseInt(process.env.CART_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+const carts = createCarts(daprClient, { storeName: ORDER_STORE, abandonedAfterMs: CART_ABANDONED_AFTER_MS, outbox });
+
+// Shipments are booked with CARRIER, which reports tracking updates to
+// <SHIPMENT_WEBHOOK_BASE_URL>/<shipmentId>/events. With CARRIER_WEBHOOK_TOKEN
+// set, webhook calls must carry it in X-Carrier-Token.
+const SHIPMENT_WEBHOOK_BASE_URL = process.env.SHIPMENT_WEBHOOK_BASE_URL || `http://localhost:${port}/shipments`;
+const CARRIER_WEBHOOK_TOKEN = process.env.CARRIER_WEBHOOK_TOKEN;
+const carrier = carrierFor();
+const shipments = createShipments(daprClient, { storeName: ORDER_STORE, outbox });
+
+// Returns (RMAs) of delivered orders, kept next to their orders
+const returns = createReturns(daprClient, { storeName: ORDER_STORE, outbox });
+
+// Sample coupons for demo
+const sampleCoupons = [
+  { code: 'WELCOME10', type: COUPON_TYPES.PERCENTAGE, value: '10', maxUses: 1000, maxUsesPerUser: 1 },
+  { code: 'SAVE20', type: COUPON_TYPES.FIXED, value: 2000, currency: 'USD', minSubtotal: 10000, maxUses: 100 },
+  { code: 'FREESHIP', type: COUPON_TYPES.FREE_SHIPPING, maxUsesPerUser: 3 },
+  { code: 'GADGETS15', type: COUPON_TYPES.PERCENTAGE, value: '15', targeting: { categories: ['electronics'] } },
+  { code: 'SPORT3FOR2', type: COUPON_TYPES.BUY_X_GET_Y, buyQuantity: 2, getQuantity: 1, targeting: { tags: ['sport'] } }
+];
+
+// Saga coordinator for the payment -> inventory -> shipping lifecycle
+const sagaCoordinator = createSagaCoordinator(daprClient, {
+  storeName: ORDER_STORE,
+  sweepIntervalMs: parseInt(process.env.SAGA_SWEEP_INTERVAL_MS) || 5000,
+  onCompensated: cancelOrderAfterCompensation
+});
+
+// Cancel an order whose saga has been rolled back
+async function cancelOrderAfterCompensation(saga) {
+  // Declined payments keep the order open for retries until the retry window closes
+  if (saga.failedStep === SAGA_STEPS.PROCESS_PAYMENT) {
+    return;
+  }
+
+  const order = await daprClient.state.get(ORDER_STORE, saga.orderId);
+  if (!order || order.status === ORDER_STATUS.CANCELLED) {
+    return;
+  }
+
+  const previousStatus = order.status;
+  order.status = ORDER_STATUS.CANCELLED;
+  order.cancelledAt = new Date().toISOString();
+  order.cancellationReason = saga.failureReason;
+  order.updatedAt = new Date().toISOString();
+
+  // Compensation already refunded and released, so only notify about the status change
+  await outbox.save([
+    {
+      key: saga.orderId,
+      value: order
+    }
+  ], [
+    {
+      topic: 'order-status-updated',
+      data: {
+        orderId: saga.orderId,
+        order,
+        previousStatus,
+        newStatus: ORDER_STATUS.CANCELLED
+      }
+    }
+  ]);
+
+  console.log(`Order cancelled by saga compensation: ${saga.orderId}`);
+
+  // No order-cancelled event is published here, so give the coupon use back directly
+  await promotions.reverse(saga.orderId, saga.failureReason);
+}
+
+// Orders saved before amounts were kept in minor units have decimal amounts
+// and no currency
+function withMinorUnitAmounts(order) {
+  if (!order || order.currency) {
+    return order;
+  }
+  const minor = amount => amount === undefined ? undefined : toMinorUnits(amount, DEFAULT_CURRENCY);
+  return {
+    ...order,
+    currency: DEFAULT_CURRENCY,
+    totalAmount: minor(order.totalAmount),
+    cancellationRefundAmount: minor(order.cancellationRefundAmount),
+    items: order.items.map(item => ({
+      ...item,
+      unitPrice: minor(item.unitPrice),
+      totalPrice: minor(item.totalPrice)
+    }))
+  };
+}
+
+// Price validated items in the order currency. Items priced in another
+// currency are converted, keeping their original price.
+async function priceItems(items, currency) {
+  const foreign = items.filter(item => item.currency !== currency);
+  let rates;
+  if (foreign.length > 0) {
+    rates = await exchangeRates.get();
+  }
+
+  const pricedItems = items.map(item => {
+    if (item.currency === currency) {
+      return { ...item, totalPrice: item.unitPrice * item.quantity };
+    }
+
+    const unitPrice = convert(item.unitPrice, item.currency, currency, rates);
+    return {
+      ...item,
+      currency,
+      unitPrice,
+      totalPrice: unitPrice * item.quantity,
+      originalCurrency: item.currency,
+      originalUnitPrice: item.unitPrice
+    };
+  });
+
+  return {
+    items: pricedItems,
+    exchangeRates: rates && { base: rates.base, rates: rates.rates, source: rates.source }
+  };
+}
+
+async function initializeSampleCoupons() {
+  try {
+    for (const coupon of sampleCoupons) {
+      // Codes that already exist are left as they are
+      await promotions.createCoupon(coupon);
+    }
+  } catch (error) {
+    console.error('Error initializing sample coupons:', error);
+  }
+}
+
+function parseQuantity(quantity) {
+  const parsed = Number(quantity);
+  return Number.isSafeInteger(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+// Check items against product-service. Returns one availability result per
+// item, in order (unknown products have `error` set); fails with a 503
+// PricingError when product-service cannot be reached.
+async function checkItems(items) {
+  const batches = await mapWithConcurrency(chunk(items, PRODUCT_CHECK_BATCH_SIZE), PRODUCT_CHECK_CONCURRENCY, async batch => {
+    try {
+      const response = await daprClient.invoker.invoke(
+        'product-service',
+        'products/check-availability',
+        'POST',
+        { items: batch.map(item => ({ productId: item.productId, quantity: item.quantity })) }
+      );
+      return response.results;
+    } catch (error) {
+      console.error('Error validating products:', error);
+      throw new PricingError('Product validation is unavailable', 503);
+    }
+  });
+  return batches.flat();
+}
+
+// Order item for a cart item, priced from its availability check
+function validatedItem(item, availabilityResponse) {
+  return {
+    productId: item.productId,
+    productName: availabilityResponse.product.name,
+    quantity: item.quantity,
+    unitPrice: availabilityResponse.product.price,
+    currency: availabilityResponse.product.currency,
+    weightGrams: availabilityResponse.product.weightGrams,
+    category: availabilityResponse.product.category,
+    tags: availabilityResponse.product.tags || []
+  };
+}
+
+// PricingError for items that cannot be ordered; `errors` lists every one of them
+function itemsError(errors) {
+  const message = errors.length === 1 ? errors[0].error : `${errors.length} items cannot be ordered`;
+  return new PricingError(message, 400, { errors });
+}
+
+// Validate and price a cart: items are checked against product-service,
+// converted to the order currency and run through the pricing pipeline.
+// Invalid carts fail with a PricingError listing all failing items, unusable
+// coupons with a PromotionError. Per-user coupon limits are only checked when
+// userId is given. Re-pricing an existing order (orderId) does not count the
+// coupon use of that order against the coupon's limits.
+async function quoteCart({ items, currency, shippingAddress, couponCode, userId, orderId }) {
+  const errors = [];
+  const requested = [];
+  items.forEach((item, index) => {
+    if (!item || !item.productId || !parseQuantity(item.quantity)) {
+      errors.push({ index, productId: item && item.productId, error: 'Product ID and a positive integer quantity are required' });
+    } else {
+      requested.push({ index, productId: String(item.productId), quantity: parseQuantity(item.quantity) });
+    }
+  });
+
+  // Validate products using Dapr service invocation
+  const results = requested.length > 0 ? await checkItems(requested) : [];
+  const validatedItems = [];
+
+  results.forEach((availabilityResponse, position) => {
+    const { index, ...item } = requested[position];
+    if (availabilityResponse.error) {
+      errors.push({ index, productId: item.productId, error: `Invalid product ID: ${item.productId}` });
+    } else if (!availabilityResponse.available) {
+      errors.push({
+        index,
+        productId: item.productId,
+        error: `Product ${item.productId} is not available in requested quantity`,
+        availableStock: availabilityResponse.availableStock,
+        requestedQuantity: item.quantity
+      });
+    } else {
+      validatedItems.push(validatedItem(item, availabilityResponse));
+    }
+  });
+
+  if (errors.length > 0) {
+    throw itemsError(errors.sort((a, b) => a.index - b.index));
+  }
+
+  return priceValidatedItems(validatedItems, { currency, shippingAddress, couponCode, userId, orderId });
+}
+
+// Price items already checked against product-service (see quoteCart)
+async function priceValidatedItems(validatedItems, { currency, shippingAddress, couponCode, userId, orderId }) {
+  if (currency !== undefined && !isCurrency(currency)) {
+    throw new PricingError('Invalid currency', 400, { validCurrencies: Object.keys(CURRENCIES) });
+  }
+
+  // The order is charged in the requested currency, else in the currency of its products
+  const itemCurrencies = [...new Set(validatedItems.map(item => item.currency))];
+  const orderCurrency = currency || (itemCurrencies.length === 1 ? itemCurrencies[0] : DEFAULT_CURRENCY);
+
+  if (!CURRENCY_CONVERSION_ENABLED && itemCurrencies.some(itemCurrency => itemCurrency !== orderCurrency)) {
+    throw new PricingError('Mixed-currency carts are not supported', 400, { currency: orderCurrency, itemCurrencies });
+  }
+
+  let priced;
+  try {
+    priced = await priceItems(validatedItems, orderCurrency);
+  } catch (error) {
+    console.error('Error converting order currency:', error);
+    throw new PricingError('Currency conversion is unavailable', 503);
+  }
+
+  let coupon;
+  let userUses;
+  if (couponCode) {
+    coupon = await promotions.getCoupon(couponCode);
+    if (!coupon) {
+      throw new PromotionError('Coupon code is not valid', 400, { couponCode: normalizeCode(couponCode) });
+    }
+    if (orderId) {
+      coupon = { ...coupon, usedCount: coupon.usedCount - 1 };
+    } else if (userId) {
+      userUses = await promotions.getUserUses(couponCode, userId);
+    }
+  }
+
+  const pricing = priceOrder({ items: priced.items, currency: orderCurrency, shippingAddress, coupon, userUses });
+
+  return {
+    items: priced.items,
+    currency: orderCurrency,
+    exchangeRates: priced.exchangeRates,
+    pricing
+  };
+}
+
+function isPricingError(error) {
+  return error instanceof PricingError || error instanceof PromotionError;
+}
+
+function sendPricingError(res, error) {
+  return res.status(error.status).json({ error: error.message, ...error.details });
+}
+
+// User from user-service, or undefined when it does not exist
+async function getUser(userId) {
+  try {
+    return await daprClient.invoker.invoke('user-service', `users/${userId}`, 'GET');
+  } catch (error) {
+    console.error('Error validating user:', error);
+    return undefined;
+  }
+}
+
+// Save a new order for a priced cart and announce it. The coupon redemption,
+// `operations` and the order-created event are committed in the same state
+// transaction as the order; a coupon that can no longer be used fails with a
+// PromotionError.
+async function placeOrder({ userId, user, quote, shippingAddress, paymentMethod, paymentFlow, couponCode }, operations = []) {
+  const orderId = uuidv4();
+
+  const order = {
+    id: orderId,
+    userId,
+    userName: user.name,
+    userEmail: user.email,
+    items: quote.items,
+    pricing: quote.pricing,
+    totalAmount: quote.pricing.total,
+    currency: quote.currency,
+    couponCode: couponCode ? normalizeCode(couponCode) : undefined,
+    exchangeRates: quote.exchangeRates,
+    status: ORDER_STATUS.PENDING,
+    shippingAddress: shippingAddress || {},
+    paymentMethod: paymentMethod || 'credit_card',
+    paymentFlow,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  const saveOrder = {
+    operation: 'upsert',
+    request: { key: orderId, value: order }
+  };
+  const created = outbox.batch([{ topic: 'order-created', data: { orderId, order } }], [saveOrder, ...operations]);
+
+  if (couponCode) {
+    await promotions.redeem(couponCode, {
+      orderId,
+      userId,
+      items: quote.items,
+      currency: quote.currency,
+      subtotal: quote.pricing.subtotal,
+      discount: quote.pricing.discounts[0]
+    }, created.operations);
+  } else {
+    await created.commit();
+  }
+
+  // Update order list for user (concurrent orders of one user must not drop each other)
+  await addToList(daprClient, ORDER_STORE, `user-orders-${userId}`, orderId);
+
+  console.log(`Order created: ${orderId}`);
+
+  // Publish order created event
+  await created.relay();
+
+  return order;
+}
 
 // API Endpoints
 
 // Create order
-app.post('/orders', async (req, res) => {
+// Retries carrying the same Idempotency-Key get the first response instead of a second order
+app.post('/orders', idempotency(daprClient, { storeName: ORDER_STORE, scope: 'orders-create' }), async (req, res) => {
   try {
-    const { userId, items, shippingAddress, paymentMethod } = req.body;
+    const { userId, items, shippingAddress, paymentMethod, paymentFlow = DEFAULT_PAYMENT_FLOW, currency, couponCode } = req.body;
     
     if (!userId || !items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ error: 'User ID and items are required' });
     }
     
-    // Validate user exists using Dapr service invocation
-    let user;
+    if (!Object.values(PAYMENT_FLOWS).includes(paymentFlow)) {
+      return res.status(400).json({
+        error: 'Invalid payment flow',
+        validFlows: Object.values(PAYMENT_FLOWS)
+      });
+    }
+
+    // Validate the user and the products (and price the cart) concurrently
+    const [user, quoted] = await Promise.all([
+      getUser(userId),
+      quoteCart({ items, currency, shippingAddress, couponCode, userId }).then(
+        quote => ({ quote }),
+        error => ({ error })
+      )
+    ]);
+
+    // An invalid user is reported together with the items that failed
+    if (!user) {
+      const itemErrors = quoted.error instanceof PricingError ? quoted.error.details.errors || [] : [];
+      return res.status(400).json({
+        error: 'Invalid user ID',
+        errors: [{ userId, error: 'Invalid user ID' }, ...itemErrors]
+      });
+    }
+
+    if (quoted.error) {
+      if (isPricingError(quoted.error)) {
+        return sendPricingError(res, quoted.error);
+      }
+      throw quoted.error;
+    }
+    const { quote } = quoted;
+
+    let order;
     try {
-      const userResponse = await daprClient.invoker.invoke(
-        'user-service',
-        `users/${userId}`,
-        'GET'
-      );
-      user = userResponse;
+      order = await placeOrder({ userId, user, quote, shippingAddress, paymentMethod, paymentFlow, couponCode });
     } catch (error) {
-      console.error('Error validating user:', error);
-      return res.status(400).json({ error: 'Invalid user ID' });
+      if (error instanceof PromotionError) {
+        return sendPricingError(res, error);
+      }
+      throw error;
     }
     
-    // Validate products and calculate total using Dapr service invocation
-    let totalAmount = 0;
-    const validatedItems = [];
-    
-    for (const item of items) {
-      try {
-        // Check product availability
-        const availabilityResponse = await daprClient.invoker.invoke(
-          'product-service',
-          `products/${item.productId}/check-availability`,
-          'POST',
-          { quantity: item.quantity }
-        );
-        
-        if (!availabilityResponse.available) {
-          return res.status(400).json({ 
-            error: `Product ${item.productId} is not available in requested quantity`,
-            availableStock: availabilityResponse.availableStock,
-            requestedQuantity: item.quantity
-          });
-        }
-        
-        const itemTotal = availabilityResponse.product.price * item.quantity;
-        totalAmount += itemTotal;
-        
-        validatedItems.push({
-          productId: item.productId,
-          productName: availabilityResponse.product.name,
-          quantity: item.quantity,
-          unitPrice: availabilityResponse.product.price,
-          totalPrice: itemTotal
-        });
-        
-      } catch (error) {
-        console.error(`Error validating product ${item.productId}:`, error);
-        return res.status(400).json({ error: `Invalid product ID: ${item.productId}` });
-      }
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Error creating order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Price a cart without creating an order
+app.post('/orders/quote', async (req, res) => {
+  try {
+    const { userId, items, shippingAddress, currency, couponCode } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
     }
     
-    const orderId = uuidv4();
-    const order = {
-      id: orderId,
-      userId,
-      userName: user.name,
-      userEmail: user.email,
-      items: validatedItems,
-      totalAmount,
-      status: ORDER_STATUS.PENDING,
-      shippingAddress: shippingAddress || {},
-      paymentMethod: paymentMethod || 'credit_card',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const quote = await quoteCart({ items, currency, shippingAddress, couponCode, userId });
     
-    // Save order to state store
-    await daprClient.state.save(ORDER_STORE, [
-      {
-        key: orderId,
-        value: order
+    res.json({
+      ...quote,
+      quotedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    if (isPricingError(error)) {
+      return sendPricingError(res, error);
+    }
+    console.error('Error quoting order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a coupon code
+app.post('/coupons', async (req, res) => {
+  try {
+    const coupon = await promotions.createCoupon(req.body);
+
+    if (!coupon) {
+      return res.status(409).json({ error: 'Coupon code already exists' });
+    }
+
+    console.log(`Coupon created: ${coupon.code}`);
+
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return sendPricingError(res, error);
+    }
+    console.error('Error creating coupon:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a coupon code and its usage
+app.get('/coupons/:code', async (req, res) => {
+  try {
+    const coupon = await promotions.getCoupon(req.params.code);
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json(coupon);
+  } catch (error) {
+    console.error('Error getting coupon:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Re-check a cart against product-service. Lines are flagged when their price
+// differs from the one the customer last saw (priceChanged) or the stock no
+// longer covers the quantity (stockChanged). The available lines are priced
+// like an order; the new prices are remembered as seen.
+async function refreshCart(cart, { currency } = {}) {
+  const lines = [];
+  const validatedItems = [];
+  const seenPrices = {};
+  const results = cart.items.length > 0 ? await checkItems(cart.items) : [];
+
+  cart.items.forEach((item, index) => {
+    const availabilityResponse = results[index];
+    if (availabilityResponse.error) {
+      lines.push({ ...item, available: false, productUnavailable: true, stockChanged: true, priceChanged: false });
+      return;
+    }
+
+    const current = validatedItem(item, availabilityResponse);
+    const priceChanged = current.unitPrice !== item.unitPrice || current.currency !== item.currency;
+    if (priceChanged) {
+      seenPrices[item.productId] = { unitPrice: current.unitPrice, currency: current.currency };
+    }
+
+    lines.push({
+      ...item,
+      productName: current.productName,
+      unitPrice: current.unitPrice,
+      currency: current.currency,
+      totalPrice: current.unitPrice * item.quantity,
+      available: availabilityResponse.available,
+      availableStock: availabilityResponse.availableStock,
+      priceChanged,
+      previousUnitPrice: priceChanged ? item.unitPrice : undefined,
+      previousCurrency: priceChanged && current.currency !== item.currency ? item.currency : undefined,
+      stockChanged: !availabilityResponse.available
+    });
+
+    if (availabilityResponse.available) {
+      validatedItems.push(current);
+    }
+  });
+
+  if (Object.keys(seenPrices).length > 0) {
+    await carts.rememberPrices(cart.userId, seenPrices);
+  }
+
+  let pricing;
+  let pricingError;
+  if (validatedItems.length > 0) {
+    try {
+      ({ pricing } = await priceValidatedItems(validatedItems, { currency }));
+    } catch (error) {
+      if (!isPricingError(error)) {
+        throw error;
       }
-    ]);
+      pricingError = error.message;
+    }
+  }
+
+  return {
+    cart: {
+      userId: cart.userId,
+      items: lines,
+      hasChanges: lines.some(line => line.priceChanged || line.stockChanged),
+      pricing,
+      pricingError,
+      createdAt: cart.createdAt,
+      updatedAt: cart.updatedAt
+    },
+    validatedItems
+  };
+}
+
+// Cart line for a product in the wanted quantity, priced as the customer sees it now
+async function cartLine(productId, quantity, addedAt) {
+  const [availabilityResponse] = await checkItems([{ productId, quantity }]);
+
+  if (availabilityResponse.error) {
+    throw new CartError(`Invalid product ID: ${productId}`);
+  }
+
+  if (!availabilityResponse.available) {
+    throw new CartError(`Product ${productId} is not available in requested quantity`, 400, {
+      availableStock: availabilityResponse.availableStock,
+      requestedQuantity: quantity
+    });
+  }
+
+  return {
+    productId,
+    productName: availabilityResponse.product.name,
+    quantity,
+    unitPrice: availabilityResponse.product.price,
+    currency: availabilityResponse.product.currency,
+    addedAt: addedAt || new Date().toISOString()
+  };
+}
+
+async function sendCart(res, userId, status = 200) {
+  const { cart } = await refreshCart(await carts.getCart(userId));
+  res.status(status).json(cart);
+}
+
+// Get a user's cart, re-priced and re-checked against product-service
+app.get('/users/:userId/cart', async (req, res) => {
+  try {
+    const { cart } = await refreshCart(await carts.getCart(req.params.userId), { currency: req.query.currency });
     
-    // Update order list for user
-    const userOrdersKey = `user-orders-${userId}`;
-    const userOrders = await daprClient.state.get(ORDER_STORE, userOrdersKey) || [];
-    userOrders.push(orderId);
-    await daprClient.state.save(ORDER_STORE, [
-      {
-        key: userOrdersKey,
-        value: userOrders
+    res.json(cart);
+  } catch (error) {
+    if (isPricingError(error)) {
+      return sendPricingError(res, error);
+    }
+    console.error('Error getting cart:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a product to a cart (adds to the quantity of a line already in the cart)
+app.post('/users/:userId/cart/items', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { productId } = req.body;
+    const quantity = parseQuantity(req.body.quantity === undefined ? 1 : req.body.quantity);
+
+    if (!productId || !quantity) {
+      return res.status(400).json({ error: 'Product ID and a positive integer quantity are required' });
+    }
+
+    await carts.updateItems(userId, async items => {
+      const existing = items.find(item => item.productId === productId);
+      if (!existing) {
+        return [...items, await cartLine(productId, quantity)];
       }
-    ]);
+      const line = await cartLine(productId, existing.quantity + quantity, existing.addedAt);
+      return items.map(item => item.productId === productId ? line : item);
+    });
     
-    console.log(`Order created: ${orderId}`);
+    console.log(`Cart item added: ${productId} x${quantity} for user ${userId}`);
     
-    // Publish order created event
-    await daprClient.pubsub.publish('order-pubsub', 'order-created', {
-      orderId,
-      order
+    await sendCart(res, userId, 201);
+  } catch (error) {
+    if (error instanceof CartError || isPricingError(error)) {
+      return sendPricingError(res, error);
+    }
+    console.error('Error adding cart item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the quantity of a cart line (0 removes it)
+app.put('/users/:userId/cart/items/:productId', async (req, res) => {
+  try {
+    const { userId, productId } = req.params;
+    const quantity = req.body.quantity === 0 || req.body.quantity === '0' ? 0 : parseQuantity(req.body.quantity);
+
+    if (quantity === undefined) {
+      return res.status(400).json({ error: 'Quantity must be a non-negative integer' });
+    }
+
+    let found = false;
+    await carts.updateItems(userId, async items => {
+      found = items.some(item => item.productId === productId);
+      if (!found) {
+        return undefined;
+      }
+      if (quantity === 0) {
+        return items.filter(item => item.productId !== productId);
+      }
+      const existing = items.find(item => item.productId === productId);
+      const line = await cartLine(productId, quantity, existing.addedAt);
+      return items.map(item => item.productId === productId ? line : item);
     });
     
-    res.status(201).json(order);
+    if (!found) {
+      return res.status(404).json({ error: 'Product is not in the cart' });
+    }
+
+    await sendCart(res, userId);
   } catch (error) {
-    console.error('Error creating order:', error);
+    if (error instanceof CartError || isPricingError(error)) {
+      return sendPricingError(res, error);
+    }
+    console.error('Error updating cart item:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get order by ID
-app.get('/orders/:id', async (req, res) => {
+// Remove a product from a cart
+app.delete('/users/:userId/cart/items/:productId', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { userId, productId } = req.params;
     
-    const order = await daprClient.state.get(ORDER_STORE, id);
+    let found = false;
+    await carts.updateItems(userId, items => {
+      found = items.some(item => item.productId === productId);
+      return found ? items.filter(item => item.productId !== productId) : undefined;
+    });
     
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    if (!found) {
+      return res.status(404).json({ error: 'Product is not in the cart' });
     }
     
-    res.json(order);
+    await sendCart(res, userId);
   } catch (error) {
-    console.error('Error getting order:', error);
+    console.error('Error removing cart item:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get orders for a user
-app.get('/users/:userId/orders', async (req, res) => {
+// Empty a cart
+app.delete('/users/:userId/cart', async (req, res) => {
+  try {
+    await carts.clearCart(req.params.userId);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn a cart into an order. The order is saved and the cart deleted in one
+// state transaction; a cart that changed meanwhile fails with 409 and is kept.
+// Carts whose prices or stock changed since the customer last saw them are
+// answered with 409 and the refreshed cart instead of being ordered.
+app.post('/users/:userId/cart/checkout', idempotency(daprClient, { storeName: ORDER_STORE, scope: 'cart-checkout' }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { status, page = 1, limit = 10 } = req.query;
+    const { shippingAddress, paymentMethod, paymentFlow = DEFAULT_PAYMENT_FLOW, currency, couponCode } = req.body;
     
-    // Get user's order IDs
-    const userOrdersKey = `user-orders-${userId}`;
-    const orderIds = await daprClient.state.get(ORDER_STORE, userOrdersKey) || [];
+    if (!Object.values(PAYMENT_FLOWS).includes(paymentFlow)) {
+      return res.status(400).json({
+        error: 'Invalid payment flow',
+        validFlows: Object.values(PAYMENT_FLOWS)
+      });
+    }
     
-    // Get order details
-    const orders = [];
-    for (const orderId of orderIds) {
-      const order = await daprClient.state.get(ORDER_STORE, orderId);
+    const user = await getUser(userId);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const { cart, etag } = await carts.getCartWithETag(userId);
+    if (cart.items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const refreshed = await refreshCart(cart, { currency });
+    if (refreshed.cart.hasChanges) {
+      return res.status(409).json({
+        error: 'Cart changed since it was last seen, review it before checking out',
+        cart: refreshed.cart
+      });
+    }
+
+    let quote;
+    try {
+      quote = await priceValidatedItems(refreshed.validatedItems, { currency, shippingAddress, couponCode, userId });
+    } catch (error) {
+      if (isPricingError(error)) {
+        return sendPricingError(res, error);
+      }
+      throw error;
+    }
+
+    let order;
+    try {
+      order = await placeOrder(
+        { userId, user, quote, shippingAddress, paymentMethod, paymentFlow, couponCode },
+        [carts.clearOperation(userId, etag)]
+      );
+    } catch (error) {
+      if (error instanceof PromotionError) {
+        return sendPricingError(res, error);
+      }
+      if (error instanceof ETagConflictError || isETagMismatch(error)) {
+        return res.status(409).json({ error: 'Cart changed during checkout, review it and try again' });
+      }
+      throw error;
+    }
+
+    console.log(`Cart checked out: user ${userId}, order ${order.id}`);
+
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Error checking out cart:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the shipments of an order with their tracking events
+app.get('/orders/:id/shipments', async (req, res) => {
+  try {
+    const order = await daprClient.state.get(ORDER_STORE, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const orderShipments = await Promise.all(
+      (order.shipments || []).map(summary => shipments.getShipment(summary.id))
+    );
+
+    res.json({
+      orderId: order.id,
+      shipments: orderShipments.filter(Boolean)
+    });
+  } catch (error) {
+    console.error('Error getting order shipments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a shipment and its tracking events
+app.get('/shipments/:id', async (req, res) => {
+  try {
+    const shipment = await shipments.getShipment(req.params.id);
+
+    if (!shipment) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+
+    res.json(shipment);
+  } catch (error) {
+    console.error('Error getting shipment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Carry a shipment's new status over to its order. The order is delivered
+// once all of its shipments are.
+async function updateOrderShipment(shipment) {
+  let previousStatus;
+
+  const { saved, value: order } = await outbox.update(shipment.orderId, current => {
+    previousStatus = undefined;
+    if (!current) {
+      return undefined;
+    }
+
+    const now = new Date().toISOString();
+    const orderShipments = (current.shipments || []).map(summary =>
+      summary.id === shipment.id ? shipmentSummary(shipment) : summary
+    );
+    const updated = { ...current, shipments: orderShipments, updatedAt: now };
+
+    const allDelivered = orderShipments.length > 0 &&
+      orderShipments.every(summary => summary.status === SHIPMENT_STATUS.DELIVERED);
+    const canDeliver = (ORDER_STATUS_TRANSITIONS[current.status] || []).includes(ORDER_STATUS.DELIVERED) &&
+      failedGuards(updated, ORDER_STATUS.DELIVERED).length === 0;
+
+    if (allDelivered && canDeliver) {
+      previousStatus = current.status;
+      updated.status = ORDER_STATUS.DELIVERED;
+      updated.deliveredAt = now;
+    }
+    return updated;
+  }, updated => previousStatus ? [
+    {
+      topic: 'order-status-updated',
+      data: {
+        orderId: updated.id,
+        order: updated,
+        previousStatus,
+        newStatus: ORDER_STATUS.DELIVERED
+      }
+    }
+  ] : []);
+
+  if (saved && previousStatus) {
+    console.log(`Order delivered: ${order.id}`);
+  }
+}
+
+// Carrier webhook for tracking updates
+// Body: { eventId, status, description, location, occurredAt }. Redelivered
+// events (same eventId) are acknowledged without being applied again.
+app.post('/shipments/:id/events', async (req, res) => {
+  try {
+    if (CARRIER_WEBHOOK_TOKEN && req.get('X-Carrier-Token') !== CARRIER_WEBHOOK_TOKEN) {
+      return res.status(401).json({ error: 'Invalid carrier token' });
+    }
+
+    const { id } = req.params;
+    const { eventId, status, description, location, occurredAt } = req.body;
+
+    if (!Object.values(SHIPMENT_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid shipment status',
+        validStatuses: Object.values(SHIPMENT_STATUS)
+      });
+    }
+
+    if (occurredAt !== undefined && isNaN(Date.parse(occurredAt))) {
+      return res.status(400).json({ error: 'occurredAt must be a date' });
+    }
+
+    const now = new Date().toISOString();
+    const result = await shipments.recordEvent(id, {
+      eventId: eventId !== undefined ? String(eventId) : undefined,
+      status,
+      description,
+      location,
+      occurredAt: occurredAt || now,
+      receivedAt: now
+    }, updated => [
+      {
+        topic: 'shipment-updated',
+        data: {
+          orderId: updated.orderId,
+          shipmentId: id,
+          shipment: shipmentSummary(updated),
+          status: updated.status
+        }
+      }
+    ]);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+
+    const { shipment, recorded } = result;
+
+    if (recorded) {
+      console.log(`Shipment ${id} is now ${shipment.status}`);
+
+      await updateOrderShipment(shipment);
+    }
+
+    res.json({ ...shipment, duplicate: !recorded });
+  } catch (error) {
+    console.error('Error recording shipment event:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Returns
+
+// ReturnError for items that cannot be returned; `errors` lists every one of them
+function returnItemsError(errors) {
+  const message = errors.length === 1 ? errors[0].error : `${errors.length} items cannot be returned`;
+  return new ReturnError(message, 400, { errors });
+}
+
+// Warehouse an order item was shipped from, where it is restocked by default
+function shippedFrom(order, productId) {
+  const shipment = (order.shipments || []).find(summary =>
+    summary.items.some(item => item.productId === productId)
+  );
+  return shipment && shipment.warehouse;
+}
+
+// Every step of a return is published; inventory-service and payment-service
+// act on received returns, notification-service tells the customer
+function returnStatusEvents({ record, order, previousStatus }) {
+  return [
+    {
+      topic: 'return-status-updated',
+      data: {
+        returnId: record.id,
+        orderId: record.orderId,
+        rmaNumber: record.rmaNumber,
+        return: record,
+        order,
+        previousStatus,
+        newStatus: record.status
+      }
+    }
+  ];
+}
+
+// Request a return of items of a delivered order
+// Body: { items: [{ productId, quantity, reason, comment }], notes }. Each item
+// can be returned up to the ordered quantity minus what earlier returns claim.
+app.post('/orders/:id/returns', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items, notes } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+
+    const { record, order } = await returns.createReturn(id, stored => {
+      const current = withMinorUnitAmounts(stored);
+
+      if (current.status !== ORDER_STATUS.DELIVERED) {
+        throw new ReturnError('Only delivered orders can be returned', 409, { currentStatus: current.status });
+      }
+
+      const returnable = returnableQuantities(current);
+      const returnItems = [];
+      const errors = [];
+
+      items.forEach((item, index) => {
+        const productId = item && item.productId;
+        const orderItem = current.items.find(candidate => candidate.productId === productId);
+        const quantity = item && parseQuantity(item.quantity);
+
+        if (!orderItem) {
+          errors.push({ index, productId, error: 'Product is not part of the order' });
+        } else if (items.findIndex(other => other && other.productId === productId) !== index) {
+          errors.push({ index, productId, error: 'Product is listed more than once' });
+        } else if (!quantity) {
+          errors.push({ index, productId, error: 'Quantity must be a positive integer' });
+        } else if (!RETURN_REASONS.includes(item.reason)) {
+          errors.push({ index, productId, error: 'Invalid return reason', validReasons: RETURN_REASONS });
+        } else if (quantity > returnable[productId]) {
+          errors.push({
+            index,
+            productId,
+            error: 'Quantity exceeds what can still be returned',
+            requested: quantity,
+            returnable: returnable[productId]
+          });
+        } else {
+          returnable[productId] -= quantity;
+          returnItems.push({
+            productId,
+            productName: orderItem.productName,
+            quantity,
+            unitPrice: orderItem.unitPrice,
+            reason: item.reason,
+            comment: item.comment
+          });
+        }
+      });
+
+      if (errors.length > 0) {
+        throw returnItemsError(errors);
+      }
+
+      return { items: returnItems, currency: current.currency, notes };
+    }, returnStatusEvents);
+
+    console.log(`Return requested: ${record.rmaNumber} for order ${id}`);
+
+    res.status(201).json(record);
+  } catch (error) {
+    if (error instanceof ReturnError) {
+      return sendPricingError(res, error);
+    }
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Order is being updated concurrently, please retry' });
+    }
+    console.error('Error requesting return:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the returns of an order with their history
+app.get('/orders/:id/returns', async (req, res) => {
+  try {
+    const order = await daprClient.state.get(ORDER_STORE, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const orderReturns = await Promise.all(
+      (order.returns || []).map(summary => returns.getReturn(summary.id))
+    );
+
+    res.json({
+      orderId: order.id,
+      returnableQuantities: order.status === ORDER_STATUS.DELIVERED ? returnableQuantities(order) : {},
+      returns: orderReturns.filter(Boolean)
+    });
+  } catch (error) {
+    console.error('Error getting order returns:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a return and its history
+app.get('/returns/:id', async (req, res) => {
+  try {
+    const record = await returns.getReturn(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    res.json(record);
+  } catch (error) {
+    console.error('Error getting return:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve a requested return (admin); the customer can send the items back
+app.post('/admin/returns/:id/approve', async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    const result = await returns.transition(req.params.id, RETURN_STATUS.APPROVED, {
+      note: notes,
+      events: returnStatusEvents
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    console.log(`Return approved: ${result.record.rmaNumber}`);
+
+    res.json(result.record);
+  } catch (error) {
+    if (error instanceof ReturnError) {
+      return sendPricingError(res, error);
+    }
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Order is being updated concurrently, please retry' });
+    }
+    console.error('Error approving return:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reject a requested return (admin); its items can be returned again
+app.post('/admin/returns/:id/reject', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A rejection reason is required' });
+    }
+
+    const result = await returns.transition(req.params.id, RETURN_STATUS.REJECTED, {
+      note: reason,
+      changes: { rejectionReason: reason },
+      events: returnStatusEvents
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    console.log(`Return rejected: ${result.record.rmaNumber}`);
+
+    res.json(result.record);
+  } catch (error) {
+    if (error instanceof ReturnError) {
+      return sendPricingError(res, error);
+    }
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Order is being updated concurrently, please retry' });
+    }
+    console.error('Error rejecting return:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Receive the items of an approved return (admin). The refund amount is fixed
+// now; restocking and the refund follow from the return-status-updated event.
+// Body: { items: [{ productId, condition, location }], notes }. Items left out
+// are sellable and go back to the warehouse they were shipped from.
+app.post('/admin/returns/:id/receive', async (req, res) => {
+  try {
+    const { items = [], notes } = req.body;
+
+    if (!Array.isArray(items) || !items.every(item => item && typeof item === 'object' && item.productId)) {
+      return res.status(400).json({ error: 'Items must be a list of products with a product ID' });
+    }
+
+    const invalid = items.filter(item => item.condition !== undefined && !Object.values(ITEM_CONDITIONS).includes(item.condition));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid item condition',
+        productIds: invalid.map(item => item.productId),
+        validConditions: Object.values(ITEM_CONDITIONS)
+      });
+    }
+
+    const result = await returns.transition(req.params.id, RETURN_STATUS.RECEIVED, {
+      note: notes,
+      changes: (current, stored) => {
+        const unknown = items.filter(item => !current.items.some(returned => returned.productId === item.productId));
+        if (unknown.length > 0) {
+          throw new ReturnError('Products are not part of the return', 400, {
+            productIds: unknown.map(item => item.productId)
+          });
+        }
+
+        const order = withMinorUnitAmounts(stored);
+        const received = current.items.map(returned => {
+          const report = items.find(item => item.productId === returned.productId) || {};
+          return {
+            ...returned,
+            condition: report.condition || ITEM_CONDITIONS.SELLABLE,
+            location: report.location || shippedFrom(order, returned.productId)
+          };
+        });
+
+        return {
+          items: received,
+          refundAmount: refundAmountFor(order, { ...current, items: received })
+        };
+      },
+      events: returnStatusEvents
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    console.log(`Return received: ${result.record.rmaNumber}, refunding ${result.record.refundAmount} ${result.record.currency}`);
+
+    res.json(result.record);
+  } catch (error) {
+    if (error instanceof ReturnError) {
+      return sendPricingError(res, error);
+    }
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Order is being updated concurrently, please retry' });
+    }
+    console.error('Error receiving return:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the order status model (statuses, transitions and guards)
+app.get('/orders/status-model', (req, res) => {
+  const statuses = Object.values(ORDER_STATUS);
+
+  res.json({
+    statuses,
+    initialStatus: ORDER_STATUS.PENDING,
+    finalStatuses: statuses.filter(status => !ORDER_STATUS_TRANSITIONS[status]),
+    transitions: statuses.map(status => ({
+      from: status,
+      to: (ORDER_STATUS_TRANSITIONS[status] || []).map(target => ({
+        status: target,
+        requirements: (ORDER_STATUS_GUARDS[target] || []).map(guard => guard.description)
+      }))
+    }))
+  });
+});
+
+// Get order by ID
+app.get('/orders/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = withMinorUnitAmounts(await daprClient.state.get(ORDER_STORE, id));
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error getting order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get orders for a user
+app.get('/users/:userId/orders', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status, page = 1, limit = 10 } = req.query;
+
+    // Get user's order IDs
+    const userOrdersKey = `user-orders-${userId}`;
+    const orderIds = await daprClient.state.get(ORDER_STORE, userOrdersKey) || [];
+
+    // Get order details
+    const orders = [];
+    for (const orderId of orderIds) {
+      const order = withMinorUnitAmounts(await daprClient.state.get(ORDER_STORE, orderId));
       if (order) {
         // Filter by status if provided
         if (!status || order.status === status) {
@@ -176,15 +1366,15 @@ app.get('/users/:userId/orders', async (req, res) => {
         }
       }
     }
-    
+
     // Sort by creation date (newest first)
     orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
+
     // Apply pagination
     const startIndex = (page - 1) * limit;
     const endIndex = startIndex + parseInt(limit);
     const paginatedOrders = orders.slice(startIndex, endIndex);
-    
+
     res.json({
       orders: paginatedOrders,
       pagination: {
@@ -199,292 +1389,1504 @@ app.get('/users/:userId/orders', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error getting user orders:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error getting user orders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Order amendments
+
+// Statuses in which items and shipping address can still be changed
+const AMENDABLE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED];
+
+// Amendments are committed before their extra charge or refund is made; ones
+// whose request did not see the settlement through are settled by a sweeper
+const AMENDMENT_SETTLEMENT_TIMEOUT_MS = parseInt(process.env.AMENDMENT_SETTLEMENT_TIMEOUT_MS) || 60 * 1000;
+const AMENDMENT_SWEEP_INTERVAL_MS = parseInt(process.env.AMENDMENT_SWEEP_INTERVAL_MS) || 60 * 1000;
+const PENDING_AMENDMENTS_KEY = 'pending-amendments';
+
+function itemQuantities(items) {
+  const quantities = {};
+  for (const item of items) {
+    quantities[item.productId] = (quantities[item.productId] || 0) + item.quantity;
+  }
+  return quantities;
+}
+
+// Lines added, removed and changed between two item lists
+function itemChanges(previousItems, items) {
+  const before = itemQuantities(previousItems);
+  const after = itemQuantities(items);
+  const changes = { added: [], removed: [], changed: [] };
+
+  for (const [productId, quantity] of Object.entries(after)) {
+    if (before[productId] === undefined) {
+      changes.added.push({ productId, quantity });
+    } else if (before[productId] !== quantity) {
+      changes.changed.push({ productId, from: before[productId], to: quantity });
+    }
+  }
+  for (const [productId, quantity] of Object.entries(before)) {
+    if (after[productId] === undefined) {
+      changes.removed.push({ productId, quantity });
+    }
+  }
+  return changes;
+}
+
+// Revision entry describing the order as it stands
+function orderRevision(order, revision, details = {}) {
+  return {
+    revision,
+    items: order.items.map(item => ({ productId: item.productId, quantity: item.quantity, unitPrice: item.unitPrice })),
+    shippingAddress: order.shippingAddress,
+    totalAmount: order.totalAmount,
+    currency: order.currency,
+    ...details
+  };
+}
+
+// What amendments of the order were charged on top of its payment
+function amendmentCharges(order) {
+  return (order.revisions || [])
+    .filter(revision => revision.settlement && revision.settlement.type === 'charge')
+    .reduce((sum, revision) => sum + revision.settlement.amount, 0);
+}
+
+// Status code of a failed Dapr service invocation, if it reports one
+function invocationStatus(error) {
+  try {
+    return JSON.parse(error.message).status;
+  } catch (parseError) {
+    return undefined;
+  }
+}
+
+// How the price difference of an amendment is settled. Unpaid orders are
+// simply charged the new total later and authorized two-phase payments
+// capture it when the order ships; paid orders get an extra charge or a
+// partial refund, made once the amendment is committed.
+function amendmentSettlement(order, difference) {
+  if (difference === 0 || !order.paymentId) {
+    return { type: 'none', amount: 0 };
+  }
+
+  if (difference > 0) {
+    return { type: 'charge', amount: difference };
+  }
+
+  if (order.paymentStatus === 'authorized') {
+    return { type: 'capture', amount: difference, paymentId: order.paymentId };
+  }
+
+  return { type: 'refund', amount: -difference, paymentId: order.paymentId };
+}
+
+// Make the extra charge or refund of a pending amendment. Both carry an
+// Idempotency-Key of the revision, so retrying one replays its outcome.
+async function settleAmendment(order, { revision, settlement }, paymentDetails) {
+  const headers = { [IDEMPOTENCY_HEADER]: `order-${order.id}-amendment-${revision}` };
+
+  if (settlement.type === 'charge') {
+    const payment = await daprClient.invoker.invoke(
+      'payment-service',
+      'payments/process',
+      'POST',
+      {
+        orderId: order.id,
+        amount: settlement.amount,
+        currency: order.currency,
+        paymentMethod: order.paymentMethod,
+        paymentDetails,
+        flow: PAYMENT_FLOWS.ONE_SHOT
+      },
+      { headers }
+    );
+    return { ...settlement, paymentId: payment.paymentId };
+  }
+
+  const refund = await daprClient.invoker.invoke(
+    'payment-service',
+    `payments/${settlement.paymentId}/refund`,
+    'POST',
+    { amount: settlement.amount, reason: `Order amended (revision ${revision})` },
+    { headers }
+  );
+  return { ...settlement, refundId: refund.refundId };
+}
+
+// Finish the pending amendment `revision` of an order. With its settlement
+// the amendment is recorded as paid and announced; without one it is undone
+// and the order stands as it did before.
+async function completeAmendment(orderId, revision, settlement) {
+  const { saved, value } = await outbox.update(orderId, current => {
+    if (!current || !current.pendingAmendment || current.pendingAmendment.revision !== revision) {
+      return undefined;
+    }
+
+    const { pendingAmendment, ...order } = current;
+    if (!settlement) {
+      return { ...order, ...pendingAmendment.previous, updatedAt: new Date().toISOString() };
+    }
+    return {
+      ...order,
+      revisions: order.revisions.map(entry => (entry.revision === revision ? { ...entry, settlement } : entry)),
+      updatedAt: new Date().toISOString()
+    };
+  }, order => {
+    if (!settlement) {
+      return [];
+    }
+    const amendment = order.revisions.find(entry => entry.revision === revision);
+    return [
+      {
+        topic: 'order-amended',
+        data: {
+          orderId,
+          order,
+          revision,
+          previousTotal: amendment.previousTotal,
+          difference: amendment.difference,
+          settlement
+        }
+      }
+    ];
+  });
+
+  return { saved, order: value };
+}
+
+// Outcome of a pending amendment whose request did not report back: its
+// settlement when it was made, null when it was not, undefined while that is
+// not known yet. Refunds are retried under their Idempotency-Key; charges are
+// looked up among the order's payments, as the payment details are not kept.
+async function recoverAmendmentSettlement(order, pendingAmendment) {
+  const { settlement, startedAt } = pendingAmendment;
+
+  if (settlement.type === 'refund') {
+    try {
+      return await settleAmendment(order, pendingAmendment);
+    } catch (error) {
+      const status = invocationStatus(error);
+      return status >= 400 && status < 500 && status !== 409 ? null : undefined;
+    }
+  }
+
+  const { payments = [] } = await daprClient.invoker.invoke('payment-service', `orders/${order.id}/payments`, 'GET');
+  const payment = payments.find(candidate =>
+    candidate.id !== order.paymentId && candidate.amount === settlement.amount && candidate.createdAt >= startedAt
+  );
+  if (!payment) {
+    return null;
+  }
+  if (['completed', 'captured'].includes(payment.status)) {
+    return { ...settlement, paymentId: payment.id };
+  }
+  return ['pending', 'processing'].includes(payment.status) ? undefined : null;
+}
+
+// Amend an order that has not been processed yet
+// Body: { items: [{ productId, quantity }], shippingAddress, paymentDetails, notes }.
+// Listed items are added or set to the given quantity (0 removes the line);
+// items left out stay as they are. The amended order is validated and priced
+// again; a higher total is charged with paymentDetails, a lower one refunded.
+// The amendment is committed before it is charged or refunded and undone when
+// that fails, so a payment is never made for an amendment that was not saved.
+// Stock is only reserved once the order moves to processing, so the
+// reservation is made for the amended items.
+app.patch('/orders/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items = [], shippingAddress, paymentDetails, notes } = req.body;
+
+    if (!Array.isArray(items) || (items.length === 0 && shippingAddress === undefined)) {
+      return res.status(400).json({ error: 'Items or a shipping address are required' });
+    }
+
+    const order = withMinorUnitAmounts(await daprClient.state.get(ORDER_STORE, id));
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!AMENDABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        error: 'Only pending or confirmed orders can be amended',
+        currentStatus: order.status
+      });
+    }
+
+    if (order.pendingAmendment) {
+      return res.status(409).json({ error: 'A previous amendment of the order is being settled, please retry' });
+    }
+
+    // A payment attempt in flight charges the total it started with
+    const saga = await sagaCoordinator.getSaga(id);
+    if (order.status === ORDER_STATUS.PENDING && saga && saga.status === SAGA_STATUS.RUNNING) {
+      return res.status(409).json({ error: 'Payment of the order is in progress, please retry' });
+    }
+
+    const errors = [];
+    const quantities = itemQuantities(order.items);
+    items.forEach((item, index) => {
+      const quantity = item && Number(item.quantity);
+      if (!item || !item.productId || !(Number.isSafeInteger(quantity) && quantity >= 0)) {
+        errors.push({ index, productId: item && item.productId, error: 'Product ID and a non-negative integer quantity are required' });
+      } else if (quantity === 0) {
+        delete quantities[String(item.productId)];
+      } else {
+        quantities[String(item.productId)] = quantity;
+      }
+    });
+
+    if (errors.length > 0) {
+      return sendPricingError(res, itemsError(errors));
+    }
+
+    const requestedItems = Object.entries(quantities).map(([productId, quantity]) => ({ productId, quantity }));
+    if (requestedItems.length === 0) {
+      return res.status(400).json({ error: 'An order needs at least one item, cancel it instead' });
+    }
+
+    const newShippingAddress = shippingAddress !== undefined ? shippingAddress : order.shippingAddress;
+
+    let quote;
+    try {
+      quote = await quoteCart({
+        items: requestedItems,
+        currency: order.currency,
+        shippingAddress: newShippingAddress,
+        couponCode: order.couponCode,
+        orderId: id
+      });
+    } catch (error) {
+      if (isPricingError(error)) {
+        return sendPricingError(res, error);
+      }
+      throw error;
+    }
+
+    const baseRevision = order.revision || 1;
+    const revision = baseRevision + 1;
+    const difference = quote.pricing.total - order.totalAmount;
+
+    const planned = amendmentSettlement(order, difference);
+    const pending = ['charge', 'refund'].includes(planned.type);
+
+    // Tracked before it is saved, so an amendment left pending by a crash is
+    // still settled by the sweeper
+    if (pending) {
+      await addToList(daprClient, ORDER_STORE, PENDING_AMENDMENTS_KEY, id);
+    }
+
+    const now = new Date().toISOString();
+    let rejection;
+
+    const { value: amended } = await outbox.update(id, current => {
+      rejection = undefined;
+
+      // The order must not have moved on (or been amended) meanwhile
+      if (!current || !AMENDABLE_STATUSES.includes(current.status) || (current.revision || 1) !== baseRevision ||
+        current.pendingAmendment) {
+        rejection = { error: 'Order was changed meanwhile, please retry', currentStatus: current && current.status };
+        return undefined;
+      }
+
+      const updated = {
+        ...current,
+        items: quote.items,
+        pricing: quote.pricing,
+        totalAmount: quote.pricing.total,
+        exchangeRates: quote.exchangeRates,
+        shippingAddress: newShippingAddress,
+        revision,
+        updatedAt: now
+      };
+      updated.revisions = [
+        ...(current.revisions || [orderRevision(withMinorUnitAmounts(current), baseRevision, { createdAt: current.createdAt })]),
+        orderRevision(updated, revision, {
+          amendedAt: now,
+          notes,
+          changes: {
+            items: itemChanges(order.items, quote.items),
+            shippingAddress: shippingAddress !== undefined ? { from: order.shippingAddress, to: newShippingAddress } : undefined
+          },
+          previousTotal: order.totalAmount,
+          difference,
+          settlement: pending ? { ...planned, status: 'pending' } : planned
+        })
+      ];
+
+      // What the order goes back to if the charge or refund fails
+      if (pending) {
+        updated.pendingAmendment = {
+          revision,
+          settlement: planned,
+          previous: {
+            items: current.items,
+            pricing: current.pricing,
+            totalAmount: current.totalAmount,
+            exchangeRates: current.exchangeRates,
+            shippingAddress: current.shippingAddress,
+            revision: baseRevision,
+            revisions: updated.revisions.slice(0, -1)
+          },
+          startedAt: now
+        };
+      }
+      return updated;
+    }, updated => (pending ? [] : [
+      {
+        topic: 'order-amended',
+        data: {
+          orderId: id,
+          order: updated,
+          revision,
+          previousTotal: order.totalAmount,
+          difference,
+          settlement: planned
+        }
+      }
+    ]));
+
+    if (rejection) {
+      return res.status(409).json(rejection);
+    }
+
+    if (!pending) {
+      console.log(`Order amended: ${id} (revision ${revision}, ${difference >= 0 ? '+' : ''}${difference} ${order.currency})`);
+      return res.json(amended);
+    }
+
+    let settlement;
+    try {
+      settlement = await settleAmendment(amended, amended.pendingAmendment, paymentDetails);
+    } catch (error) {
+      console.error(`Error settling amendment of order ${id}:`, error.message);
+      await completeAmendment(id, revision, null);
+      return res.status(402).json({
+        error: difference > 0 ? 'Extra charge for the amendment failed' : 'Refund for the amendment failed',
+        difference,
+        currency: order.currency
+      });
+    }
+
+    const { saved, order: settled } = await completeAmendment(id, revision, settlement);
+    if (!saved) {
+      // The sweeper took the amendment over meanwhile
+      return res.status(409).json({ error: 'Amendment was settled meanwhile', order: settled });
+    }
+
+    console.log(`Order amended: ${id} (revision ${revision}, ${difference >= 0 ? '+' : ''}${difference} ${order.currency})`);
+
+    res.json(settled);
+  } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Order is being updated concurrently, please retry' });
+    }
+    console.error('Error amending order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the revision history of an order
+app.get('/orders/:id/revisions', async (req, res) => {
+  try {
+    const order = withMinorUnitAmounts(await daprClient.state.get(ORDER_STORE, req.params.id));
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      orderId: order.id,
+      revision: order.revision || 1,
+      revisions: order.revisions || [orderRevision(order, 1, { createdAt: order.createdAt })]
+    });
+  } catch (error) {
+    console.error('Error getting order revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update order status
+app.patch('/orders/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!Object.values(ORDER_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        validStatuses: Object.values(ORDER_STATUS)
+      });
+    }
+
+    const order = await daprClient.state.get(ORDER_STORE, id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!(ORDER_STATUS_TRANSITIONS[order.status] || []).includes(status)) {
+      return res.status(409).json({
+        error: `Cannot change order status from ${order.status} to ${status}`,
+        currentStatus: order.status,
+        allowedNextStates: allowedNextStatuses(order)
+      });
+    }
+
+    const unmetGuards = failedGuards(order, status);
+    if (unmetGuards.length > 0) {
+      return res.status(409).json({
+        error: `Order does not meet the requirements for status ${status}`,
+        currentStatus: order.status,
+        unmetRequirements: unmetGuards.map(guard => guard.description),
+        allowedNextStates: allowedNextStatuses(order)
+      });
+    }
+
+    const previousStatus = order.status;
+    order.status = status;
+    order.updatedAt = new Date().toISOString();
+
+    if (notes) {
+      order.statusNotes = order.statusNotes || [];
+      order.statusNotes.push({
+        status,
+        notes,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Save updated order together with its order status updated event
+    await outbox.save([
+      {
+        key: id,
+        value: order
+      }
+    ], [
+      {
+        topic: 'order-status-updated',
+        data: {
+          orderId: id,
+          order,
+          previousStatus,
+          newStatus: status
+        }
+      }
+    ]);
+
+    console.log(`Order status updated: ${id} -> ${status}`);
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Give back a payment that no order took: authorized two-phase payments are
+// voided, others refunded
+async function returnPayment(payment, reason) {
+  const action = payment.status === 'authorized' ? 'void' : 'refund';
+  return daprClient.invoker.invoke('payment-service', `payments/${payment.paymentId}/${action}`, 'POST', { reason });
+}
+
+// Process payment for order
+app.post('/orders/:id/process-payment', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paymentDetails } = req.body;
+
+    const order = withMinorUnitAmounts(await daprClient.state.get(ORDER_STORE, id));
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (![ORDER_STATUS.PENDING, ORDER_STATUS.PAYMENT_FAILED].includes(order.status)) {
+      return res.status(400).json({ error: 'Order is not awaiting payment' });
+    }
+
+    if (order.status === ORDER_STATUS.PAYMENT_FAILED && new Date(order.paymentRetryDeadline) <= new Date()) {
+      return res.status(400).json({
+        error: 'Payment retry window has expired',
+        paymentRetryDeadline: order.paymentRetryDeadline
+      });
+    }
+
+    const saga = await sagaCoordinator.startSaga(order);
+    await sagaCoordinator.startStep(id, SAGA_STEPS.PROCESS_PAYMENT, { amount: order.totalAmount, currency: order.currency });
+
+    try {
+      // Call payment service using Dapr service invocation. The key is stable
+      // within one saga attempt, so retrying a timed out call cannot charge twice.
+      const paymentResponse = await daprClient.invoker.invoke(
+        'payment-service',
+        'payments/process',
+        'POST',
+        {
+          orderId: id,
+          amount: order.totalAmount,
+          currency: order.currency,
+          paymentMethod: order.paymentMethod,
+          paymentDetails,
+          flow: order.paymentFlow || PAYMENT_FLOWS.ONE_SHOT
+        },
+        { headers: { [IDEMPOTENCY_HEADER]: `order-${id}-payment-${saga.attempt}` } }
+      );
+
+      // Update order with payment information. Saved with the ETag and only
+      // while the order still awaits this payment: a cancellation or an
+      // amendment saved meanwhile is not overwritten. The payment processed
+      // event is committed with the order and published once the saga step
+      // is complete.
+      const { saved, value: confirmed, relay } = await outbox.update(id, stored => {
+        const current = withMinorUnitAmounts(stored);
+        if (!current || ![ORDER_STATUS.PENDING, ORDER_STATUS.PAYMENT_FAILED].includes(current.status) ||
+          current.totalAmount !== order.totalAmount) {
+          return undefined;
+        }
+
+        const updated = {
+          ...current,
+          status: ORDER_STATUS.CONFIRMED,
+          paymentId: paymentResponse.paymentId,
+          paymentStatus: paymentResponse.status,
+          paidAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        };
+        delete updated.paymentRetryDeadline;
+        return updated;
+      }, updated => [
+        {
+          topic: 'payment-processed',
+          data: {
+            orderId: id,
+            order: updated,
+            payment: paymentResponse
+          }
+        }
+      ], { relay: false });
+
+      if (!saved) {
+        const reason = `Order ${id} was changed while its payment was processed`;
+        await returnPayment(paymentResponse, reason);
+        await sagaCoordinator.failStep(id, SAGA_STEPS.PROCESS_PAYMENT, reason);
+        return res.status(409).json({
+          error: 'Order was changed meanwhile, the payment was given back',
+          currentStatus: confirmed && confirmed.status
+        });
+      }
+
+      // The reservation step starts right away: payment-completed can arrive
+      // before the order was confirmed, and then its timeout still runs
+      await sagaCoordinator.completeStep(id, SAGA_STEPS.PROCESS_PAYMENT, {
+        paymentId: paymentResponse.paymentId
+      }, { nextStep: SAGA_STEPS.RESERVE_INVENTORY });
+
+      console.log(`Payment processed for order: ${id}`);
+
+      await relay();
+
+      res.json({
+        message: 'Payment processed successfully',
+        order: confirmed,
+        payment: paymentResponse
+      });
+
+    } catch (error) {
+      console.error('Payment processing failed:', error);
+      await sagaCoordinator.failStep(id, SAGA_STEPS.PROCESS_PAYMENT, error.message);
+      res.status(400).json({ error: 'Payment processing failed' });
+    }
+  } catch (error) {
+    console.error('Error processing payment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel order
+app.delete('/orders/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, refundAmount, restockingFee } = req.body;
+
+    const order = withMinorUnitAmounts(await daprClient.state.get(ORDER_STORE, id));
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Cancelled, shipped and delivered orders cannot be cancelled (again)
+    if (!(ORDER_STATUS_TRANSITIONS[order.status] || []).includes(ORDER_STATUS.CANCELLED)) {
+      return res.status(409).json({
+        error: `Cannot cancel an order that is ${order.status}`,
+        currentStatus: order.status,
+        allowedNextStates: allowedNextStatuses(order)
+      });
+    }
+
+    if (order.pendingAmendment) {
+      return res.status(409).json({ error: 'An amendment of the order is being settled, please retry' });
+    }
+
+    // A partial refund is given either as the amount to refund or as a fee to
+    // keep, in minor units of the order currency
+    let partialRefundAmount;
+    if (refundAmount !== undefined) {
+      partialRefundAmount = parseMinorUnits(refundAmount);
+    } else if (restockingFee !== undefined) {
+      partialRefundAmount = order.totalAmount - parseMinorUnits(restockingFee);
+    }
+
+    if (partialRefundAmount !== undefined && !(partialRefundAmount >= 0 && partialRefundAmount <= order.totalAmount)) {
+      return res.status(400).json({
+        error: 'Refund amount must be an integer amount in minor units between 0 and the order total',
+        totalAmount: order.totalAmount,
+        currency: order.currency
+      });
+    }
+
+    let rejection;
+
+    // Refunds and releases are driven by the order-cancelled event, committed
+    // with the order and published once the saga is aborted. Saved with the
+    // ETag, so concurrent cancellations publish a single event.
+    const { value: cancelledOrder, relay } = await outbox.update(id, stored => {
+      const current = withMinorUnitAmounts(stored);
+      rejection = undefined;
+
+      // The refund was checked against the total read above
+      if (!current || !(ORDER_STATUS_TRANSITIONS[current.status] || []).includes(ORDER_STATUS.CANCELLED) ||
+        current.totalAmount !== order.totalAmount || current.pendingAmendment) {
+        rejection = { error: 'Order was changed meanwhile, please retry', currentStatus: current && current.status };
+        return undefined;
+      }
+
+      const updated = {
+        ...current,
+        status: ORDER_STATUS.CANCELLED,
+        cancelledAt: new Date().toISOString(),
+        cancellationReason: reason,
+        updatedAt: new Date().toISOString()
+      };
+      if (partialRefundAmount !== undefined) {
+        updated.cancellationRefundAmount = partialRefundAmount;
+      }
+      return updated;
+    }, updated => [
+      {
+        topic: 'order-cancelled',
+        data: {
+          orderId: id,
+          order: updated,
+          reason,
+          refundAmount: partialRefundAmount,
+          currency: updated.currency
+        }
+      }
+    ], { relay: false });
+
+    if (rejection) {
+      return res.status(409).json(rejection);
+    }
+
+    await sagaCoordinator.abortSaga(id, reason || 'Order cancelled');
+
+    console.log(`Order cancelled: ${id}`);
+
+    await relay();
+
+    res.json({
+      message: 'Order cancelled successfully',
+      order: cancelledOrder
+    });
+  } catch (error) {
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Order is being updated concurrently, please retry' });
+    }
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get saga state for an order
+app.get('/orders/:id/saga', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const saga = await sagaCoordinator.getSaga(id);
+
+    if (!saga) {
+      return res.status(404).json({ error: 'Saga not found for order' });
+    }
+
+    res.json(saga);
+  } catch (error) {
+    console.error('Error getting order saga:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Inspect and replay events stuck in the outbox (admin)
+registerOutboxRoutes(app, outbox);
+
+// Keep dead-lettered events; inspect, replay or discard them (admin)
+registerDeadLetterRoutes(app, deadLetters, consumeEvent);
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'order-service',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Dapr pub/sub subscription configuration
+app.get('/dapr/subscribe', (req, res) => {
+  res.json(deadLetters.subscriptions([
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'payment-completed',
+      route: '/events/payment-completed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'payment-authorized',
+      route: '/events/payment-authorized'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'payment-voided',
+      route: '/events/payment-voided'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'order-inventory-fulfilled',
+      route: '/events/order-inventory-fulfilled'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'payment-failed',
+      route: '/events/payment-failed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'order-inventory-reserved',
+      route: '/events/order-inventory-reserved'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'order-inventory-rejected',
+      route: '/events/order-inventory-rejected'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'payment-refunded',
+      route: '/events/payment-refunded'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'refund-failed',
+      route: '/events/refund-failed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'order-cancelled',
+      route: '/events/order-cancelled'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'return-restocked',
+      route: '/events/return-restocked'
+    }
+  ]));
+});
+
+// Handle payment completed events
+app.post('/events/payment-completed', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Payment completed event received:', data);
+
+    await startInventoryReservation(data.orderId);
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling payment completed event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Handle payment authorized events (two-phase payments continue like completed ones)
+app.post('/events/payment-authorized', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Payment authorized event received:', data);
+
+    await startInventoryReservation(data.orderId);
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling payment authorized event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Move a paid order to processing and request its inventory reservation
+async function startInventoryReservation(orderId) {
+  // Saved with the ETag so an amendment saved meanwhile is reserved as amended.
+  // The reservation request is committed with the order and published once
+  // the saga step has started.
+  const { saved, relay } = await outbox.update(orderId, current => {
+    if (!current || current.status !== ORDER_STATUS.CONFIRMED || current.pendingAmendment) {
+      return undefined;
+    }
+    return { ...current, status: ORDER_STATUS.PROCESSING, updatedAt: new Date().toISOString() };
+  }, order => [
+    {
+      topic: 'reserve-inventory',
+      data: {
+        orderId,
+        items: order.items,
+        shippingAddress: order.shippingAddress
+      }
+    }
+  ], { relay: false });
+
+  if (!saved) {
+    // The payment event overtook the confirmation of the order; have it
+    // redelivered until the order is confirmed (or the saga gives up)
+    const [order, saga] = await Promise.all([
+      daprClient.state.get(ORDER_STORE, orderId),
+      sagaCoordinator.getSaga(orderId)
+    ]);
+    // Reserved once the amendment being settled is final
+    if (order && order.status === ORDER_STATUS.CONFIRMED && order.pendingAmendment) {
+      throw new Error(`Order ${orderId} has an amendment being settled`);
+    }
+    if (order && [ORDER_STATUS.PENDING, ORDER_STATUS.PAYMENT_FAILED].includes(order.status) &&
+      saga && saga.status === SAGA_STATUS.RUNNING) {
+      throw new Error(`Order ${orderId} is not confirmed yet`);
+    }
+    return;
+  }
+
+  console.log(`Order moved to processing: ${orderId}`);
+
+  await sagaCoordinator.startStep(orderId, SAGA_STEPS.RESERVE_INVENTORY);
+
+  // Request inventory reservation
+  await relay();
+}
+
+// Handle payment failed events
+app.post('/events/payment-failed', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Payment failed event received:', data);
+
+    const { orderId, paymentId, error } = data;
+
+    const failedAt = new Date();
+    let previousStatus;
+
+    // Ignore late failures of an attempt that was superseded by a successful
+    // retry, also when that retry is saved while this failure is recorded
+    const { saved, value: order } = await outbox.update(orderId, current => {
+      if (!current || ![ORDER_STATUS.PENDING, ORDER_STATUS.PAYMENT_FAILED].includes(current.status)) {
+        return undefined;
+      }
+
+      previousStatus = current.status;
+      return {
+        ...current,
+        status: ORDER_STATUS.PAYMENT_FAILED,
+        paymentFailures: [
+          ...(current.paymentFailures || []),
+          { paymentId, error, failedAt: failedAt.toISOString() }
+        ],
+        paymentRetryDeadline: current.paymentRetryDeadline ||
+          new Date(failedAt.getTime() + PAYMENT_RETRY_WINDOW_MS).toISOString(),
+        updatedAt: failedAt.toISOString()
+      };
+    }, updated => previousStatus !== ORDER_STATUS.PAYMENT_FAILED ? [
+      {
+        topic: 'order-status-updated',
+        data: {
+          orderId,
+          order: updated,
+          previousStatus,
+          newStatus: updated.status
+        }
+      }
+    ] : []);
+
+    if (!saved) {
+      return res.status(200).send();
+    }
+
+    // Track the order so it can be cancelled once the retry window closes
+    await addToList(daprClient, ORDER_STORE, PAYMENT_FAILED_ORDERS_KEY, orderId);
+    
+    console.log(`Order payment failed: ${orderId} (retry until ${order.paymentRetryDeadline})`);
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling payment failed event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
-// Update order status
-app.patch('/orders/:id/status', async (req, res) => {
+// Record the outcome of a refund on the order
+async function recordRefund(orderId, refund) {
+  await updateWithETag(daprClient, ORDER_STORE, orderId, order => {
+    if (!order) {
+      return undefined;
+    }
+
+    const refunds = (order.refunds || []).filter(existing => existing.refundId !== refund.refundId);
+    return {
+      ...order,
+      refunds: [...refunds, refund],
+      updatedAt: new Date().toISOString()
+    };
+  });
+}
+
+// Handle payment refunded events
+app.post('/events/payment-refunded', consumeEvent, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, notes } = req.body;
+    const { data } = req.body;
+    console.log('Payment refunded event received:', data);
     
-    if (!Object.values(ORDER_STATUS).includes(status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status',
-        validStatuses: Object.values(ORDER_STATUS)
-      });
-    }
+    const { orderId, paymentId, refundId, refundAmount, currency, reason, returnId } = data;
     
-    const order = await daprClient.state.get(ORDER_STORE, id);
+    await recordRefund(orderId, {
+      refundId,
+      paymentId,
+      amount: refundAmount,
+      currency,
+      status: 'succeeded',
+      reason,
+      returnId,
+      recordedAt: new Date().toISOString()
+    });
     
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    // Refunds of a return complete it once they cover its refund amount
+    if (returnId) {
+      const result = await returns.recordRefund(returnId, {
+        refundId,
+        paymentId,
+        amount: refundAmount,
+        status: 'succeeded',
+        recordedAt: new Date().toISOString()
+      }, returnStatusEvents);
+
+      if (result && result.saved && result.previousStatus) {
+        console.log(`Return refunded: ${result.record.rmaNumber}`);
+      }
     }
     
-    const previousStatus = order.status;
-    order.status = status;
-    order.updatedAt = new Date().toISOString();
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling payment refunded event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Handle order cancelled events: give the order's coupon use back
+app.post('/events/order-cancelled', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Order cancelled event received:', data);
     
-    if (notes) {
-      order.statusNotes = order.statusNotes || [];
-      order.statusNotes.push({
-        status,
-        notes,
-        timestamp: new Date().toISOString()
-      });
+    const reversed = await promotions.reverse(data.orderId, data.reason || 'Order cancelled');
+    if (reversed) {
+      console.log(`Coupon redemption reversed: ${reversed.code} for order ${data.orderId}`);
     }
     
-    // Save updated order
-    await daprClient.state.save(ORDER_STORE, [
-      {
-        key: id,
-        value: order
-      }
-    ]);
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling order cancelled event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Handle refund failed events
+app.post('/events/refund-failed', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Refund failed event received:', data);
     
-    console.log(`Order status updated: ${id} -> ${status}`);
+    const { orderId, paymentId, refundId, refundAmount, currency, error, returnId } = data;
     
-    // Publish order status updated event
-    await daprClient.pubsub.publish('order-pubsub', 'order-status-updated', {
-      orderId: id,
-      order,
-      previousStatus,
-      newStatus: status
+    await recordRefund(orderId, {
+      refundId,
+      paymentId,
+      amount: refundAmount,
+      currency,
+      status: 'failed',
+      error,
+      returnId,
+      recordedAt: new Date().toISOString()
     });
     
-    res.json(order);
+    // The return stays received until the refund is completed by hand
+    if (returnId) {
+      await returns.recordRefund(returnId, {
+        refundId,
+        paymentId,
+        amount: refundAmount,
+        status: 'failed',
+        error,
+        recordedAt: new Date().toISOString()
+      });
+    }
+
+    console.error(`Refund ${refundId} failed for order ${orderId}, manual follow-up needed`);
+
+    res.status(200).send();
   } catch (error) {
-    console.error('Error updating order status:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error handling refund failed event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
-// Process payment for order
-app.post('/orders/:id/process-payment', async (req, res) => {
+// Handle return restocked events: remember what went back into stock
+app.post('/events/return-restocked', consumeEvent, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { paymentDetails } = req.body;
-    
-    const order = await daprClient.state.get(ORDER_STORE, id);
+    const { data } = req.body;
+    console.log('Return restocked event received:', data);
     
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+    const { returnId, items } = data;
     
-    if (order.status !== ORDER_STATUS.PENDING) {
-      return res.status(400).json({ error: 'Order is not in pending status' });
-    }
+    await returns.recordRestock(returnId, items);
     
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling return restocked event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Cancel orders whose payment retry window has closed
+async function cancelExpiredPaymentFailures() {
+  const failedOrders = await daprClient.state.get(ORDER_STORE, PAYMENT_FAILED_ORDERS_KEY) || [];
+  const settled = [];
+
+  for (const orderId of failedOrders) {
     try {
-      // Call payment service using Dapr service invocation
-      const paymentResponse = await daprClient.invoker.invoke(
-        'payment-service',
-        'payments/process',
-        'POST',
-        {
-          orderId: id,
-          amount: order.totalAmount,
-          paymentMethod: order.paymentMethod,
-          paymentDetails
-        }
-      );
+      const order = await daprClient.state.get(ORDER_STORE, orderId);
+      if (!order || order.status !== ORDER_STATUS.PAYMENT_FAILED) {
+        settled.push(orderId);
+        continue;
+      }
       
-      // Update order with payment information
-      order.status = ORDER_STATUS.CONFIRMED;
-      order.paymentId = paymentResponse.paymentId;
-      order.paidAt = new Date().toISOString();
+      if (new Date(order.paymentRetryDeadline) > new Date()) {
+        continue;
+      }
+
+      const reason = 'Payment was not completed within the retry window';
+      order.status = ORDER_STATUS.CANCELLED;
+      order.cancelledAt = new Date().toISOString();
+      order.cancellationReason = reason;
       order.updatedAt = new Date().toISOString();
       
-      await daprClient.state.save(ORDER_STORE, [
+      await outbox.save([
         {
-          key: id,
+          key: orderId,
           value: order
         }
+      ], [
+        {
+          topic: 'order-cancelled',
+          data: {
+            orderId,
+            order,
+            reason
+          }
+        },
+        {
+          topic: 'order-status-updated',
+          data: {
+            orderId,
+            order,
+            previousStatus: ORDER_STATUS.PAYMENT_FAILED,
+            newStatus: ORDER_STATUS.CANCELLED
+          }
+        }
       ]);
       
-      console.log(`Payment processed for order: ${id}`);
+      console.log(`Order auto-cancelled after failed payment: ${orderId}`);
       
-      // Publish payment processed event
-      await daprClient.pubsub.publish('order-pubsub', 'payment-processed', {
-        orderId: id,
-        order,
-        payment: paymentResponse
+      settled.push(orderId);
+    } catch (error) {
+      console.error(`Error auto-cancelling order ${orderId}:`, error);
+    }
+  }
+
+  // Orders added while sweeping stay on the list
+  if (settled.length > 0) {
+    await updateWithETag(daprClient, ORDER_STORE, PAYMENT_FAILED_ORDERS_KEY, current =>
+      (current || []).filter(id => !settled.includes(id))
+    );
+  }
+}
+
+// Settle amendments whose request did not see their charge or refund through
+async function settlePendingAmendments() {
+  const pendingOrders = await daprClient.state.get(ORDER_STORE, PENDING_AMENDMENTS_KEY) || [];
+  const settled = [];
+
+  for (const orderId of pendingOrders) {
+    try {
+      const order = withMinorUnitAmounts(await daprClient.state.get(ORDER_STORE, orderId));
+      const pendingAmendment = order && order.pendingAmendment;
+      if (!pendingAmendment) {
+        settled.push(orderId);
+        continue;
+      }
+
+      if (new Date(pendingAmendment.startedAt).getTime() + AMENDMENT_SETTLEMENT_TIMEOUT_MS > Date.now()) {
+        continue;
+      }
+
+      const settlement = await recoverAmendmentSettlement(order, pendingAmendment);
+      if (settlement === undefined) {
+        continue;
+      }
+
+      // Dropped from the list on the next sweep
+      await completeAmendment(orderId, pendingAmendment.revision, settlement);
+      console.log(`Pending amendment of order ${orderId} ${settlement ? 'settled' : 'undone'} (revision ${pendingAmendment.revision})`);
+    } catch (error) {
+      console.error(`Error settling pending amendment of order ${orderId}:`, error);
+    }
+  }
+
+  // Orders added while sweeping stay on the list
+  if (settled.length > 0) {
+    await updateWithETag(daprClient, ORDER_STORE, PENDING_AMENDMENTS_KEY, current =>
+      (current || []).filter(id => !settled.includes(id))
+    );
+  }
+}
+
+// Announce carts left alone long enough to count as abandoned (one reminder
+// per cart until it changes again)
+async function remindAbandonedCarts() {
+  const abandoned = await carts.findAbandoned();
+
+  for (const cart of abandoned) {
+    try {
+      // The reminder is recorded with its event, so a cart changed meanwhile is not reported
+      const reminded = await carts.markReminded(cart, [
+        {
+          topic: 'cart-abandoned',
+          data: {
+            userId: cart.userId,
+            cart,
+            abandonedAfterMs: CART_ABANDONED_AFTER_MS
+          }
+        }
+      ]);
+      if (!reminded) {
+        continue;
+      }
+
+      console.log(`Cart abandoned: user ${cart.userId}`);
+    } catch (error) {
+      console.error(`Error reminding abandoned cart of user ${cart.userId}:`, error);
+    }
+  }
+}
+
+// Book one shipment per item set (warehouse) of an order with the carrier.
+// Shipment IDs follow the item sets, so a redelivered event books nothing twice.
+async function bookShipments(order, reservedItems) {
+  const booked = [];
+
+  for (const [index, itemSet] of splitByWarehouse(reservedItems).entries()) {
+    const shipmentId = `${order.id}-${index + 1}`;
+
+    let shipment = await shipments.getShipment(shipmentId);
+    if (!shipment) {
+      const booking = await carrier.book({
+        shipmentId,
+        orderId: order.id,
+        items: itemSet.items,
+        shippingAddress: order.shippingAddress,
+        webhookUrl: `${SHIPMENT_WEBHOOK_BASE_URL}/${shipmentId}/events`
       });
       
-      res.json({
-        message: 'Payment processed successfully',
-        order,
-        payment: paymentResponse
+      const now = new Date().toISOString();
+      shipment = await shipments.createShipment({
+        id: shipmentId,
+        orderId: order.id,
+        warehouse: itemSet.warehouse,
+        items: itemSet.items,
+        carrier: booking.carrier,
+        trackingNumber: booking.trackingNumber,
+        trackingUrl: booking.trackingUrl,
+        estimatedDeliveryAt: booking.estimatedDeliveryAt,
+        status: SHIPMENT_STATUS.LABEL_CREATED,
+        events: [{ status: SHIPMENT_STATUS.LABEL_CREATED, description: 'Shipping label created', occurredAt: now, receivedAt: now }],
+        createdAt: now,
+        updatedAt: now
       });
       
-    } catch (error) {
-      console.error('Payment processing failed:', error);
-      res.status(400).json({ error: 'Payment processing failed' });
+      console.log(`Shipment booked: ${shipmentId} with ${booking.carrier} (${booking.trackingNumber})`);
     }
-  } catch (error) {
-    console.error('Error processing payment:', error);
-    res.status(500).json({ error: 'Internal server error' });
+
+    booked.push(shipment);
   }
-});
 
-// Cancel order
-app.delete('/orders/:id', async (req, res) => {
+  return booked;
+}
+
+// Handle order inventory reserved events (all items of the order are reserved)
+app.post('/events/order-inventory-reserved', consumeEvent, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body;
+    const { data } = req.body;
+    console.log('Order inventory reserved event received:', data);
     
-    const order = await daprClient.state.get(ORDER_STORE, id);
+    const { orderId, items } = data;
     
+    const order = await daprClient.state.get(ORDER_STORE, orderId);
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      return res.status(200).send();
     }
     
-    if ([ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED].includes(order.status)) {
-      return res.status(400).json({ error: 'Cannot cancel shipped or delivered orders' });
+    // A reservation that arrives after the saga was rolled back must be given back
+    const saga = await sagaCoordinator.getSaga(orderId);
+    if (saga && [SAGA_STATUS.COMPENSATED, SAGA_STATUS.FAILED].includes(saga.status)) {
+      await daprClient.invoker.invoke(
+        'inventory-service',
+        `inventory/orders/${orderId}/release`,
+        'POST',
+        { reason: 'Reservation arrived after the order saga was compensated' }
+      );
+      console.log(`Released late reservation for compensated order ${orderId}`);
+      return res.status(200).send();
     }
     
-    order.status = ORDER_STATUS.CANCELLED;
-    order.cancelledAt = new Date().toISOString();
-    order.cancellationReason = reason;
-    order.updatedAt = new Date().toISOString();
-    
-    await daprClient.state.save(ORDER_STORE, [
+    if (order.status !== ORDER_STATUS.PROCESSING) {
+      return res.status(200).send();
+    }
+
+    await sagaCoordinator.completeStep(orderId, SAGA_STEPS.RESERVE_INVENTORY, { reservedItems: items }, {
+      nextStep: SAGA_STEPS.SHIP_ORDER
+    });
+
+    // Book the shipments; a failed booking is retried by redelivery of this event
+    const booked = await bookShipments(order, items);
+
+    // Save the order together with its order shipped event, unless it was
+    // cancelled while the shipments were booked
+    const { saved, value: shipped } = await outbox.update(orderId, current => {
+      if (!current || current.status !== ORDER_STATUS.PROCESSING) {
+        return undefined;
+      }
+
+      const now = new Date().toISOString();
+      return {
+        ...current,
+        status: ORDER_STATUS.SHIPPED,
+        shipments: booked.map(shipmentSummary),
+        shippedAt: now,
+        updatedAt: now
+      };
+    }, updated => [
       {
-        key: id,
-        value: order
+        topic: 'order-shipped',
+        data: {
+          orderId,
+          order: updated
+        }
       }
     ]);
-    
-    console.log(`Order cancelled: ${id}`);
-    
-    // Publish order cancelled event
-    await daprClient.pubsub.publish('order-pubsub', 'order-cancelled', {
-      orderId: id,
-      order,
-      reason
+
+    if (!saved) {
+      console.log(`Order ${orderId} is ${shipped && shipped.status} now, not shipping it`);
+      return res.status(200).send();
+    }
+
+    console.log(`Order shipped: ${orderId}`);
+
+    await sagaCoordinator.completeStep(orderId, SAGA_STEPS.SHIP_ORDER, {
+      shippedAt: shipped.shippedAt,
+      shipmentIds: booked.map(shipment => shipment.id)
     });
     
-    res.json({
-      message: 'Order cancelled successfully',
-      order
-    });
+    res.status(200).send();
   } catch (error) {
-    console.error('Error cancelling order:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error handling order inventory reserved event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    service: 'order-service',
-    timestamp: new Date().toISOString()
-  });
-});
+// Handle order inventory fulfilled events: two-phase payments are captured for
+// what was actually fulfilled
+app.post('/events/order-inventory-fulfilled', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Order inventory fulfilled event received:', data);
 
-// Dapr pub/sub subscription configuration
-app.get('/dapr/subscribe', (req, res) => {
-  res.json([
-    {
-      pubsubname: 'order-pubsub',
-      topic: 'payment-completed',
-      route: '/events/payment-completed'
-    },
-    {
-      pubsubname: 'order-pubsub',
-      topic: 'inventory-reserved',
-      route: '/events/inventory-reserved'
+    const { orderId, items } = data;
+
+    const order = withMinorUnitAmounts(await daprClient.state.get(ORDER_STORE, orderId));
+    if (!order || order.paymentFlow !== PAYMENT_FLOWS.TWO_PHASE || order.paymentStatus !== 'authorized') {
+      return res.status(200).send();
     }
-  ]);
+
+    // Capture the fulfilled items' share of the total, so discounts, shipping
+    // and tax are charged proportionally. What amendments of the order charged
+    // separately is not captured again.
+    const fulfilledSubtotal = items.reduce((sum, fulfilled) => {
+      const item = order.items.find(orderItem => orderItem.productId === fulfilled.productId);
+      return sum + (item ? item.unitPrice * fulfilled.quantity : 0);
+    }, 0);
+    const subtotal = order.pricing ? order.pricing.subtotal : order.totalAmount;
+    const payable = Math.max(0, order.totalAmount - amendmentCharges(order));
+    const captureAmount = fulfilledSubtotal >= subtotal
+      ? payable
+      : proportionOf(payable, fulfilledSubtotal, subtotal);
+
+    let capture;
+    try {
+      capture = captureAmount > 0
+        ? await daprClient.invoker.invoke('payment-service', `payments/${order.paymentId}/capture`, 'POST', { amount: captureAmount })
+        : await daprClient.invoker.invoke('payment-service', `payments/${order.paymentId}/void`, 'POST', { reason: 'Nothing was fulfilled' });
+    } catch (error) {
+      // The authorization stays in place; capture can be retried through payment-service
+      console.error(`Error capturing payment for order ${orderId}:`, error.message);
+      await updateWithETag(daprClient, ORDER_STORE, orderId, current => ({
+        ...current,
+        paymentCaptureError: error.message,
+        updatedAt: new Date().toISOString()
+      }));
+      return res.status(200).send();
+    }
+
+    await updateWithETag(daprClient, ORDER_STORE, orderId, current => ({
+      ...current,
+      paymentStatus: capture.status,
+      capturedAmount: capture.capturedAmount,
+      paymentCaptureError: undefined,
+      updatedAt: new Date().toISOString()
+    }));
+
+    console.log(`Payment ${capture.status} for order ${orderId}: ${captureAmount} of ${order.totalAmount} ${order.currency}`);
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling order inventory fulfilled event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
 });
 
-// Handle payment completed events
-app.post('/events/payment-completed', async (req, res) => {
+// Handle payment voided events
+app.post('/events/payment-voided', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
-    console.log('Payment completed event received:', data);
+    console.log('Payment voided event received:', data);
     
-    const { orderId } = data;
+    const { orderId, paymentId, reason } = data;
     
-    // Update order status to processing
-    const order = await daprClient.state.get(ORDER_STORE, orderId);
-    if (order && order.status === ORDER_STATUS.CONFIRMED) {
-      order.status = ORDER_STATUS.PROCESSING;
-      order.updatedAt = new Date().toISOString();
-      
-      await daprClient.state.save(ORDER_STORE, [
-        {
-          key: orderId,
-          value: order
-        }
-      ]);
-      
-      console.log(`Order moved to processing: ${orderId}`);
-      
-      // Request inventory reservation
-      await daprClient.pubsub.publish('order-pubsub', 'reserve-inventory', {
-        orderId,
-        items: order.items
-      });
+    await updateWithETag(daprClient, ORDER_STORE, orderId, order => {
+      if (!order || order.paymentId !== paymentId) {
+        return undefined;
+      }
+      return {
+        ...order,
+        paymentStatus: 'voided',
+        updatedAt: new Date().toISOString()
+      };
+    });
+
+    if (reason === 'expired') {
+      console.warn(`Payment authorization for order ${orderId} expired before it was captured`);
     }
     
     res.status(200).send();
   } catch (error) {
-    console.error('Error handling payment completed event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    console.error('Error handling payment voided event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
-// Handle inventory reserved events
-app.post('/events/inventory-reserved', async (req, res) => {
+// Handle order inventory rejected events (nothing is held for the order)
+app.post('/events/order-inventory-rejected', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
-    console.log('Inventory reserved event received:', data);
+    console.log('Order inventory rejected event received:', data);
     
-    const { orderId } = data;
+    const { orderId, reason } = data;
     
-    // Update order status to shipped (simplified for demo)
-    const order = await daprClient.state.get(ORDER_STORE, orderId);
-    if (order && order.status === ORDER_STATUS.PROCESSING) {
-      order.status = ORDER_STATUS.SHIPPED;
-      order.shippedAt = new Date().toISOString();
-      order.updatedAt = new Date().toISOString();
-      
-      await daprClient.state.save(ORDER_STORE, [
-        {
-          key: orderId,
-          value: order
-        }
-      ]);
-      
-      console.log(`Order shipped: ${orderId}`);
-      
-      // Publish order shipped event
-      await daprClient.pubsub.publish('order-pubsub', 'order-shipped', {
-        orderId,
-        order
-      });
-    }
+    // Rolls back the payment
+    await sagaCoordinator.failStep(orderId, SAGA_STEPS.RESERVE_INVENTORY, reason);
     
     res.status(200).send();
   } catch (error) {
-    console.error('Error handling inventory reserved event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    console.error('Error handling order inventory rejected event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
 // Start server
-const server = app.listen(port, () => {
+let paymentRetrySweeper;
+let abandonedCartSweeper;
+let pendingAmendmentSweeper;
+const server = app.listen(port, async () => {
   console.log(`Order Service running on port ${port}`);
   console.log(`Dapr sidecar expected on port ${daprPort}`);
+
+  // Initialize sample data
+  await initializeSampleCoupons();
+
+  // Watch for saga steps that never report back
+  sagaCoordinator.startTimeoutSweeper();
+
+  // Publish outbox events left behind by a crash or a broker outage
+  outbox.startRelay();
+
+  // Cancel orders whose payment was never retried
+  paymentRetrySweeper = setInterval(() => {
+    cancelExpiredPaymentFailures().catch(error =>
+      console.error('Error cancelling expired payment failures:', error)
+    );
+  }, PAYMENT_RETRY_SWEEP_INTERVAL_MS);
+  paymentRetrySweeper.unref();
+
+  // Remind customers of abandoned carts
+  abandonedCartSweeper = setInterval(() => {
+    remindAbandonedCarts().catch(error =>
+      console.error('Error reminding abandoned carts:', error)
+    );
+  }, CART_SWEEP_INTERVAL_MS);
+  abandonedCartSweeper.unref();
+
+  // Settle amendments left pending by a failed request
+  pendingAmendmentSweeper = setInterval(() => {
+    settlePendingAmendments().catch(error =>
+      console.error('Error settling pending amendments:', error)
+    );
+  }, AMENDMENT_SWEEP_INTERVAL_MS);
+  pendingAmendmentSweeper.unref();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  sagaCoordinator.stopTimeoutSweeper();
+  outbox.stopRelay();
+  clearInterval(paymentRetrySweeper);
+  clearInterval(abandonedCartSweeper);
+  clearInterval(pendingAmendmentSweeper);
   server.close(() => {
     console.log('Order Service stopped');
     process.exit(0);
@@ -0,0 +1,153 @@
+// Order pricing pipeline
+//
+// priceOrder runs a cart through PRICING_STEPS in order. Each step reads the
+// breakdown built so far and adds its part:
+//
+//   subtotal   sum of the item totals
+//   discounts  coupon discount (see promotions.js)
+//   shipping   free above a threshold or with a free-shipping coupon,
+//              otherwise by weight
+//   tax        rate of the shipping country/region, on the discounted
+//              subtotal plus shipping
+//   total      what the customer pays
+//
+// All amounts are integers in minor units of the order currency.
+
+const { percentOf } = require('../shared/money');
+const { PromotionError, couponError, applyCoupon } = require('./promotions');
+
+class PricingError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Tax rates in percent by ISO country code; regions override the country rate
+const TAX_RATES = {
+  TR: { rate: '20' },
+  DE: { rate: '19' },
+  FR: { rate: '20' },
+  GB: { rate: '20' },
+  US: { rate: '0', regions: { CA: '7.25', NY: '8.875', TX: '6.25', WA: '6.5' } }
+};
+
+const DEFAULT_TAX_RATE = process.env.DEFAULT_TAX_RATE || '0';
+
+// Shipping addresses often carry the country name instead of its code
+const COUNTRY_CODES = {
+  turkey: 'TR',
+  türkiye: 'TR',
+  germany: 'DE',
+  france: 'FR',
+  'united kingdom': 'GB',
+  'united states': 'US',
+  usa: 'US'
+};
+
+// Shipping is free from `freeOver` (discounted subtotal), otherwise
+// `baseFee` plus `perKgFee` for every started kilogram
+const SHIPPING_RATES = {
+  USD: { freeOver: 10000, baseFee: 599, perKgFee: 150 },
+  EUR: { freeOver: 9000, baseFee: 499, perKgFee: 125 },
+  GBP: { freeOver: 8000, baseFee: 449, perKgFee: 110 },
+  CHF: { freeOver: 9000, baseFee: 690, perKgFee: 150 },
+  TRY: { freeOver: 150000, baseFee: 4999, perKgFee: 1000 },
+  JPY: { freeOver: 10000, baseFee: 800, perKgFee: 200 }
+};
+
+// Used for products that have no weight
+const DEFAULT_ITEM_WEIGHT_GRAMS = parseInt(process.env.DEFAULT_ITEM_WEIGHT_GRAMS) || 500;
+
+function countryCode(shippingAddress) {
+  const country = String((shippingAddress && shippingAddress.country) || '').trim();
+  return COUNTRY_CODES[country.toLowerCase()] || country.toUpperCase();
+}
+
+function taxRate(shippingAddress) {
+  const country = countryCode(shippingAddress);
+  const region = String((shippingAddress && (shippingAddress.region || shippingAddress.state)) || '').trim().toUpperCase();
+  const rates = TAX_RATES[country];
+
+  if (!rates) {
+    return { country: country || undefined, region: region || undefined, rate: DEFAULT_TAX_RATE };
+  }
+  const regionRate = rates.regions && rates.regions[region];
+  return { country, region: region || undefined, rate: regionRate || rates.rate };
+}
+
+const PRICING_STEPS = [
+  function subtotal(pricing, { items }) {
+    return { ...pricing, subtotal: items.reduce((sum, item) => sum + item.totalPrice, 0) };
+  },
+
+  function discounts(pricing, { items, currency, coupon, userUses }) {
+    const applied = [];
+    if (coupon) {
+      const error = couponError(coupon, { items, currency, subtotal: pricing.subtotal, userUses });
+      if (error) {
+        throw new PromotionError(error, 400, { couponCode: coupon.code });
+      }
+      applied.push(applyCoupon(coupon, { items }));
+    }
+    return {
+      ...pricing,
+      discounts: applied,
+      discountTotal: applied.reduce((sum, discount) => sum + discount.amount, 0)
+    };
+  },
+
+  function shipping(pricing, { items, currency }) {
+    const rates = SHIPPING_RATES[currency];
+    const weightGrams = items.reduce((sum, item) =>
+      sum + (item.weightGrams !== undefined ? item.weightGrams : DEFAULT_ITEM_WEIGHT_GRAMS) * item.quantity, 0);
+    const discountedSubtotal = pricing.subtotal - pricing.discountTotal;
+
+    if (pricing.discounts.some(discount => discount.freeShipping)) {
+      return { ...pricing, shipping: { amount: 0, rule: 'coupon', weightGrams } };
+    }
+    if (discountedSubtotal >= rates.freeOver) {
+      return { ...pricing, shipping: { amount: 0, rule: 'free-over-threshold', weightGrams } };
+    }
+    return {
+      ...pricing,
+      shipping: {
+        amount: rates.baseFee + rates.perKgFee * Math.ceil(weightGrams / 1000),
+        rule: 'by-weight',
+        weightGrams
+      }
+    };
+  },
+
+  function tax(pricing, { shippingAddress }) {
+    const { country, region, rate } = taxRate(shippingAddress);
+    const taxableAmount = pricing.subtotal - pricing.discountTotal + pricing.shipping.amount;
+    return {
+      ...pricing,
+      tax: { amount: percentOf(taxableAmount, rate), rate, country, region, taxableAmount }
+    };
+  },
+
+  function total(pricing) {
+    return {
+      ...pricing,
+      total: pricing.subtotal - pricing.discountTotal + pricing.shipping.amount + pricing.tax.amount
+    };
+  }
+];
+
+// Itemised price of a cart whose items are already priced in `currency`.
+// `userUses` is how often the customer already used `coupon`, if known.
+function priceOrder({ items, currency, shippingAddress, coupon, userUses }) {
+  const context = { items, currency, shippingAddress, coupon, userUses };
+  return PRICING_STEPS.reduce((pricing, step) => step(pricing, context), { currency });
+}
+
+module.exports = {
+  PricingError,
+  TAX_RATES,
+  SHIPPING_RATES,
+  priceOrder
+};
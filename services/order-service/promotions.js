@@ -0,0 +1,317 @@
+// Promotions: coupon codes, the discounts they give and their redemptions
+//
+// Coupon types:
+//
+//   percentage     `value` percent off the targeted items
+//   fixed          `value` (minor units of `currency`) off the targeted items
+//   buy-x-get-y    for every `buyQuantity` targeted units bought, `getQuantity`
+//                  more are free (the cheapest ones)
+//   free-shipping  no shipping costs
+//
+// A coupon can target products by `targeting.categories` and `targeting.tags`;
+// without targeting it applies to the whole cart. It is valid between
+// `startsAt` and `expiresAt` and can be limited globally (`maxUses`) and per
+// user (`maxUsesPerUser`).
+//
+// Records in the order store:
+//
+//   coupon-<CODE>                     the coupon and its global use count
+//   coupon-<CODE>-user-<userId>       uses of the coupon by one user
+//   coupon-redemption-<orderId>       the redemption made by an order
+//
+// A redemption is saved in the same state transaction as its order, and
+// reversed (use counts given back) when the order is cancelled.
+
+const { updateWithETag, updateKeysWithETagInTransaction } = require('../shared/etag-state');
+const { CURRENCIES, isCurrency, parseMinorUnits, percentOf, formatMoney } = require('../shared/money');
+
+class PromotionError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'PromotionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const COUPON_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  BUY_X_GET_Y: 'buy-x-get-y',
+  FREE_SHIPPING: 'free-shipping'
+};
+
+const REDEMPTION_STATUS = {
+  REDEEMED: 'redeemed',
+  REVERSED: 'reversed'
+};
+
+function normalizeCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+function couponKey(code) {
+  return `coupon-${normalizeCode(code)}`;
+}
+
+function couponUserKey(code, userId) {
+  return `coupon-${normalizeCode(code)}-user-${userId}`;
+}
+
+function redemptionKey(orderId) {
+  return `coupon-redemption-${orderId}`;
+}
+
+// Items the coupon applies to
+function targetedItems(coupon, items) {
+  const { categories = [], tags = [] } = coupon.targeting || {};
+  if (categories.length === 0 && tags.length === 0) {
+    return items;
+  }
+  const wantedCategories = categories.map(category => category.toLowerCase());
+  const wantedTags = tags.map(tag => tag.toLowerCase());
+  return items.filter(item =>
+    wantedCategories.includes(String(item.category || '').toLowerCase()) ||
+    (item.tags || []).some(tag => wantedTags.includes(String(tag).toLowerCase()))
+  );
+}
+
+// Free units of a buy-X-get-Y coupon: out of every X+Y units the Y cheapest are free
+function buyXGetYDiscount(coupon, items) {
+  const unitPrices = items
+    .flatMap(item => Array(item.quantity).fill(item.unitPrice))
+    .sort((a, b) => b - a);
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+  const freeUnits = Math.floor(unitPrices.length / groupSize) * coupon.getQuantity;
+  return unitPrices.slice(unitPrices.length - freeUnits).reduce((sum, price) => sum + price, 0);
+}
+
+// Why a coupon cannot be used for a cart, if it cannot. `userUses` is only
+// checked when known (carts quoted without a user skip the per-user limit).
+function couponError(coupon, { items, currency, subtotal, userUses, now = new Date() }) {
+  if (!coupon || !coupon.active) {
+    return 'Coupon code is not valid';
+  }
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    return 'Coupon is not active yet';
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+    return 'Coupon has expired';
+  }
+  if (coupon.maxUses !== undefined && coupon.usedCount >= coupon.maxUses) {
+    return 'Coupon usage limit has been reached';
+  }
+  if (coupon.maxUsesPerUser !== undefined && userUses !== undefined && userUses >= coupon.maxUsesPerUser) {
+    return 'Coupon has already been used the maximum number of times by this user';
+  }
+  if (coupon.currency && coupon.currency !== currency) {
+    return `Coupon can only be used for ${coupon.currency} orders`;
+  }
+  if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+    return `Coupon requires a subtotal of at least ${formatMoney(coupon.minSubtotal, currency)}`;
+  }
+  if (items && targetedItems(coupon, items).length === 0) {
+    return 'Coupon does not apply to any item in the cart';
+  }
+  return undefined;
+}
+
+// Discount a coupon gives a cart: { code, type, amount, freeShipping, productIds }
+function applyCoupon(coupon, { items }) {
+  const targeted = targetedItems(coupon, items);
+  const targetedSubtotal = targeted.reduce((sum, item) => sum + item.totalPrice, 0);
+
+  let amount = 0;
+  if (coupon.type === COUPON_TYPES.PERCENTAGE) {
+    amount = percentOf(targetedSubtotal, coupon.value);
+  } else if (coupon.type === COUPON_TYPES.FIXED) {
+    amount = coupon.value;
+  } else if (coupon.type === COUPON_TYPES.BUY_X_GET_Y) {
+    amount = buyXGetYDiscount(coupon, targeted);
+  }
+
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    amount: Math.min(amount, targetedSubtotal),
+    freeShipping: coupon.type === COUPON_TYPES.FREE_SHIPPING,
+    productIds: targeted.length === items.length ? undefined : targeted.map(item => item.productId)
+  };
+}
+
+// Validate a coupon definition from the API; returns the coupon to save
+function buildCoupon(input) {
+  const { code, type, value, currency, buyQuantity, getQuantity, targeting = {}, minSubtotal, maxUses, maxUsesPerUser, startsAt, expiresAt } = input;
+
+  if (!code || !type) {
+    throw new PromotionError('Code and type are required');
+  }
+
+  if (!Object.values(COUPON_TYPES).includes(type)) {
+    throw new PromotionError('Invalid coupon type', 400, { validTypes: Object.values(COUPON_TYPES) });
+  }
+
+  if (type === COUPON_TYPES.PERCENTAGE && !(parseFloat(value) > 0 && parseFloat(value) <= 100)) {
+    throw new PromotionError('Percentage coupons need a value between 0 and 100');
+  }
+
+  if (type === COUPON_TYPES.FIXED && (!(parseMinorUnits(value) > 0) || !isCurrency(currency))) {
+    throw new PromotionError('Fixed coupons need an integer value in minor units and a currency');
+  }
+
+  if (type === COUPON_TYPES.BUY_X_GET_Y && !(parseInt(buyQuantity) > 0 && parseInt(getQuantity) > 0)) {
+    throw new PromotionError('Buy-x-get-y coupons need a positive buyQuantity and getQuantity');
+  }
+
+  if (currency !== undefined && !isCurrency(currency)) {
+    throw new PromotionError('Invalid currency', 400, { validCurrencies: Object.keys(CURRENCIES) });
+  }
+
+  if (minSubtotal !== undefined && !(parseMinorUnits(minSubtotal) >= 0)) {
+    throw new PromotionError('Minimum subtotal must be an integer amount in minor units');
+  }
+
+  if ((maxUses !== undefined && !(parseInt(maxUses) > 0)) || (maxUsesPerUser !== undefined && !(parseInt(maxUsesPerUser) > 0))) {
+    throw new PromotionError('Usage limits must be positive integers');
+  }
+
+  if ((startsAt && isNaN(Date.parse(startsAt))) || (expiresAt && isNaN(Date.parse(expiresAt)))) {
+    throw new PromotionError('startsAt and expiresAt must be dates');
+  }
+
+  return {
+    code: normalizeCode(code),
+    type,
+    value: type === COUPON_TYPES.FIXED ? parseMinorUnits(value) : (value !== undefined ? String(value) : undefined),
+    currency,
+    buyQuantity: type === COUPON_TYPES.BUY_X_GET_Y ? parseInt(buyQuantity) : undefined,
+    getQuantity: type === COUPON_TYPES.BUY_X_GET_Y ? parseInt(getQuantity) : undefined,
+    targeting: {
+      categories: targeting.categories || [],
+      tags: targeting.tags || []
+    },
+    minSubtotal: minSubtotal !== undefined ? parseMinorUnits(minSubtotal) : undefined,
+    maxUses: maxUses !== undefined ? parseInt(maxUses) : undefined,
+    maxUsesPerUser: maxUsesPerUser !== undefined ? parseInt(maxUsesPerUser) : undefined,
+    startsAt,
+    expiresAt,
+    usedCount: 0,
+    active: true,
+    createdAt: new Date().toISOString()
+  };
+}
+
+function createPromotions(daprClient, { storeName }) {
+  async function getCoupon(code) {
+    return daprClient.state.get(storeName, couponKey(code));
+  }
+
+  async function getUserUses(code, userId) {
+    const usage = await daprClient.state.get(storeName, couponUserKey(code, userId));
+    return usage ? usage.count : 0;
+  }
+
+  // Save a new coupon; returns false when the code is taken
+  async function createCoupon(input) {
+    const coupon = buildCoupon(input);
+    const { saved } = await updateWithETag(daprClient, storeName, couponKey(coupon.code), current =>
+      current ? undefined : coupon
+    );
+    return saved ? coupon : undefined;
+  }
+
+  // Record the redemption of `discount` by an order. The coupon's use counts,
+  // the redemption and `operations` (e.g. saving the order) are committed in
+  // one transaction; a limit reached meanwhile fails with 409.
+  async function redeem(code, { orderId, userId, items, currency, subtotal, discount }, operations) {
+    const key = couponKey(code);
+    const userKey = couponUserKey(code, userId);
+    let rejection;
+
+    await updateKeysWithETagInTransaction(daprClient, storeName, [key, userKey], current => {
+      rejection = undefined;
+
+      const coupon = current[key];
+      const usage = current[userKey] || { code: normalizeCode(code), userId, count: 0 };
+      const error = couponError(coupon, { items, currency, subtotal, userUses: usage.count });
+      if (error) {
+        rejection = new PromotionError(error, 409, { couponCode: normalizeCode(code) });
+        return undefined;
+      }
+
+      const now = new Date().toISOString();
+      return {
+        [key]: { ...coupon, usedCount: coupon.usedCount + 1, lastRedeemedAt: now },
+        [userKey]: { ...usage, count: usage.count + 1, lastRedeemedAt: now },
+        [redemptionKey(orderId)]: {
+          orderId,
+          userId,
+          code: coupon.code,
+          discount,
+          currency,
+          status: REDEMPTION_STATUS.REDEEMED,
+          redeemedAt: now
+        }
+      };
+    }, operations);
+
+    if (rejection) {
+      throw rejection;
+    }
+  }
+
+  // Give the uses of an order's redemption back; safe to call more than once
+  async function reverse(orderId, reason) {
+    const redemption = await daprClient.state.get(storeName, redemptionKey(orderId));
+    if (!redemption || redemption.status !== REDEMPTION_STATUS.REDEEMED) {
+      return undefined;
+    }
+
+    const key = couponKey(redemption.code);
+    const userKey = couponUserKey(redemption.code, redemption.userId);
+
+    const { saved, values } = await updateKeysWithETagInTransaction(
+      daprClient,
+      storeName,
+      [redemptionKey(orderId), key, userKey],
+      current => {
+        const stored = current[redemptionKey(orderId)];
+        if (!stored || stored.status !== REDEMPTION_STATUS.REDEEMED) {
+          return undefined;
+        }
+
+        const now = new Date().toISOString();
+        const updated = {
+          [redemptionKey(orderId)]: { ...stored, status: REDEMPTION_STATUS.REVERSED, reversedAt: now, reverseReason: reason }
+        };
+        if (current[key]) {
+          updated[key] = { ...current[key], usedCount: Math.max(0, current[key].usedCount - 1) };
+        }
+        if (current[userKey]) {
+          updated[userKey] = { ...current[userKey], count: Math.max(0, current[userKey].count - 1) };
+        }
+        return updated;
+      }
+    );
+
+    return saved ? values[redemptionKey(orderId)] : undefined;
+  }
+
+  return {
+    getCoupon,
+    getUserUses,
+    createCoupon,
+    redeem,
+    reverse
+  };
+}
+
+module.exports = {
+  PromotionError,
+  COUPON_TYPES,
+  REDEMPTION_STATUS,
+  normalizeCode,
+  couponError,
+  applyCoupon,
+  createPromotions
+};
@@ -0,0 +1,278 @@
+// Returns (RMA)
+//
+// Customers return line items of a delivered order. Each return is an RMA
+// that an admin approves or rejects and the warehouse then receives. Records
+// in the order store:
+//
+//   return-<returnId>   { id, rmaNumber, orderId, userId, status, items, refundAmount,
+//                         currency, refunds, history, restockedItems, ... }
+//
+// `items` are { productId, productName, quantity, unitPrice, reason } plus the
+// `condition` and `location` they were received in. Every status change is
+// appended to `history`. The order keeps a summary of its returns in
+// `order.returns`, written in the same transaction as the return, so
+// returnable quantities are always checked against all returns of the order.
+//
+// Receiving a return restocks its items through inventory-service and
+// refunds them through payment-service (both driven by the
+// return-status-updated event); the return is refunded once the refunds
+// reported back cover its refund amount.
+//
+// Changes take `events`: a function of { record, order, previousStatus } that
+// returns the pub/sub events to commit with the change (see the outbox).
+
+const { v4: uuidv4 } = require('uuid');
+const { proportionOf } = require('../shared/money');
+
+const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RECEIVED: 'received',
+  REFUNDED: 'refunded'
+};
+
+// Allowed status transitions. Statuses not listed as a key are final.
+const RETURN_STATUS_TRANSITIONS = {
+  [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.APPROVED]: [RETURN_STATUS.RECEIVED],
+  [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.REFUNDED]
+};
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Condition of a received item: sellable stock goes back on sale, quarantined
+// stock is kept aside for inspection
+const ITEM_CONDITIONS = {
+  SELLABLE: 'sellable',
+  QUARANTINED: 'quarantined'
+};
+
+class ReturnError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ReturnError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function returnKey(returnId) {
+  return `return-${returnId}`;
+}
+
+function rmaNumber(returnId) {
+  return `RMA-${returnId.replace(/-/g, '').substring(0, 8).toUpperCase()}`;
+}
+
+// What the order keeps of a return
+function returnSummary(record) {
+  return {
+    id: record.id,
+    rmaNumber: record.rmaNumber,
+    status: record.status,
+    items: record.items.map(item => ({ productId: item.productId, quantity: item.quantity, reason: item.reason })),
+    refundAmount: record.refundAmount,
+    currency: record.currency,
+    requestedAt: record.requestedAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+// Quantities of the order's items that can still be returned: what was
+// ordered minus what returns that were not rejected already claim
+function returnableQuantities(order) {
+  const quantities = {};
+  for (const item of order.items) {
+    quantities[item.productId] = (quantities[item.productId] || 0) + item.quantity;
+  }
+  for (const summary of order.returns || []) {
+    if (summary.status === RETURN_STATUS.REJECTED) {
+      continue;
+    }
+    for (const item of summary.items) {
+      quantities[item.productId] -= item.quantity;
+    }
+  }
+  return quantities;
+}
+
+// Share of the order total to refund for the items of a return, so
+// discounts, shipping and tax are refunded proportionally. The last return of
+// a fully returned order refunds whatever the other returns left over.
+function refundAmountFor(order, record) {
+  const returnedSubtotal = record.items.reduce((sum, returned) => {
+    const item = order.items.find(orderItem => orderItem.productId === returned.productId);
+    return sum + (item ? item.unitPrice * returned.quantity : 0);
+  }, 0);
+  const subtotal = order.pricing ? order.pricing.subtotal : order.totalAmount;
+
+  const others = (order.returns || []).filter(summary =>
+    summary.id !== record.id && summary.status !== RETURN_STATUS.REJECTED
+  );
+  const lastReturn = Object.values(returnableQuantities(order)).every(quantity => quantity === 0) &&
+    others.every(summary => summary.refundAmount !== undefined);
+
+  if (lastReturn) {
+    const otherRefunds = others.reduce((sum, summary) => sum + summary.refundAmount, 0);
+    return Math.max(0, order.totalAmount - otherRefunds);
+  }
+  return proportionOf(order.totalAmount, returnedSubtotal, subtotal);
+}
+
+// The return moved to `status`, with the step added to its history
+function withStatus(record, status, note) {
+  if (!(RETURN_STATUS_TRANSITIONS[record.status] || []).includes(status)) {
+    throw new ReturnError(`Return cannot move from ${record.status} to ${status}`, 409, {
+      currentStatus: record.status,
+      allowedStatuses: RETURN_STATUS_TRANSITIONS[record.status] || []
+    });
+  }
+
+  const now = new Date().toISOString();
+  return {
+    ...record,
+    status,
+    history: [...record.history, { status, note, at: now }],
+    [`${status}At`]: now,
+    updatedAt: now
+  };
+}
+
+function createReturns(daprClient, { storeName, outbox }) {
+  async function getReturn(returnId) {
+    return daprClient.state.get(storeName, returnKey(returnId));
+  }
+
+  // Create a return for an order. `build` gets the current order and the new
+  // return ID and returns the return record, or throws a ReturnError.
+  // Returns { record, order }.
+  async function createReturn(orderId, build, events = () => []) {
+    const returnId = uuidv4();
+    const key = returnKey(returnId);
+
+    const { values } = await outbox.updateKeys([orderId, key], current => {
+      const order = current[orderId];
+      if (!order) {
+        throw new ReturnError('Order not found', 404);
+      }
+
+      const now = new Date().toISOString();
+      const record = {
+        ...build(order, returnId),
+        id: returnId,
+        rmaNumber: rmaNumber(returnId),
+        orderId,
+        userId: order.userId,
+        status: RETURN_STATUS.REQUESTED,
+        refunds: [],
+        requestedAt: now,
+        updatedAt: now
+      };
+      record.history = [{ status: RETURN_STATUS.REQUESTED, note: record.notes, at: now }];
+
+      return {
+        [orderId]: { ...order, returns: [...(order.returns || []), returnSummary(record)], updatedAt: now },
+        [key]: record
+      };
+    }, saved => events({ record: saved[key], order: saved[orderId] }));
+
+    return { record: values[key], order: values[orderId] };
+  }
+
+  // Change a return and its summary on the order together. `mutate` gets the
+  // current return and the order and returns the new return, or undefined to
+  // leave it alone; it may throw a ReturnError. `events` gets the saved return
+  // and order. Returns { saved, record, order }, or undefined for unknown returns.
+  async function updateReturn(returnId, mutate, events = () => []) {
+    const existing = await getReturn(returnId);
+    if (!existing) {
+      return undefined;
+    }
+
+    const key = returnKey(returnId);
+    const { orderId } = existing;
+
+    const { saved, values } = await outbox.updateKeys([key, orderId], current => {
+      const record = mutate(current[key], current[orderId]);
+      if (record === undefined) {
+        return undefined;
+      }
+
+      const order = current[orderId];
+      const updated = { [key]: record };
+      if (order) {
+        updated[orderId] = {
+          ...order,
+          returns: (order.returns || []).map(summary => summary.id === returnId ? returnSummary(record) : summary),
+          updatedAt: record.updatedAt
+        };
+      }
+      return updated;
+    }, saved => events({ record: saved[key], order: saved[orderId] }));
+
+    return { saved, record: values[key], order: values[orderId] };
+  }
+
+  // Move a return to `status`. `changes` are merged into the return; given as
+  // a function they are computed from the current return and order.
+  async function transition(returnId, status, { note, changes = {}, events = () => [] } = {}) {
+    let previousStatus;
+    const result = await updateReturn(returnId, (current, order) => {
+      previousStatus = current.status;
+      const merged = typeof changes === 'function' ? changes(current, order) : changes;
+      return withStatus({ ...current, ...merged }, status, note);
+    }, saved => events({ ...saved, previousStatus }));
+    return result && { ...result, previousStatus };
+  }
+
+  // Record the outcome of a refund of the return. A return whose succeeded
+  // refunds cover its refund amount becomes refunded. Returns the update with
+  // `previousStatus` set when the return just became refunded; `events` are
+  // only committed then.
+  async function recordRefund(returnId, refund, events = () => []) {
+    let previousStatus;
+    const result = await updateReturn(returnId, current => {
+      previousStatus = undefined;
+      const refunds = [...current.refunds.filter(existing => existing.refundId !== refund.refundId), refund];
+      const refunded = refunds
+        .filter(existing => existing.status === 'succeeded')
+        .reduce((sum, existing) => sum + existing.amount, 0);
+
+      const updated = { ...current, refunds, refundedAmount: refunded, updatedAt: new Date().toISOString() };
+      if (current.status === RETURN_STATUS.RECEIVED && refunded >= current.refundAmount) {
+        previousStatus = current.status;
+        return withStatus(updated, RETURN_STATUS.REFUNDED);
+      }
+      return updated;
+    }, saved => previousStatus ? events({ ...saved, previousStatus }) : []);
+    return result && { ...result, previousStatus };
+  }
+
+  // Record what inventory-service put back into stock for the return
+  async function recordRestock(returnId, items) {
+    return updateReturn(returnId, current => current.restockedAt
+      ? undefined
+      : { ...current, restockedItems: items, restockedAt: new Date().toISOString(), updatedAt: new Date().toISOString() }
+    );
+  }
+
+  return {
+    getReturn,
+    createReturn,
+    transition,
+    recordRefund,
+    recordRestock
+  };
+}
+
+module.exports = {
+  RETURN_STATUS,
+  RETURN_REASONS,
+  ITEM_CONDITIONS,
+  ReturnError,
+  returnSummary,
+  returnableQuantities,
+  refundAmountFor,
+  createReturns
+};
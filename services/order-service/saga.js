@@ -0,0 +1,448 @@
+// Saga coordinator for the order lifecycle
+//
+// Every order that enters payment gets a saga record (`saga-${orderId}`) in the
+// order store. The saga tracks each step of the lifecycle, the deadline of the
+// step currently in progress and, when something goes wrong, runs the
+// compensating actions of the completed steps in reverse order. Saga records
+// are only changed with ETag-guarded updates, so the timeout sweeper and the
+// event handlers never overwrite each other's step updates. A compensation
+// holds a lease on the saga; the sweeper resumes compensations whose lease
+// ran out (the process died midway), skipping steps already compensated.
+
+const { updateWithETag, addToList, removeFromList } = require('../shared/etag-state');
+
+const SAGA_KEY_PREFIX = 'saga-';
+const ACTIVE_SAGAS_KEY = 'active-sagas';
+
+// Saga statuses
+const SAGA_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPENSATING: 'compensating',
+  COMPENSATED: 'compensated',
+  FAILED: 'failed',
+  ABORTED: 'aborted'
+};
+
+// Step statuses
+const STEP_STATUS = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+  COMPENSATED: 'compensated',
+  COMPENSATION_FAILED: 'compensation_failed'
+};
+
+// Saga step names
+const SAGA_STEPS = {
+  PROCESS_PAYMENT: 'process-payment',
+  RESERVE_INVENTORY: 'reserve-inventory',
+  SHIP_ORDER: 'ship-order'
+};
+
+// Step definitions in execution order, with their timeouts and compensations
+const STEP_DEFINITIONS = [
+  {
+    name: SAGA_STEPS.PROCESS_PAYMENT,
+    timeoutMs: parseInt(process.env.SAGA_PAYMENT_TIMEOUT_MS) || 30000,
+    compensation: 'refund-payment'
+  },
+  {
+    name: SAGA_STEPS.RESERVE_INVENTORY,
+    timeoutMs: parseInt(process.env.SAGA_INVENTORY_TIMEOUT_MS) || 60000,
+    compensation: 'release-inventory'
+  },
+  {
+    name: SAGA_STEPS.SHIP_ORDER,
+    timeoutMs: parseInt(process.env.SAGA_SHIPPING_TIMEOUT_MS) || 60000,
+    compensation: null
+  }
+];
+
+const TERMINAL_SAGA_STATUSES = [
+  SAGA_STATUS.COMPLETED,
+  SAGA_STATUS.COMPENSATED,
+  SAGA_STATUS.FAILED,
+  SAGA_STATUS.ABORTED
+];
+
+const COMPENSATION_ATTEMPTS = 3;
+
+// Payment statuses with money left to refund
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'captured', 'partially_refunded'];
+
+// How long a compensation may go without progress before the sweeper resumes it
+const COMPENSATION_LEASE_MS = parseInt(process.env.SAGA_COMPENSATION_LEASE_MS) || 60000;
+
+function compensationLease() {
+  return new Date(Date.now() + COMPENSATION_LEASE_MS).toISOString();
+}
+
+function sagaKey(orderId) {
+  return `${SAGA_KEY_PREFIX}${orderId}`;
+}
+
+function createSagaCoordinator(daprClient, { storeName, onCompensated, sweepIntervalMs = 5000 }) {
+  // Compensating actions, keyed by the name used in STEP_DEFINITIONS
+  const compensations = {
+    'refund-payment': async saga => {
+      // Every payment of the order is given back, extra charges of amendments
+      // included. Two-phase payments that were only authorized are voided;
+      // payments given back by an earlier attempt are skipped.
+      const reason = `Saga compensation for order ${saga.orderId}: ${saga.failureReason}`;
+      const { payments } = await daprClient.invoker.invoke('payment-service', `orders/${saga.orderId}/payments`, 'GET');
+      const returned = [];
+
+      for (const payment of payments) {
+        const action = payment.status === 'authorized' ? 'void' : REFUNDABLE_PAYMENT_STATUSES.includes(payment.status) ? 'refund' : undefined;
+        if (!action) {
+          continue;
+        }
+
+        const result = await daprClient.invoker.invoke(
+          'payment-service',
+          `payments/${payment.id}/${action}`,
+          'POST',
+          { reason }
+        );
+        returned.push({ paymentId: payment.id, action, result });
+      }
+
+      if (returned.length === 0) {
+        return { skipped: true, reason: 'No payment to refund' };
+      }
+      return { payments: returned };
+    },
+    'release-inventory': async saga => {
+      return daprClient.invoker.invoke(
+        'inventory-service',
+        `inventory/orders/${saga.orderId}/release`,
+        'POST',
+        { reason: `Saga compensation: ${saga.failureReason}` }
+      );
+    }
+  };
+
+  async function getSaga(orderId) {
+    return daprClient.state.get(storeName, sagaKey(orderId));
+  }
+
+  // Change the saga of an order. `mutate` gets the current saga and changes
+  // it in place, or returns false to leave it alone. Returns { saved, saga }.
+  async function updateSaga(orderId, mutate) {
+    const { saved, value } = await updateWithETag(daprClient, storeName, sagaKey(orderId), saga => {
+      if (!saga || mutate(saga) === false) {
+        return undefined;
+      }
+      saga.updatedAt = new Date().toISOString();
+      return saga;
+    });
+    return { saved, saga: value };
+  }
+
+  async function trackActive(orderId, active) {
+    if (active) {
+      await addToList(daprClient, storeName, ACTIVE_SAGAS_KEY, orderId);
+    } else {
+      await removeFromList(daprClient, storeName, ACTIVE_SAGAS_KEY, orderId);
+    }
+  }
+
+  function findStep(saga, stepName) {
+    const step = saga.steps.find(s => s.name === stepName);
+    if (!step) {
+      throw new Error(`Unknown saga step: ${stepName}`);
+    }
+    return step;
+  }
+
+  // Start a new saga for an order. A saga that already finished unsuccessfully
+  // is replaced so the order can go through the lifecycle again.
+  async function startSaga(order) {
+    const { value: saga, saved } = await updateWithETag(daprClient, storeName, sagaKey(order.id), existing => {
+      if (existing && !TERMINAL_SAGA_STATUSES.includes(existing.status)) {
+        return undefined;
+      }
+
+      return {
+        orderId: order.id,
+        status: SAGA_STATUS.RUNNING,
+        steps: STEP_DEFINITIONS.map(definition => ({
+          name: definition.name,
+          status: STEP_STATUS.PENDING,
+          compensation: definition.compensation,
+          timeoutMs: definition.timeoutMs
+        })),
+        attempt: existing ? (existing.attempt || 1) + 1 : 1,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+    });
+
+    if (saved) {
+      await trackActive(order.id, true);
+      console.log(`Saga started for order: ${order.id}`);
+    }
+    return saga;
+  }
+
+  // Start (or restart) a step that has not finished yet; its deadline starts
+  // now. Steps that already succeeded or failed are left alone.
+  async function startStep(orderId, stepName, result = {}) {
+    const { saga } = await updateSaga(orderId, current => {
+      if (current.status !== SAGA_STATUS.RUNNING) {
+        return false;
+      }
+
+      const step = findStep(current, stepName);
+      if (![STEP_STATUS.PENDING, STEP_STATUS.IN_PROGRESS].includes(step.status)) {
+        return false;
+      }
+
+      const now = Date.now();
+      step.status = STEP_STATUS.IN_PROGRESS;
+      step.startedAt = new Date(now).toISOString();
+      step.deadline = new Date(now + step.timeoutMs).toISOString();
+      step.result = { ...(step.result || {}), ...result };
+    });
+    return saga;
+  }
+
+  // Complete a step. With `nextStep` the next step is started in the same
+  // update, so its deadline covers the time until it reports back.
+  async function completeStep(orderId, stepName, result = {}, { nextStep } = {}) {
+    const { saved, saga } = await updateSaga(orderId, current => {
+      if (current.status !== SAGA_STATUS.RUNNING) {
+        return false;
+      }
+
+      const step = findStep(current, stepName);
+      step.status = STEP_STATUS.SUCCEEDED;
+      step.completedAt = new Date().toISOString();
+      step.result = { ...(step.result || {}), ...result };
+      delete step.deadline;
+
+      const next = nextStep && findStep(current, nextStep);
+      if (next && next.status === STEP_STATUS.PENDING) {
+        const now = Date.now();
+        next.status = STEP_STATUS.IN_PROGRESS;
+        next.startedAt = new Date(now).toISOString();
+        next.deadline = new Date(now + next.timeoutMs).toISOString();
+      }
+
+      if (current.steps.every(s => s.status === STEP_STATUS.SUCCEEDED)) {
+        current.status = SAGA_STATUS.COMPLETED;
+        current.completedAt = new Date().toISOString();
+      }
+    });
+
+    if (saved && saga.status === SAGA_STATUS.COMPLETED) {
+      await trackActive(orderId, false);
+      console.log(`Saga completed for order: ${orderId}`);
+    }
+    return saga;
+  }
+
+  // Fail a step and compensate. Only the caller that moves the saga from
+  // running to compensating runs the compensations.
+  async function failStep(orderId, stepName, error, status = STEP_STATUS.FAILED) {
+    const { saved, saga } = await updateSaga(orderId, current => {
+      if (current.status !== SAGA_STATUS.RUNNING) {
+        return false;
+      }
+
+      const step = findStep(current, stepName);
+      if (status === STEP_STATUS.TIMED_OUT && step.status !== STEP_STATUS.IN_PROGRESS) {
+        return false;
+      }
+      step.status = status;
+      step.error = error;
+      step.failedAt = new Date().toISOString();
+      delete step.deadline;
+
+      current.failedStep = stepName;
+      current.failureReason = `${stepName} ${status === STEP_STATUS.TIMED_OUT ? 'timed out' : 'failed'}: ${error}`;
+      current.status = SAGA_STATUS.COMPENSATING;
+      current.compensationLeaseUntil = compensationLease();
+    });
+
+    if (!saved) {
+      return saga;
+    }
+
+    console.log(`Saga step ${stepName} ${status} for order ${orderId}: ${error}`);
+    return compensate(saga);
+  }
+
+  // Run compensations for every step that completed, newest first. The step
+  // that failed or timed out has nothing to undo. The saga is compensating
+  // meanwhile, so no other update touches its steps; each compensated step is
+  // saved right away and renews the lease.
+  async function compensate(saga) {
+    const completedSteps = saga.steps.filter(s => s.status === STEP_STATUS.SUCCEEDED).reverse();
+
+    for (const step of completedSteps) {
+      if (!step.compensation) {
+        continue;
+      }
+
+      let lastError;
+      for (let attempt = 1; attempt <= COMPENSATION_ATTEMPTS; attempt++) {
+        try {
+          step.compensationResult = await compensations[step.compensation](saga, step);
+          if (!step.compensationResult || !step.compensationResult.skipped) {
+            step.status = STEP_STATUS.COMPENSATED;
+            step.compensatedAt = new Date().toISOString();
+          }
+          lastError = undefined;
+          break;
+        } catch (error) {
+          lastError = error;
+          console.error(`Compensation ${step.compensation} attempt ${attempt} failed for order ${saga.orderId}:`, error.message);
+        }
+      }
+
+      if (lastError) {
+        step.status = STEP_STATUS.COMPENSATION_FAILED;
+        step.compensationError = lastError.message;
+      }
+
+      await updateSaga(saga.orderId, current => {
+        if (current.status !== SAGA_STATUS.COMPENSATING) {
+          return false;
+        }
+        current.steps = current.steps.map(s => s.name === step.name ? step : s);
+        current.compensationLeaseUntil = compensationLease();
+      });
+    }
+
+    const allCompensated = !saga.steps.some(s => s.status === STEP_STATUS.COMPENSATION_FAILED);
+    const { saved, saga: finished } = await updateSaga(saga.orderId, current => {
+      if (current.status !== SAGA_STATUS.COMPENSATING) {
+        return false;
+      }
+      current.steps = saga.steps;
+      current.status = allCompensated ? SAGA_STATUS.COMPENSATED : SAGA_STATUS.FAILED;
+      current.finishedAt = new Date().toISOString();
+      delete current.compensationLeaseUntil;
+    });
+    if (!saved) {
+      return finished;
+    }
+    saga = finished;
+    await trackActive(saga.orderId, false);
+
+    console.log(`Saga ${saga.status} for order: ${saga.orderId}`);
+
+    if (onCompensated) {
+      await onCompensated(saga);
+    }
+
+    return saga;
+  }
+
+  // Stop tracking a saga whose order was cancelled outside of the saga
+  async function abortSaga(orderId, reason) {
+    const { saved, saga } = await updateSaga(orderId, current => {
+      if (TERMINAL_SAGA_STATUSES.includes(current.status) || current.status === SAGA_STATUS.COMPENSATING) {
+        return false;
+      }
+
+      current.status = SAGA_STATUS.ABORTED;
+      current.failureReason = reason;
+      current.finishedAt = new Date().toISOString();
+      current.steps.forEach(step => delete step.deadline);
+    });
+
+    if (saved) {
+      await trackActive(orderId, false);
+    }
+    return saga;
+  }
+
+  // Take over a compensation whose lease ran out and finish it
+  async function resumeCompensation(orderId) {
+    const { saved, saga } = await updateSaga(orderId, current => {
+      if (current.status !== SAGA_STATUS.COMPENSATING || new Date(current.compensationLeaseUntil) > new Date()) {
+        return false;
+      }
+      current.compensationLeaseUntil = compensationLease();
+    });
+
+    if (!saved) {
+      return saga;
+    }
+
+    console.log(`Resuming saga compensation for order: ${orderId}`);
+    return compensate(saga);
+  }
+
+  // Fail every in-progress step whose deadline has passed and resume
+  // compensations that stopped halfway
+  async function sweepTimeouts() {
+    const activeSagas = await daprClient.state.get(storeName, ACTIVE_SAGAS_KEY) || [];
+    const now = Date.now();
+
+    for (const orderId of activeSagas) {
+      try {
+        const saga = await getSaga(orderId);
+        if (saga && saga.status === SAGA_STATUS.COMPENSATING) {
+          await resumeCompensation(orderId);
+          continue;
+        }
+
+        if (!saga || saga.status !== SAGA_STATUS.RUNNING) {
+          await trackActive(orderId, false);
+          continue;
+        }
+
+        const expiredStep = saga.steps.find(step =>
+          step.status === STEP_STATUS.IN_PROGRESS && step.deadline && new Date(step.deadline).getTime() <= now
+        );
+
+        if (expiredStep) {
+          await failStep(orderId, expiredStep.name, `no response within ${expiredStep.timeoutMs}ms`, STEP_STATUS.TIMED_OUT);
+        }
+      } catch (error) {
+        console.error(`Error checking saga timeouts for order ${orderId}:`, error);
+      }
+    }
+  }
+
+  let sweepTimer;
+
+  function startTimeoutSweeper() {
+    if (!sweepTimer) {
+      sweepTimer = setInterval(() => {
+        sweepTimeouts().catch(error => console.error('Error sweeping saga timeouts:', error));
+      }, sweepIntervalMs);
+      sweepTimer.unref();
+    }
+  }
+
+  function stopTimeoutSweeper() {
+    clearInterval(sweepTimer);
+    sweepTimer = undefined;
+  }
+
+  return {
+    getSaga,
+    startSaga,
+    startStep,
+    completeStep,
+    failStep,
+    abortSaga,
+    sweepTimeouts,
+    startTimeoutSweeper,
+    stopTimeoutSweeper
+  };
+}
+
+module.exports = {
+  SAGA_STATUS,
+  STEP_STATUS,
+  SAGA_STEPS,
+  createSagaCoordinator
+};
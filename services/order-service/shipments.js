@@ -0,0 +1,119 @@
+// Shipments
+//
+// An order ships in one or more shipments, each carrying a set of its items:
+// one shipment per warehouse the items were reserved in. Records in the order
+// store:
+//
+//   shipment-<shipmentId>   { id, orderId, warehouse, items, carrier, trackingNumber,
+//                             trackingUrl, status, events, deliveredAt, ... }
+//
+// The order keeps a summary of its shipments in `order.shipments`. Carriers
+// report progress with tracking events (see POST /shipments/:id/events); the
+// status of a shipment is the status of its latest event. Recorded tracking
+// events are announced through the outbox.
+
+const { updateWithETag } = require('../shared/etag-state');
+
+const SHIPMENT_STATUS = {
+  LABEL_CREATED: 'label_created',
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  EXCEPTION: 'exception',
+  RETURNED: 'returned'
+};
+
+function shipmentKey(shipmentId) {
+  return `shipment-${shipmentId}`;
+}
+
+// Split reserved items into item sets by the warehouse each unit was reserved
+// in. Items reserved without allocations ship together.
+function splitByWarehouse(items) {
+  const sets = new Map();
+  for (const item of items) {
+    const allocations = item.allocations && Object.keys(item.allocations).length > 0
+      ? item.allocations
+      : { '': item.quantity };
+    for (const [warehouse, quantity] of Object.entries(allocations)) {
+      if (!sets.has(warehouse)) {
+        sets.set(warehouse, []);
+      }
+      sets.get(warehouse).push({ productId: item.productId, quantity });
+    }
+  }
+  return [...sets.entries()].map(([warehouse, setItems]) => ({ warehouse: warehouse || undefined, items: setItems }));
+}
+
+// What the order keeps of a shipment
+function shipmentSummary(shipment) {
+  return {
+    id: shipment.id,
+    warehouse: shipment.warehouse,
+    items: shipment.items,
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    status: shipment.status,
+    estimatedDeliveryAt: shipment.estimatedDeliveryAt,
+    deliveredAt: shipment.deliveredAt
+  };
+}
+
+function createShipments(daprClient, { storeName, outbox }) {
+  async function getShipment(shipmentId) {
+    return daprClient.state.get(storeName, shipmentKey(shipmentId));
+  }
+
+  // Save a booked shipment; a shipment saved meanwhile wins and is returned
+  async function createShipment(shipment) {
+    const { value } = await updateWithETag(daprClient, storeName, shipmentKey(shipment.id), current =>
+      current ? undefined : shipment
+    );
+    return value;
+  }
+
+  // Add a tracking event. Events already recorded (same eventId) are ignored.
+  // `events` (pub/sub events, given the updated shipment) are committed with
+  // a recorded event. Returns { shipment, recorded }, or undefined for unknown
+  // shipments.
+  async function recordEvent(shipmentId, event, events) {
+    const { saved, value } = await outbox.update(shipmentKey(shipmentId), current => {
+      if (!current) {
+        return undefined;
+      }
+      if (event.eventId && current.events.some(recorded => recorded.eventId === event.eventId)) {
+        return undefined;
+      }
+
+      // Carriers may deliver events out of order
+      const events = [...current.events, event].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+      const latest = events[events.length - 1];
+      const delivered = latest.status === SHIPMENT_STATUS.DELIVERED;
+
+      return {
+        ...current,
+        events,
+        status: latest.status,
+        deliveredAt: delivered ? current.deliveredAt || latest.occurredAt : undefined,
+        updatedAt: new Date().toISOString()
+      };
+    }, events);
+
+    return value ? { shipment: value, recorded: saved } : undefined;
+  }
+
+  return {
+    getShipment,
+    createShipment,
+    recordEvent
+  };
+}
+
+module.exports = {
+  SHIPMENT_STATUS,
+  splitByWarehouse,
+  shipmentSummary,
+  createShipments
+};
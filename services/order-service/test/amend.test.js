@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dapr = require('@dapr/dapr');
+const { createMemoryDaprClient } = require('../../shared/test/memory-state');
+
+const ORDER_STORE = 'order-store';
+const PRODUCTS = {
+  '1': { id: '1', name: 'Laptop', price: 2000, currency: 'USD', stock: 10 },
+  '2': { id: '2', name: 'Mouse', price: 500, currency: 'USD', stock: 10 }
+};
+
+// The service runs against the in-memory state store; product-service
+// prices the items and payment-service accepts every charge and refund unless
+// told to decline them. Calls to payment-service are recorded.
+const daprClient = createMemoryDaprClient();
+const published = [];
+const payments = [];
+const gateway = { decline: false, onQuote: undefined };
+daprClient.pubsub.publish = async (pubsubName, topic, data) => {
+  published.push({ topic, data });
+  return {};
+};
+daprClient.invoker = {
+  async invoke(appId, path, method, body, options = {}) {
+    if (path === 'products/check-availability') {
+      if (gateway.onQuote) {
+        await gateway.onQuote();
+      }
+      return {
+        results: body.items.map(item => ({
+          product: PRODUCTS[item.productId],
+          available: PRODUCTS[item.productId].stock >= item.quantity,
+          availableStock: PRODUCTS[item.productId].stock
+        }))
+      };
+    }
+    if (path === 'payments/process' || path.endsWith('/refund')) {
+      payments.push({ path, body, idempotencyKey: options.headers && options.headers['Idempotency-Key'] });
+      if (gateway.decline) {
+        throw new Error(JSON.stringify({ error: 'Payment Required', status: 402 }));
+      }
+      return path === 'payments/process' ? { paymentId: 'payment-extra', status: 'completed' } : { refundId: 'refund-1' };
+    }
+    return {};
+  }
+};
+dapr.DaprClient = function () {
+  return daprClient;
+};
+
+process.env.PORT = '0';
+const app = require('..');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.afterEach(() => {
+  payments.length = 0;
+  gateway.decline = false;
+  gateway.onQuote = undefined;
+});
+
+test.after(() => {
+  server.close();
+  // Stops the service's own listener and sweepers
+  process.kill(process.pid, 'SIGTERM');
+});
+
+async function request(method, path, body) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json().catch(() => undefined) };
+}
+
+// A paid order of two laptops, confirmed but not yet reserved
+async function seedConfirmedOrder(orderId) {
+  await daprClient.state.save(ORDER_STORE, [
+    {
+      key: orderId,
+      value: {
+        id: orderId,
+        userId: 'user-1',
+        status: 'confirmed',
+        paymentId: 'payment-1',
+        paymentStatus: 'completed',
+        paymentMethod: 'credit_card',
+        currency: 'USD',
+        totalAmount: 4000,
+        pricing: { subtotal: 4000 },
+        items: [{ productId: '1', productName: 'Laptop', quantity: 2, unitPrice: 2000, totalPrice: 4000, currency: 'USD' }],
+        shippingAddress: { country: 'US', city: 'Austin' },
+        createdAt: new Date().toISOString()
+      }
+    }
+  ]);
+}
+
+test('an amended order reserves the amended quantities', async () => {
+  await seedConfirmedOrder('order-amend');
+
+  const amended = await request('PATCH', '/orders/order-amend', {
+    items: [{ productId: '1', quantity: 1 }, { productId: '2', quantity: 3 }]
+  });
+  assert.strictEqual(amended.status, 200, JSON.stringify(amended.body));
+
+  const delivered = await request('POST', '/events/payment-completed', {
+    id: 'event-payment-completed',
+    data: { orderId: 'order-amend' }
+  });
+  assert.strictEqual(delivered.status, 200);
+
+  const reservation = published.find(event => event.topic === 'reserve-inventory');
+  assert.ok(reservation, 'expected an inventory reservation request');
+  assert.deepStrictEqual(
+    reservation.data.items.map(item => [item.productId, item.quantity]),
+    [['1', 1], ['2', 3]]
+  );
+  assert.strictEqual((await daprClient.state.get(ORDER_STORE, 'order-amend')).status, 'processing');
+});
+
+function amendedEvents(orderId) {
+  return published.filter(event => event.topic === 'order-amended' && event.data.orderId === orderId);
+}
+
+test('a higher total is charged once the amendment is saved', async () => {
+  await seedConfirmedOrder('order-charge');
+
+  const amended = await request('PATCH', '/orders/order-charge', { items: [{ productId: '1', quantity: 5 }] });
+  assert.strictEqual(amended.status, 200, JSON.stringify(amended.body));
+
+  const difference = amended.body.totalAmount - 4000;
+  assert.ok(difference > 0);
+  assert.deepStrictEqual(payments.map(payment => [payment.path, payment.body.amount, payment.idempotencyKey]), [
+    ['payments/process', difference, 'order-order-charge-amendment-2']
+  ]);
+
+  const stored = await daprClient.state.get(ORDER_STORE, 'order-charge');
+  assert.strictEqual(stored.pendingAmendment, undefined);
+  assert.strictEqual(stored.revision, 2);
+  assert.deepStrictEqual(stored.revisions[1].settlement, { type: 'charge', amount: difference, paymentId: 'payment-extra' });
+  assert.strictEqual(amendedEvents('order-charge').length, 1);
+});
+
+test('a lower total is refunded once the amendment is saved', async () => {
+  await seedConfirmedOrder('order-refund');
+
+  const amended = await request('PATCH', '/orders/order-refund', { items: [{ productId: '1', quantity: 1 }] });
+  assert.strictEqual(amended.status, 200, JSON.stringify(amended.body));
+
+  const refunded = 4000 - amended.body.totalAmount;
+  assert.ok(refunded > 0);
+  assert.deepStrictEqual(payments.map(payment => [payment.path, payment.body.amount, payment.idempotencyKey]), [
+    ['payments/payment-1/refund', refunded, 'order-order-refund-amendment-2']
+  ]);
+
+  const stored = await daprClient.state.get(ORDER_STORE, 'order-refund');
+  assert.strictEqual(stored.pendingAmendment, undefined);
+  assert.deepStrictEqual(stored.revisions[1].settlement, {
+    type: 'refund',
+    amount: refunded,
+    paymentId: 'payment-1',
+    refundId: 'refund-1'
+  });
+  assert.strictEqual(amendedEvents('order-refund')[0].data.difference, -refunded);
+});
+
+test('an amendment whose save is rejected is neither charged nor refunded', async () => {
+  await seedConfirmedOrder('order-conflict');
+
+  // Another amendment is saved while this one is being priced
+  gateway.onQuote = async () => {
+    gateway.onQuote = undefined;
+    const current = await daprClient.state.get(ORDER_STORE, 'order-conflict');
+    await daprClient.state.save(ORDER_STORE, [{ key: 'order-conflict', value: { ...current, revision: 2 } }]);
+  };
+
+  const amended = await request('PATCH', '/orders/order-conflict', { items: [{ productId: '1', quantity: 1 }] });
+  assert.strictEqual(amended.status, 409, JSON.stringify(amended.body));
+  assert.deepStrictEqual(payments, []);
+
+  const stored = await daprClient.state.get(ORDER_STORE, 'order-conflict');
+  assert.strictEqual(stored.totalAmount, 4000);
+  assert.strictEqual(stored.revisions, undefined);
+  assert.strictEqual(amendedEvents('order-conflict').length, 0);
+});
+
+test('a declined charge undoes the amendment', async () => {
+  await seedConfirmedOrder('order-declined');
+  gateway.decline = true;
+
+  const amended = await request('PATCH', '/orders/order-declined', { items: [{ productId: '1', quantity: 5 }] });
+  assert.strictEqual(amended.status, 402, JSON.stringify(amended.body));
+  assert.strictEqual(payments.length, 1);
+
+  const stored = await daprClient.state.get(ORDER_STORE, 'order-declined');
+  assert.strictEqual(stored.pendingAmendment, undefined);
+  assert.strictEqual(stored.totalAmount, 4000);
+  assert.strictEqual(stored.revision, 1);
+  assert.deepStrictEqual(stored.items.map(item => [item.productId, item.quantity]), [['1', 2]]);
+  assert.strictEqual(amendedEvents('order-declined').length, 0);
+});
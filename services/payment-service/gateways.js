@@ -0,0 +1,223 @@
+// Payment gateway adapters
+//
+// Every adapter implements the same operations:
+//
+//   authorize({ amount, currency, paymentMethod, paymentDetails })  -> { transactionId, authCode, response, processedAt }
+//   capture({ amount, payment })                                     -> { captureTransactionId }
+//   refund({ amount, payment })                                      -> { refundTransactionId }
+//   void({ payment })                                                -> { voidTransactionId }
+//
+// Amounts are in minor units of the payment currency. Adapters fail with a
+// GatewayError. The adapter used for a payment is chosen by
+// its payment method (see gatewayFor).
+
+const { v4: uuidv4 } = require('uuid');
+
+class GatewayError extends Error {
+  constructor(message, code, retryable = false) {
+    super(message);
+    this.name = 'GatewayError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+const GATEWAY_ERRORS = {
+  card_declined: { message: 'Payment gateway declined', retryable: false },
+  insufficient_funds: { message: 'Insufficient funds', retryable: false },
+  expired_card: { message: 'Card has expired', retryable: false },
+  processing_error: { message: 'Payment gateway processing error', retryable: true },
+  refund_failed: { message: 'Refund gateway error', retryable: false },
+  capture_failed: { message: 'Capture gateway error', retryable: false },
+  timeout: { message: 'Payment gateway timed out', retryable: true },
+  gateway_unavailable: { message: 'Payment gateway unavailable', retryable: true }
+};
+
+function gatewayError(code) {
+  const { message, retryable } = GATEWAY_ERRORS[code] || GATEWAY_ERRORS.processing_error;
+  return new GatewayError(message, code, retryable);
+}
+
+// Deterministic fake gateway, in the style of Stripe test cards. Any other
+// card number succeeds. Only full card numbers match: later operations (capture,
+// refund, void) recognise a test card by the transaction it authorized.
+const FAKE_CARDS = {
+  '4000000000000002': { authorize: 'card_declined' },
+  '4000000000009995': { authorize: 'insufficient_funds' },
+  '4000000000000069': { authorize: 'expired_card' },
+  '4000000000000119': { authorize: 'processing_error' },
+  '4000000000000341': { capture: 'capture_failed' },
+  '4000000000005126': { refund: 'refund_failed' }
+};
+
+// Outcomes driven by the last two digits of the amount in minor units (the
+// cents, e.g. 1051 is 10.51); also works for methods without a card. Off
+// unless FAKE_GATEWAY_TEST_AMOUNTS=true, so ordinary prices never fail.
+const FAKE_AMOUNT_CENTS = {
+  51: { authorize: 'card_declined' },
+  52: { authorize: 'insufficient_funds' },
+  53: { authorize: 'processing_error', capture: 'processing_error', refund: 'processing_error', void: 'processing_error' },
+  54: { refund: 'refund_failed' }
+};
+
+function amountCents(amount) {
+  return amount % 100;
+}
+
+function testAmountsEnabled() {
+  return process.env.FAKE_GATEWAY_TEST_AMOUNTS === 'true';
+}
+
+function cardNumber(paymentDetails) {
+  return String((paymentDetails && paymentDetails.cardNumber) || '').replace(/\s/g, '');
+}
+
+function cardLast4(paymentDetails) {
+  return cardNumber(paymentDetails).slice(-4) || undefined;
+}
+
+// Transactions authorized with a test card carry its number
+function fakeTransactionId(paymentDetails) {
+  const number = cardNumber(paymentDetails);
+  return FAKE_CARDS[number] ? `gw_test_${number}_${uuidv4()}` : `gw_${uuidv4()}`;
+}
+
+// Test card behind a request: the card number given, or the one of the
+// transaction the payment was authorized with
+function fakeCard(paymentDetails, payment) {
+  const match = /^gw_test_(\d+)_/.exec((payment && payment.gatewayTransactionId) || '');
+  const number = cardNumber(paymentDetails) || (match ? match[1] : '');
+  return FAKE_CARDS[number] || {};
+}
+
+// Failure code the fake gateway answers an operation with, if any
+function fakeOutcome(operation, { amount, paymentDetails, payment }) {
+  const byAmount = amount !== undefined && testAmountsEnabled() ? FAKE_AMOUNT_CENTS[amountCents(amount)] || {} : {};
+  return fakeCard(paymentDetails, payment)[operation] || byAmount[operation];
+}
+
+function fakeDelay() {
+  const ms = parseInt(process.env.FAKE_GATEWAY_DELAY_MS) || 0;
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const fakeGateway = {
+  name: 'fake',
+
+  async authorize({ amount, paymentDetails }) {
+    await fakeDelay();
+    const failure = fakeOutcome('authorize', { amount, paymentDetails });
+    if (failure) {
+      throw gatewayError(failure);
+    }
+    return {
+      transactionId: fakeTransactionId(paymentDetails),
+      authCode: `AUTH${uuidv4().replace(/-/g, '').substring(0, 6).toUpperCase()}`,
+      response: 'approved',
+      processedAt: new Date().toISOString()
+    };
+  },
+
+  async capture({ amount, payment }) {
+    await fakeDelay();
+    const failure = fakeOutcome('capture', { amount, payment });
+    if (failure) {
+      throw gatewayError(failure);
+    }
+    return { captureTransactionId: `cap_${uuidv4()}` };
+  },
+
+  async refund({ amount, payment }) {
+    await fakeDelay();
+    const failure = fakeOutcome('refund', { amount, payment });
+    if (failure) {
+      throw gatewayError(failure);
+    }
+    return { refundTransactionId: `re_${uuidv4()}` };
+  },
+
+  async void({ payment }) {
+    await fakeDelay();
+    const failure = fakeOutcome('void', { amount: payment.amount, payment });
+    if (failure) {
+      throw gatewayError(failure);
+    }
+    return { voidTransactionId: `void_${uuidv4()}` };
+  }
+};
+
+// Gateway reached over HTTP, e.g. the local stub in stub-gateway.js
+function createHttpGateway({ url, timeoutMs }) {
+  async function call(operation, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(`${url}/${operation}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw gatewayError(error.name === 'AbortError' ? 'timeout' : 'gateway_unavailable');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (response.status >= 500) {
+      throw gatewayError('gateway_unavailable');
+    }
+    if (!response.ok) {
+      throw gatewayError(result.code);
+    }
+    return result;
+  }
+
+  return {
+    name: 'http',
+    authorize: ({ amount, currency, paymentMethod, paymentDetails }) =>
+      call('authorize', { amount, currency, paymentMethod, paymentDetails }),
+    capture: ({ amount, payment }) =>
+      call('capture', { amount, currency: payment.currency, transactionId: payment.gatewayTransactionId, cardLast4: payment.cardLast4 }),
+    refund: ({ amount, payment }) =>
+      call('refund', { amount, currency: payment.currency, transactionId: payment.gatewayTransactionId, cardLast4: payment.cardLast4 }),
+    void: ({ payment }) =>
+      call('void', { amount: payment.amount, currency: payment.currency, transactionId: payment.gatewayTransactionId, cardLast4: payment.cardLast4 })
+  };
+}
+
+const GATEWAYS = {
+  fake: fakeGateway,
+  http: createHttpGateway({
+    url: process.env.PAYMENT_GATEWAY_URL || 'http://localhost:4010',
+    timeoutMs: parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || 5000
+  })
+};
+
+const DEFAULT_GATEWAY = process.env.PAYMENT_GATEWAY || 'fake';
+
+// Adapter for a payment method; PAYMENT_GATEWAY_<METHOD> (e.g.
+// PAYMENT_GATEWAY_PAYPAL=http) overrides the default for one method
+function gatewayFor(paymentMethod) {
+  const name = process.env[`PAYMENT_GATEWAY_${String(paymentMethod).toUpperCase()}`] || DEFAULT_GATEWAY;
+  const gateway = GATEWAYS[name];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return gateway;
+}
+
+module.exports = {
+  GatewayError,
+  GATEWAYS,
+  FAKE_CARDS,
+  fakeGateway,
+  fakeOutcome,
+  gatewayError,
+  cardLast4,
+  gatewayFor
+};
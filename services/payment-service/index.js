@@ -1,6 +1,19 @@
 const express = require('express');
 const { DaprClient } = require('@dapr/dapr');
 const { v4: uuidv4 } = require('uuid');
+const { idempotency } = require('../shared/idempotency');
+const { DEFAULT_CURRENCY, CURRENCIES, isCurrency, parseMinorUnits, toMinorUnits, formatMoney } = require('../shared/money');
+const { GatewayError, gatewayFor, cardLast4 } = require('./gateways');
+const {
+  ETagConflictError,
+  updateWithETag,
+  updateWithETagInTransaction,
+  addToList,
+  removeFromList
+} = require('../shared/etag-state');
+const { createOutbox, registerOutboxRoutes } = require('../shared/outbox');
+const { eventConsumer } = require('../shared/event-consumer');
+const { createDeadLetters, registerDeadLetterRoutes } = require('../shared/dead-letters');
 
 const app = express();
 const port = process.env.PORT || 3004;
@@ -14,15 +27,47 @@ app.use(express.json());
 // State store names
 const PAYMENT_STORE = 'payment-store';
 
+// Events go through the outbox, committed with the state they announce
+const outbox = createOutbox(daprClient, { storeName: PAYMENT_STORE });
+
+// Event subscriptions skip redelivered events they already handled
+const consumeEvent = eventConsumer(daprClient, { storeName: PAYMENT_STORE });
+
+// Events their handlers keep failing on are dead-lettered and kept for an admin
+const deadLetters = createDeadLetters(daprClient, { storeName: PAYMENT_STORE, service: 'payment-service', appPort: port });
+
 // Payment statuses
 const PAYMENT_STATUS = {
   PENDING: 'pending',
   PROCESSING: 'processing',
+  AUTHORIZED: 'authorized',
+  CAPTURING: 'capturing',
+  VOIDING: 'voiding',
+  CAPTURED: 'captured',
+  VOIDED: 'voided',
   COMPLETED: 'completed',
   FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded'
 };
 
+// Payment flows: one-shot charges immediately, two-phase authorizes first and
+// captures later (e.g. once the goods have been picked)
+const PAYMENT_FLOWS = {
+  ONE_SHOT: 'one-shot',
+  TWO_PHASE: 'two-phase'
+};
+
+// Statuses of the entries in a payment's refund ledger
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Payments that still have money that can be refunded
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
 // Payment methods
 const PAYMENT_METHODS = {
   CREDIT_CARD: 'credit_card',
@@ -31,41 +76,620 @@ const PAYMENT_METHODS = {
   BANK_TRANSFER: 'bank_transfer'
 };
 
-// Simulate payment gateway responses
-function simulatePaymentGateway(amount, paymentMethod, paymentDetails) {
-  return new Promise((resolve, reject) => {
-    // Simulate network delay
-    setTimeout(() => {
-      // Simulate 90% success rate
-      const success = Math.random() > 0.1;
+// Every payment ID, kept so the order index can be rebuilt
+const PAYMENT_LIST_KEY = 'payment-list';
+
+// Page size used when scanning payment records
+const BACKFILL_PAGE_SIZE = 100;
+
+// Authorizations not captured within this time are voided automatically
+const AUTHORIZATION_TTL_MS = parseInt(process.env.AUTHORIZATION_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+const AUTHORIZATION_SWEEP_INTERVAL_MS = parseInt(process.env.AUTHORIZATION_SWEEP_INTERVAL_MS) || 60000;
+
+// Payments waiting to be captured or voided
+const AUTHORIZED_PAYMENTS_KEY = 'authorized-payments';
+
+// Refund gateway retry settings
+const REFUND_MAX_ATTEMPTS = parseInt(process.env.REFUND_MAX_ATTEMPTS) || 3;
+const REFUND_RETRY_DELAY_MS = parseInt(process.env.REFUND_RETRY_DELAY_MS) || 1000;
+
+// Refund rejected before or after reaching the gateway; `status` is the HTTP status to answer with
+class RefundError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+// Capture or void rejected; `status` is the HTTP status to answer with
+class AuthorizationError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthorizationError';
+    this.status = status;
+  }
+}
+
+// Index of the payments made for an order
+function orderPaymentsKey(orderId) {
+  return `order-payments-${orderId}`;
+}
+
+// Save a new payment and add it to its order's index in one state transaction
+async function createPayment(payment) {
+  await updateWithETagInTransaction(
+    daprClient,
+    PAYMENT_STORE,
+    orderPaymentsKey(payment.orderId),
+    current => {
+      const paymentIds = current || [];
+      return paymentIds.includes(payment.id) ? undefined : [...paymentIds, payment.id];
+    },
+    [{ operation: 'upsert', request: { key: payment.id, value: payment } }]
+  );
+
+  await addToList(daprClient, PAYMENT_STORE, PAYMENT_LIST_KEY, payment.id);
+}
+
+// Payments saved before amounts were kept in minor units have decimal amounts
+// and no currency
+function withMinorUnitAmounts(payment) {
+  if (!payment || payment.currency) {
+    return payment;
+  }
+  const minor = amount => amount === undefined ? undefined : toMinorUnits(amount, DEFAULT_CURRENCY);
+  return {
+    ...payment,
+    currency: DEFAULT_CURRENCY,
+    amount: minor(payment.amount),
+    capturedAmount: minor(payment.capturedAmount),
+    refundAmount: minor(payment.refundAmount),
+    refundedAmount: minor(payment.refundedAmount),
+    refunds: payment.refunds && payment.refunds.map(refund => ({ ...refund, amount: minor(refund.amount) }))
+  };
+}
+
+async function getPayment(paymentId) {
+  return withMinorUnitAmounts(await daprClient.state.get(PAYMENT_STORE, paymentId));
+}
+
+// Payments of an order, in the order they were made
+async function getOrderPayments(orderId) {
+  const paymentIds = await daprClient.state.get(PAYMENT_STORE, orderPaymentsKey(orderId)) || [];
+
+  const payments = [];
+  for (const paymentId of paymentIds) {
+    const payment = await getPayment(paymentId);
+    if (payment) {
+      payments.push(payment);
+    }
+  }
+  return payments;
+}
+
+// Find every stored payment record. The state query API finds records written
+// before the payment list existed; stores that do not support queries fall back
+// to the payment list alone.
+async function findAllPayments() {
+  const payments = new Map();
+  let queried = true;
+
+  try {
+    let token;
+    do {
+      const result = await daprClient.state.query(PAYMENT_STORE, {
+        filter: { IN: { status: Object.values(PAYMENT_STATUS) } },
+        page: { limit: BACKFILL_PAGE_SIZE, token }
+      });
       
-      if (success) {
-        resolve({
-          gatewayTransactionId: `gw_${uuidv4()}`,
-          gatewayResponse: 'approved',
-          authCode: `AUTH${Math.random().toString(36).substring(2, 8).toUpperCase()}`,
-          processedAt: new Date().toISOString()
-        });
-      } else {
-        reject(new Error('Payment gateway declined'));
+      for (const item of result.results || []) {
+        if (item.data && item.data.id && item.data.orderId) {
+          payments.set(item.data.id, withMinorUnitAmounts(item.data));
+        }
+      }
+      token = (result.results || []).length > 0 ? result.token : undefined;
+    } while (token);
+  } catch (error) {
+    queried = false;
+    console.warn('State query not supported by payment store, using payment list only:', error.message);
+  }
+
+  const paymentIds = await daprClient.state.get(PAYMENT_STORE, PAYMENT_LIST_KEY) || [];
+  for (const paymentId of paymentIds) {
+    if (!payments.has(paymentId)) {
+      const payment = await getPayment(paymentId);
+      if (payment) {
+        payments.set(paymentId, payment);
+      }
+    }
+  }
+
+  return { payments: Array.from(payments.values()), queried };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Refund ledger of a payment. Payments refunded before the ledger existed
+// carry a single refund in top-level fields.
+function refundLedger(payment) {
+  if (payment.refunds) {
+    return payment.refunds;
+  }
+  if (payment.refundId) {
+    return [{
+      id: payment.refundId,
+      amount: payment.refundAmount,
+      reason: payment.refundReason,
+      status: REFUND_STATUS.SUCCEEDED,
+      refundedAt: payment.refundedAt
+    }];
+  }
+  return [];
+}
+
+// Amount actually taken from the customer, which is what can be refunded
+function capturedAmount(payment) {
+  return payment.capturedAmount !== undefined ? payment.capturedAmount : payment.amount;
+}
+
+// Amount refunded so far; pending refunds count too, so concurrent refunds
+// cannot together exceed the payment
+function committedRefundAmount(refunds) {
+  return refunds
+    .filter(refund => refund.status !== REFUND_STATUS.FAILED)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+function refundedAmount(refunds) {
+  return refunds
+    .filter(refund => refund.status === REFUND_STATUS.SUCCEEDED)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+function refundableAmount(payment) {
+  return capturedAmount(payment) - committedRefundAmount(refundLedger(payment));
+}
+
+// Update one refund in the ledger and derive the payment status from it
+function withRefund(payment, refundId, changes) {
+  const refunds = refundLedger(payment).map(refund =>
+    refund.id === refundId ? { ...refund, ...changes(refund) } : refund
+  );
+  const refunded = refundedAmount(refunds);
+
+  let status = payment.status;
+  if (refunded > 0) {
+    status = refunded >= capturedAmount(payment) ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  }
+
+  return {
+    ...payment,
+    refunds,
+    refundedAmount: refunded,
+    status,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Refund (part of) a payment, retrying when the gateway fails. The refund is
+// added to the payment's ledger as pending first, which holds its amount
+// against concurrent refunds; every gateway attempt is stored on it. The
+// outcome is published as payment-refunded or refund-failed. Refunds of a
+// returned order carry the `returnId` they were made for, refunds of a
+// cancelled order are marked as `cancellation` refunds.
+async function refundPayment(paymentId, { amount, reason, returnId, cancellation }) {
+  const refundId = uuidv4();
+  let rejection;
+
+  const { value: payment } = await updateWithETag(daprClient, PAYMENT_STORE, paymentId, stored => {
+    rejection = undefined;
+
+    if (!stored) {
+      rejection = new RefundError('Payment not found', 404);
+      return undefined;
+    }
+
+    const current = withMinorUnitAmounts(stored);
+
+    if (!REFUNDABLE_STATUSES.includes(current.status)) {
+      rejection = new RefundError('Only completed payments can be refunded', 400);
+      return undefined;
+    }
+
+    const refunds = refundLedger(current);
+    const refundable = refundableAmount(current);
+    const refundAmount = amount !== undefined ? parseMinorUnits(amount) : refundable;
+
+    if (!(refundAmount > 0)) {
+      rejection = new RefundError(refundable > 0 ? 'Refund amount must be an integer amount in minor units greater than 0' : 'Payment is already fully refunded', 400);
+      return undefined;
+    }
+
+    if (refundAmount > refundable) {
+      rejection = new RefundError(`Refund amount cannot exceed the refundable amount of ${formatMoney(refundable, current.currency)}`, 400);
+      return undefined;
+    }
+
+    return {
+      ...current,
+      refunds: [
+        ...refunds,
+        {
+          id: refundId,
+          amount: refundAmount,
+          reason,
+          returnId,
+          cancellation,
+          status: REFUND_STATUS.PENDING,
+          attempts: [],
+          requestedAt: new Date().toISOString()
+        }
+      ],
+      updatedAt: new Date().toISOString()
+    };
+  });
+
+  if (rejection) {
+    throw rejection;
+  }
+
+  const refundAmount = payment.refunds.find(refund => refund.id === refundId).amount;
+  const gateway = gatewayFor(payment.paymentMethod);
+  let lastError;
+
+  for (let attempt = 1; attempt <= REFUND_MAX_ATTEMPTS; attempt++) {
+    let succeeded = false;
+    let gatewayResult;
+
+    try {
+      gatewayResult = await gateway.refund({ amount: refundAmount, payment });
+      succeeded = true;
+    } catch (error) {
+      lastError = error;
+      console.error(`Refund attempt ${attempt} failed for payment ${paymentId}:`, error.message);
+    }
+
+    // Declines are final; only transient gateway errors are retried
+    const retryable = !(lastError instanceof GatewayError) || lastError.retryable;
+    const finalAttempt = succeeded || !retryable || attempt === REFUND_MAX_ATTEMPTS;
+
+    // The outcome of the last attempt is announced in the same transaction
+    const { value: updated } = await outbox.update(paymentId, current =>
+      withRefund(current, refundId, refund => {
+        const now = new Date().toISOString();
+        const changes = {
+          attempts: [
+            ...refund.attempts,
+            {
+              attempt,
+              status: succeeded ? REFUND_STATUS.SUCCEEDED : REFUND_STATUS.FAILED,
+              error: succeeded ? undefined : lastError.message,
+              errorCode: succeeded ? undefined : lastError.code,
+              attemptedAt: now
+            }
+          ]
+        };
+
+        if (succeeded) {
+          changes.status = REFUND_STATUS.SUCCEEDED;
+          changes.refundTransactionId = gatewayResult.refundTransactionId;
+          changes.refundedAt = now;
+        } else if (finalAttempt) {
+          // A failed refund no longer holds its amount
+          changes.status = REFUND_STATUS.FAILED;
+          changes.failedAt = now;
+        }
+        return changes;
+      }),
+      saved => {
+        if (succeeded) {
+          return [
+            {
+              topic: 'payment-refunded',
+              data: {
+                paymentId,
+                orderId: payment.orderId,
+                refundId,
+                refundAmount,
+                refundedAmount: saved.refundedAmount,
+                currency: saved.currency,
+                paymentStatus: saved.status,
+                reason,
+                returnId,
+                attempts: attempt
+              }
+            }
+          ];
+        }
+        return finalAttempt ? [
+          {
+            topic: 'refund-failed',
+            data: {
+              paymentId,
+              orderId: payment.orderId,
+              refundId,
+              refundAmount,
+              currency: payment.currency,
+              reason,
+              returnId,
+              attempts: attempt,
+              error: lastError.message,
+              errorCode: lastError.code
+            }
+          }
+        ] : [];
       }
-    }, Math.random() * 1000 + 500); // 500-1500ms delay
+    );
+
+    if (succeeded) {
+      console.log(`Payment refunded: ${paymentId} - Amount: ${formatMoney(refundAmount, payment.currency)}`);
+
+      return { payment: updated, refund: updated.refunds.find(refund => refund.id === refundId) };
+    }
+
+    if (finalAttempt) {
+      break;
+    }
+    await delay(REFUND_RETRY_DELAY_MS * attempt);
+  }
+
+  throw new RefundError('Refund processing failed', 400);
+}
+
+// Capture (part of) an authorized payment. The uncaptured rest of the
+// authorization is released. Captures of the part a cancelled order keeps are
+// marked as `cancellation` captures. The payment is claimed (moved to
+// capturing) with its ETag before the gateway is called, so concurrent
+// captures, voids and the expiry sweep cannot act on it meanwhile.
+async function capturePayment(paymentId, { amount, cancellation }) {
+  let rejection;
+  let captureAmount;
+
+  const { value: payment } = await updateWithETag(daprClient, PAYMENT_STORE, paymentId, stored => {
+    rejection = undefined;
+
+    if (!stored) {
+      rejection = new AuthorizationError('Payment not found', 404);
+      return undefined;
+    }
+
+    const current = withMinorUnitAmounts(stored);
+
+    if (current.status === PAYMENT_STATUS.CAPTURING) {
+      rejection = new AuthorizationError('Payment is already being captured', 409);
+      return undefined;
+    }
+
+    if (current.status !== PAYMENT_STATUS.AUTHORIZED) {
+      rejection = new AuthorizationError('Only authorized payments can be captured', 409);
+      return undefined;
+    }
+
+    if (new Date(current.authorizationExpiresAt) <= new Date()) {
+      rejection = new AuthorizationError('Authorization has expired', 409);
+      return undefined;
+    }
+
+    captureAmount = amount !== undefined ? parseMinorUnits(amount) : current.amount;
+
+    if (!(captureAmount > 0) || captureAmount > current.amount) {
+      rejection = new AuthorizationError(`Capture amount must be an integer amount in minor units greater than 0 and at most the authorized amount of ${formatMoney(current.amount, current.currency)}`, 400);
+      return undefined;
+    }
+
+    return {
+      ...current,
+      status: PAYMENT_STATUS.CAPTURING,
+      captureStartedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
   });
+
+  if (rejection) {
+    throw rejection;
+  }
+
+  let gatewayResult;
+  try {
+    gatewayResult = await gatewayFor(payment.paymentMethod).capture({ amount: captureAmount, payment });
+  } catch (error) {
+    console.error(`Capture failed for payment ${paymentId}:`, error.message);
+
+    // Give the claim back so the capture can be retried or the payment voided
+    await updateWithETag(daprClient, PAYMENT_STORE, paymentId, current => {
+      if (!current || current.status !== PAYMENT_STATUS.CAPTURING) {
+        return undefined;
+      }
+      const { captureStartedAt, ...authorized } = current;
+      return { ...authorized, status: PAYMENT_STATUS.AUTHORIZED, updatedAt: new Date().toISOString() };
+    });
+    throw new AuthorizationError('Capture processing failed', 502);
+  }
+
+  const { value: captured } = await outbox.update(paymentId, current => {
+    const { captureStartedAt, ...claimed } = withMinorUnitAmounts(current);
+    return {
+      ...claimed,
+      status: PAYMENT_STATUS.CAPTURED,
+      capturedAmount: captureAmount,
+      capturedOnCancellation: cancellation,
+      captureTransactionId: gatewayResult.captureTransactionId,
+      capturedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  }, saved => [
+    {
+      topic: 'payment-captured',
+      data: {
+        paymentId,
+        orderId: saved.orderId,
+        authorizedAmount: saved.amount,
+        capturedAmount: captureAmount,
+        currency: saved.currency,
+        payment: saved
+      }
+    }
+  ]);
+
+  await removeFromList(daprClient, PAYMENT_STORE, AUTHORIZED_PAYMENTS_KEY, paymentId);
+
+  console.log(`Payment captured: ${paymentId} - Amount: ${formatMoney(captureAmount, captured.currency)} of ${formatMoney(captured.amount, captured.currency)}`);
+
+  return captured;
+}
+
+// Void an authorized payment so the held funds are released. Like a capture,
+// the payment is claimed (moved to voiding) with its ETag before the gateway
+// is called, so a concurrent capture cannot take the authorization meanwhile.
+async function voidPayment(paymentId, { reason }) {
+  let rejection;
+
+  const { value: payment } = await updateWithETag(daprClient, PAYMENT_STORE, paymentId, stored => {
+    rejection = undefined;
+
+    if (!stored) {
+      rejection = new AuthorizationError('Payment not found', 404);
+      return undefined;
+    }
+
+    const current = withMinorUnitAmounts(stored);
+
+    if (current.status === PAYMENT_STATUS.VOIDING) {
+      rejection = new AuthorizationError('Payment is already being voided', 409);
+      return undefined;
+    }
+
+    if (current.status !== PAYMENT_STATUS.AUTHORIZED) {
+      rejection = new AuthorizationError('Only authorized payments can be voided', 409);
+      return undefined;
+    }
+
+    return {
+      ...current,
+      status: PAYMENT_STATUS.VOIDING,
+      voidStartedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  });
+
+  if (rejection) {
+    throw rejection;
+  }
+
+  let gatewayResult;
+  try {
+    gatewayResult = await gatewayFor(payment.paymentMethod).void({ payment });
+  } catch (error) {
+    console.error(`Void failed for payment ${paymentId}:`, error.message);
+
+    // Give the claim back so the payment can be captured or voided again
+    await updateWithETag(daprClient, PAYMENT_STORE, paymentId, current => {
+      if (!current || current.status !== PAYMENT_STATUS.VOIDING) {
+        return undefined;
+      }
+      const { voidStartedAt, ...authorized } = current;
+      return { ...authorized, status: PAYMENT_STATUS.AUTHORIZED, updatedAt: new Date().toISOString() };
+    });
+    throw new AuthorizationError('Void processing failed', 502);
+  }
+
+  const { value: voided } = await outbox.update(paymentId, current => {
+    const { voidStartedAt, ...claimed } = withMinorUnitAmounts(current);
+    return {
+      ...claimed,
+      status: PAYMENT_STATUS.VOIDED,
+      voidReason: reason,
+      voidTransactionId: gatewayResult.voidTransactionId,
+      voidedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  }, saved => [
+    {
+      topic: 'payment-voided',
+      data: {
+        paymentId,
+        orderId: saved.orderId,
+        amount: saved.amount,
+        currency: saved.currency,
+        reason,
+        payment: saved
+      }
+    }
+  ]);
+
+  await removeFromList(daprClient, PAYMENT_STORE, AUTHORIZED_PAYMENTS_KEY, paymentId);
+
+  console.log(`Payment voided: ${paymentId} (${reason})`);
+
+  return voided;
+}
+
+// Void authorizations that were not captured in time
+async function voidExpiredAuthorizations() {
+  const paymentIds = await daprClient.state.get(PAYMENT_STORE, AUTHORIZED_PAYMENTS_KEY) || [];
+  const now = new Date();
+
+  for (const paymentId of paymentIds) {
+    try {
+      const payment = await daprClient.state.get(PAYMENT_STORE, paymentId);
+
+      // A capture or void is under way; it takes the payment off the list itself
+      if (payment && [PAYMENT_STATUS.CAPTURING, PAYMENT_STATUS.VOIDING].includes(payment.status)) {
+        continue;
+      }
+
+      if (!payment || payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+        await removeFromList(daprClient, PAYMENT_STORE, AUTHORIZED_PAYMENTS_KEY, paymentId);
+        continue;
+      }
+
+      if (new Date(payment.authorizationExpiresAt) <= now) {
+        await voidPayment(paymentId, { reason: 'expired' });
+      }
+    } catch (error) {
+      console.error(`Error expiring authorization ${paymentId}:`, error);
+    }
+  }
 }
 
 // API Endpoints
 
 // Process payment
-app.post('/payments/process', async (req, res) => {
+// Retries carrying the same Idempotency-Key get the first response instead of a second charge
+app.post('/payments/process', idempotency(daprClient, { storeName: PAYMENT_STORE, scope: 'payments-process' }), async (req, res) => {
   try {
-    const { orderId, amount, paymentMethod = PAYMENT_METHODS.CREDIT_CARD, paymentDetails } = req.body;
+    const {
+      orderId,
+      amount,
+      currency = DEFAULT_CURRENCY,
+      paymentMethod = PAYMENT_METHODS.CREDIT_CARD,
+      paymentDetails,
+      flow = PAYMENT_FLOWS.ONE_SHOT
+    } = req.body;
     
-    if (!orderId || !amount) {
+    if (!orderId || amount === undefined) {
       return res.status(400).json({ error: 'Order ID and amount are required' });
     }
     
-    if (amount <= 0) {
-      return res.status(400).json({ error: 'Amount must be greater than 0' });
+    if (!(parseMinorUnits(amount) > 0)) {
+      return res.status(400).json({ error: 'Amount must be an integer amount in minor units (e.g. cents) greater than 0' });
+    }
+
+    if (!isCurrency(currency)) {
+      return res.status(400).json({
+        error: 'Invalid currency',
+        validCurrencies: Object.keys(CURRENCIES)
+      });
+    }
+
+    if (!Object.values(PAYMENT_FLOWS).includes(flow)) {
+      return res.status(400).json({
+        error: 'Invalid payment flow',
+        validFlows: Object.values(PAYMENT_FLOWS)
+      });
     }
     
     if (!Object.values(PAYMENT_METHODS).includes(paymentMethod)) {
@@ -81,57 +705,86 @@ app.post('/payments/process', async (req, res) => {
     const payment = {
       id: paymentId,
       orderId,
-      amount: parseFloat(amount),
+      amount: parseMinorUnits(amount),
+      currency,
       paymentMethod,
+      gateway: gatewayFor(paymentMethod).name,
+      cardLast4: cardLast4(paymentDetails),
+      flow,
       status: PAYMENT_STATUS.PROCESSING,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
-    // Save payment to state store
-    await daprClient.state.save(PAYMENT_STORE, [
-      {
-        key: paymentId,
-        value: payment
-      }
-    ]);
+    // Save payment to state store together with the order index
+    await createPayment(payment);
     
     console.log(`Payment processing started: ${paymentId} for order: ${orderId}`);
     
     try {
-      // Process payment through gateway (simulated)
-      const gatewayResult = await simulatePaymentGateway(amount, paymentMethod, paymentDetails);
+      // Authorize through the gateway of the payment method; one-shot
+      // payments are captured right away
+      const gateway = gatewayFor(paymentMethod);
+      const gatewayResult = await gateway.authorize({ amount: payment.amount, currency, paymentMethod, paymentDetails });
       
-      // Update payment with success
-      payment.status = PAYMENT_STATUS.COMPLETED;
-      payment.gatewayTransactionId = gatewayResult.gatewayTransactionId;
-      payment.gatewayResponse = gatewayResult.gatewayResponse;
+      payment.gatewayTransactionId = gatewayResult.transactionId;
+      payment.gatewayResponse = gatewayResult.response;
       payment.authCode = gatewayResult.authCode;
       payment.processedAt = gatewayResult.processedAt;
+
+      if (flow === PAYMENT_FLOWS.ONE_SHOT) {
+        try {
+          const captureResult = await gateway.capture({ amount: payment.amount, payment });
+          payment.captureTransactionId = captureResult.captureTransactionId;
+        } catch (error) {
+          // Release the funds held by the authorization before failing
+          try {
+            const voidResult = await gateway.void({ payment });
+            payment.voidTransactionId = voidResult.voidTransactionId;
+          } catch (voidError) {
+            console.error(`Voiding authorization of payment ${paymentId} failed, manual follow-up needed:`, voidError.message);
+            payment.voidError = voidError.message;
+          }
+          throw error;
+        }
+      }
+
+      // Update payment with success. Two-phase payments are only authorized
+      // here and captured later.
+      payment.status = flow === PAYMENT_FLOWS.TWO_PHASE ? PAYMENT_STATUS.AUTHORIZED : PAYMENT_STATUS.COMPLETED;
+      if (flow === PAYMENT_FLOWS.TWO_PHASE) {
+        payment.authorizationExpiresAt = new Date(Date.now() + AUTHORIZATION_TTL_MS).toISOString();
+      }
       payment.updatedAt = new Date().toISOString();
       
-      await daprClient.state.save(PAYMENT_STORE, [
+      // Save the payment with its payment authorized or completed event; the
+      // event is published once authorized payments are indexed for the sweep
+      const processed = outbox.batch([
         {
-          key: paymentId,
-          value: payment
+          topic: flow === PAYMENT_FLOWS.TWO_PHASE ? 'payment-authorized' : 'payment-completed',
+          data: { paymentId, orderId, payment }
         }
-      ]);
+      ], [{ operation: 'upsert', request: { key: paymentId, value: payment } }]);
+      await processed.commit();
       
-      console.log(`Payment completed: ${paymentId}`);
+      if (flow === PAYMENT_FLOWS.TWO_PHASE) {
+        await addToList(daprClient, PAYMENT_STORE, AUTHORIZED_PAYMENTS_KEY, paymentId);
+
+        console.log(`Payment authorized: ${paymentId} (expires ${payment.authorizationExpiresAt})`);
+      } else {
+        console.log(`Payment completed: ${paymentId}`);
+      }
       
-      // Publish payment completed event
-      await daprClient.pubsub.publish('order-pubsub', 'payment-completed', {
-        paymentId,
-        orderId,
-        payment
-      });
+      await processed.relay();
       
       res.json({
         paymentId,
         status: payment.status,
-        message: 'Payment processed successfully',
+        flow,
+        message: flow === PAYMENT_FLOWS.TWO_PHASE ? 'Payment authorized successfully' : 'Payment processed successfully',
         authCode: payment.authCode,
-        processedAt: payment.processedAt
+        processedAt: payment.processedAt,
+        authorizationExpiresAt: payment.authorizationExpiresAt
       });
       
     } catch (error) {
@@ -140,29 +793,35 @@ app.post('/payments/process', async (req, res) => {
       // Update payment with failure
       payment.status = PAYMENT_STATUS.FAILED;
       payment.errorMessage = error.message;
+      payment.errorCode = error.code;
       payment.failedAt = new Date().toISOString();
       payment.updatedAt = new Date().toISOString();
       
-      await daprClient.state.save(PAYMENT_STORE, [
+      // Save the failure with its payment failed event
+      await outbox.save([
         {
           key: paymentId,
           value: payment
         }
+      ], [
+        {
+          topic: 'payment-failed',
+          data: {
+            paymentId,
+            orderId,
+            payment,
+            error: error.message,
+            errorCode: error.code
+          }
+        }
       ]);
       
-      // Publish payment failed event
-      await daprClient.pubsub.publish('order-pubsub', 'payment-failed', {
-        paymentId,
-        orderId,
-        payment,
-        error: error.message
-      });
-      
       res.status(400).json({
         paymentId,
         status: payment.status,
         error: 'Payment processing failed',
-        message: error.message
+        message: error.message,
+        code: error.code
       });
     }
   } catch (error) {
@@ -176,7 +835,7 @@ app.get('/payments/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const payment = await daprClient.state.get(PAYMENT_STORE, id);
+    const payment = await getPayment(id);
     
     if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
@@ -200,22 +859,11 @@ app.get('/orders/:orderId/payments', async (req, res) => {
   try {
     const { orderId } = req.params;
     
-    // For demo purposes, we'll store payment IDs by order
-    // In production, you'd use a proper database query
-    const orderPaymentsKey = `order-payments-${orderId}`;
-    const paymentIds = await daprClient.state.get(PAYMENT_STORE, orderPaymentsKey) || [];
-    
-    const payments = [];
-    for (const paymentId of paymentIds) {
-      const payment = await daprClient.state.get(PAYMENT_STORE, paymentId);
-      if (payment) {
-        // Sanitize sensitive information
-        payments.push({
-          ...payment,
-          gatewayTransactionId: payment.gatewayTransactionId ? `***${payment.gatewayTransactionId.slice(-4)}` : undefined
-        });
-      }
-    }
+    // Sanitize sensitive information
+    const payments = (await getOrderPayments(orderId)).map(payment => ({
+      ...payment,
+      gatewayTransactionId: payment.gatewayTransactionId ? `***${payment.gatewayTransactionId.slice(-4)}` : undefined
+    }));
     
     res.json({
       orderId,
@@ -227,84 +875,162 @@ app.get('/orders/:orderId/payments', async (req, res) => {
   }
 });
 
-// Refund payment
-app.post('/payments/:id/refund', async (req, res) => {
+// Capture an authorized payment, fully or partially
+app.post('/payments/:id/capture', async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount, reason } = req.body;
+    const { amount } = req.body;
     
-    const payment = await daprClient.state.get(PAYMENT_STORE, id);
+    const payment = await capturePayment(id, { amount });
+
+    res.json({
+      message: 'Payment captured successfully',
+      paymentId: id,
+      status: payment.status,
+      authorizedAmount: payment.amount,
+      capturedAmount: payment.capturedAmount,
+      currency: payment.currency,
+      capturedAt: payment.capturedAt
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Payment is being updated concurrently, please retry' });
+    }
+    console.error('Error capturing payment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Void an authorized payment
+app.post('/payments/:id/void', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const payment = await voidPayment(id, { reason: reason || 'Voided on request' });
+
+    res.json({
+      message: 'Payment voided successfully',
+      paymentId: id,
+      status: payment.status,
+      voidedAt: payment.voidedAt
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Payment is being updated concurrently, please retry' });
+    }
+    console.error('Error voiding payment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the refunds of a payment
+app.get('/payments/:id/refunds', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const payment = await getPayment(id);
     
     if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
     
-    if (payment.status !== PAYMENT_STATUS.COMPLETED) {
-      return res.status(400).json({ error: 'Only completed payments can be refunded' });
-    }
+    const refunds = refundLedger(payment);
     
-    const refundAmount = amount ? parseFloat(amount) : payment.amount;
+    res.json({
+      paymentId: id,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      refundedAmount: refundedAmount(refunds),
+      capturedAmount: REFUNDABLE_STATUSES.includes(payment.status) ? capturedAmount(payment) : 0,
+      refundableAmount: REFUNDABLE_STATUSES.includes(payment.status) ? refundableAmount(payment) : 0,
+      status: payment.status,
+      refunds
+    });
+  } catch (error) {
+    console.error('Error getting payment refunds:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refund payment
+// Retries carrying the same Idempotency-Key get the first response instead of a second refund
+app.post('/payments/:id/refund', idempotency(daprClient, { storeName: PAYMENT_STORE, scope: 'payments-refund' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const { payment, refund } = await refundPayment(id, { amount, reason });
     
-    if (refundAmount > payment.amount) {
-      return res.status(400).json({ error: 'Refund amount cannot exceed original payment amount' });
+    res.json({
+      message: 'Refund processed successfully',
+      refundId: refund.id,
+      refundAmount: refund.amount,
+      refundedAmount: payment.refundedAmount,
+      remainingAmount: capturedAmount(payment) - payment.refundedAmount,
+      currency: payment.currency,
+      paymentStatus: payment.status,
+      processedAt: refund.refundedAt
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error processing refund:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rebuild the order-to-payment index from the stored payment records
+app.post('/admin/order-payments/backfill', async (req, res) => {
+  try {
+    const { payments, queried } = await findAllPayments();
     
-    // Simulate refund processing
-    const refundId = uuidv4();
+    const paymentsByOrder = {};
+    for (const payment of payments) {
+      (paymentsByOrder[payment.orderId] = paymentsByOrder[payment.orderId] || []).push(payment);
+    }
     
-    try {
-      // Simulate gateway refund call
-      await new Promise((resolve, reject) => {
-        setTimeout(() => {
-          // Simulate 95% success rate for refunds
-          const success = Math.random() > 0.05;
-          if (success) {
-            resolve();
-          } else {
-            reject(new Error('Refund gateway error'));
-          }
-        }, Math.random() * 500 + 200);
-      });
-      
-      // Update payment record
-      payment.status = PAYMENT_STATUS.REFUNDED;
-      payment.refundId = refundId;
-      payment.refundAmount = refundAmount;
-      payment.refundReason = reason;
-      payment.refundedAt = new Date().toISOString();
-      payment.updatedAt = new Date().toISOString();
-      
-      await daprClient.state.save(PAYMENT_STORE, [
-        {
-          key: id,
-          value: payment
-        }
-      ]);
-      
-      console.log(`Payment refunded: ${id} - Amount: ${refundAmount}`);
-      
-      // Publish payment refunded event
-      await daprClient.pubsub.publish('order-pubsub', 'payment-refunded', {
-        paymentId: id,
-        orderId: payment.orderId,
-        refundId,
-        refundAmount,
-        reason
-      });
+    let indexedPayments = 0;
+    for (const [orderId, orderPayments] of Object.entries(paymentsByOrder)) {
+      const paymentIds = orderPayments
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map(payment => payment.id);
       
-      res.json({
-        message: 'Refund processed successfully',
-        refundId,
-        refundAmount,
-        processedAt: payment.refundedAt
+      let missing = [];
+      await updateWithETag(daprClient, PAYMENT_STORE, orderPaymentsKey(orderId), current => {
+        const indexed = current || [];
+        missing = paymentIds.filter(id => !indexed.includes(id));
+        return missing.length > 0 ? [...indexed, ...missing] : undefined;
       });
+      indexedPayments += missing.length;
       
-    } catch (error) {
-      console.error('Refund processing failed:', error);
-      res.status(400).json({ error: 'Refund processing failed' });
+      for (const paymentId of paymentIds) {
+        await addToList(daprClient, PAYMENT_STORE, PAYMENT_LIST_KEY, paymentId);
+      }
     }
+
+    console.log(`Order payment index backfilled: ${indexedPayments} payments added`);
+
+    res.json({
+      message: 'Order payment index rebuilt',
+      scannedPayments: payments.length,
+      orders: Object.keys(paymentsByOrder).length,
+      indexedPayments,
+      source: queried ? 'state-query' : 'payment-list'
+    });
   } catch (error) {
-    console.error('Error processing refund:', error);
+    if (error instanceof ETagConflictError) {
+      return res.status(409).json({ error: 'Order payment index is being updated concurrently, please retry' });
+    }
+    console.error('Error backfilling order payment index:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -322,6 +1048,12 @@ app.get('/payment-methods', (req, res) => {
   });
 });
 
+// Inspect and replay events stuck in the outbox (admin)
+registerOutboxRoutes(app, outbox);
+
+// Keep dead-lettered events; inspect, replay or discard them (admin)
+registerDeadLetterRoutes(app, deadLetters, consumeEvent);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -338,86 +1070,171 @@ app.get('/health', (req, res) => {
 
 // Dapr pub/sub subscription configuration
 app.get('/dapr/subscribe', (req, res) => {
-  res.json([
+  res.json(deadLetters.subscriptions([
     {
       pubsubname: 'order-pubsub',
       topic: 'order-cancelled',
       route: '/events/order-cancelled'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'return-status-updated',
+      route: '/events/return-status-updated'
     }
-  ]);
+  ]));
 });
 
-// Handle order cancelled events
-app.post('/events/order-cancelled', async (req, res) => {
+// Handle order cancelled events. Redelivered events only refund what the
+// earlier cancellation refunds (pending or succeeded) do not cover yet.
+app.post('/events/order-cancelled', consumeEvent, async (req, res) => {
   try {
-    console.log('Order cancelled event received:', req.body);
-    
-    // Dapr pub/sub event format: { data: {...}, ... } or direct data
-    const eventData = req.body.data || req.body;
-    const { orderId } = eventData;
+    const { data } = req.body;
+    console.log('Order cancelled event received:', data);
+
+    const { orderId, reason, refundAmount } = data;
+    const cancellationReason = reason ? `Order cancelled: ${reason}` : 'Order cancelled';
     
-    // Find payments for this order and initiate refunds if necessary
-    const orderPaymentsKey = `order-payments-${orderId}`;
-    const paymentIds = await daprClient.state.get(PAYMENT_STORE, orderPaymentsKey) || [];
+    // Release authorizations that were never captured. When the cancellation
+    // keeps part of the money, that part is captured instead.
+    let keepAmount = refundAmount !== undefined ? undefined : 0;
+    const authorized = (await getOrderPayments(orderId))
+      .filter(payment => payment.status === PAYMENT_STATUS.AUTHORIZED);
     
-    for (const paymentId of paymentIds) {
-      const payment = await daprClient.state.get(PAYMENT_STORE, paymentId);
-      if (payment && payment.status === PAYMENT_STATUS.COMPLETED) {
-        // Initiate automatic refund
-        console.log(`Initiating automatic refund for payment: ${paymentId}`);
+    for (const payment of authorized) {
+      try {
+        if (keepAmount === undefined) {
+          keepAmount = Math.max(0, payment.amount - refundAmount);
+        }
         
-        // This would trigger the refund endpoint internally
-        // For demo purposes, we'll just log it
+        if (keepAmount > 0) {
+          const captureAmount = Math.min(keepAmount, payment.amount);
+          await capturePayment(payment.id, { amount: captureAmount, cancellation: true });
+          keepAmount -= captureAmount;
+        } else {
+          await voidPayment(payment.id, { reason: cancellationReason });
+        }
+      } catch (error) {
+        if (!(error instanceof AuthorizationError)) {
+          throw error;
+        }
+        console.error(`Could not settle authorization ${payment.id} of cancelled order ${orderId}:`, error.message);
+      }
+    }
+
+    // Refund the completed payments of this order, except for what was just
+    // captured to be kept. A cancellation can ask for less than the full
+    // amount back (e.g. to keep a restocking fee).
+    const orderPayments = await getOrderPayments(orderId);
+    const alreadyRefunded = orderPayments.reduce((sum, payment) =>
+      sum + committedRefundAmount(refundLedger(payment).filter(refund => refund.cancellation)), 0);
+    const payments = orderPayments
+      .filter(payment => REFUNDABLE_STATUSES.includes(payment.status) && !payment.capturedOnCancellation);
+    let remaining = refundAmount !== undefined ? refundAmount - alreadyRefunded : undefined;
+
+    for (const payment of payments) {
+      const refundable = refundableAmount(payment);
+      const amount = remaining === undefined ? refundable : Math.min(remaining, refundable);
+      if (amount <= 0) {
+        continue;
+      }
+
+      console.log(`Initiating automatic refund for payment: ${payment.id}`);
+
+      try {
+        await refundPayment(payment.id, { amount, reason: cancellationReason, cancellation: true });
+      } catch (error) {
+        // Let the event be redelivered when the refund could not be attempted at all
+        if (!(error instanceof RefundError)) {
+          throw error;
+        }
+        // refund-failed has been published; the other payments are still refunded
+        console.error(`Automatic refund failed for payment ${payment.id}:`, error.message);
+      }
+
+      if (remaining !== undefined) {
+        remaining -= amount;
       }
     }
     
     res.status(200).send();
   } catch (error) {
     console.error('Error handling order cancelled event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
-// Middleware to track payments by order
-app.use('/payments/process', async (req, res, next) => {
-  const originalSend = res.send;
-  res.send = function(data) {
-    // After successful payment processing, track it by order
-    if (res.statusCode === 200 && req.body.orderId) {
-      (async () => {
-        try {
-          const result = JSON.parse(data);
-          if (result.paymentId) {
-            const orderPaymentsKey = `order-payments-${req.body.orderId}`;
-            const paymentIds = await daprClient.state.get(PAYMENT_STORE, orderPaymentsKey) || [];
-            paymentIds.push(result.paymentId);
-            await daprClient.state.save(PAYMENT_STORE, [
-              {
-                key: orderPaymentsKey,
-                value: paymentIds
-              }
-            ]);
-          }
-        } catch (error) {
-          console.error('Error tracking payment by order:', error);
+// Handle return status updated events: refund received returns across the
+// order's payments. Redelivered events only refund what the return's earlier
+// refunds (pending or succeeded) do not cover yet.
+app.post('/events/return-status-updated', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    console.log('Return status updated event received:', data);
+
+    const { returnId, orderId, rmaNumber, newStatus } = data;
+    if (newStatus !== 'received') {
+      return res.status(200).send();
+    }
+
+    const orderPayments = await getOrderPayments(orderId);
+    const alreadyRefunded = orderPayments.reduce((sum, payment) =>
+      sum + committedRefundAmount(refundLedger(payment).filter(refund => refund.returnId === returnId)), 0);
+    const payments = orderPayments.filter(payment => REFUNDABLE_STATUSES.includes(payment.status));
+    let remaining = data.return.refundAmount - alreadyRefunded;
+
+    for (const payment of payments) {
+      const amount = Math.min(remaining, refundableAmount(payment));
+      if (amount <= 0) {
+        continue;
+      }
+
+      console.log(`Refunding return ${rmaNumber} from payment: ${payment.id}`);
+
+      try {
+        await refundPayment(payment.id, { amount, reason: `Return ${rmaNumber}`, returnId });
+      } catch (error) {
+        if (!(error instanceof RefundError)) {
+          throw error;
         }
-      })();
+        console.error(`Refund of return ${rmaNumber} failed for payment ${payment.id}:`, error.message);
+      }
+
+      remaining -= amount;
     }
-    originalSend.call(this, data);
-  };
-  next();
+
+    if (remaining > 0) {
+      console.error(`Return ${rmaNumber} of order ${orderId} exceeds the refundable amount by ${remaining}, manual follow-up needed`);
+    }
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling return status updated event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
 });
 
 // Start server
+let authorizationSweeper;
 const server = app.listen(port, () => {
   console.log(`Payment Service running on port ${port}`);
   console.log(`Dapr sidecar expected on port ${daprPort}`);
   console.log('Available payment methods:', Object.values(PAYMENT_METHODS));
+
+  // Release authorizations that were never captured
+  authorizationSweeper = setInterval(() => {
+    voidExpiredAuthorizations().catch(error => console.error('Error voiding expired authorizations:', error));
+  }, AUTHORIZATION_SWEEP_INTERVAL_MS);
+  authorizationSweeper.unref();
+
+  // Publish outbox events left behind by a crash or a broker outage
+  outbox.startRelay();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  clearInterval(authorizationSweeper);
+  outbox.stopRelay();
   server.close(() => {
     console.log('Payment Service stopped');
     process.exit(0);
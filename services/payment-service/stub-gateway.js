@@ -0,0 +1,83 @@
+// Local HTTP stub of a payment gateway, used with PAYMENT_GATEWAY=http
+//
+// Answers like the fake gateway (same magic cards and amounts) and adds the
+// failures only an HTTP gateway has:
+//
+//   4000000000000408  the gateway does not answer in time (timeout)
+//   4000000000000500  the gateway answers 500
+//
+// Run with `npm run stub-gateway` in services/payment-service.
+
+const express = require('express');
+const { GatewayError, fakeGateway } = require('./gateways');
+
+const app = express();
+const port = process.env.STUB_GATEWAY_PORT || 4010;
+
+// Longer than the payment-service client timeout
+const STUB_TIMEOUT_DELAY_MS = parseInt(process.env.STUB_TIMEOUT_DELAY_MS) || 30000;
+
+const STUB_CARDS = {
+  '4000000000000408': 'timeout',
+  '4000000000000500': 'server_error'
+};
+
+app.use(express.json());
+
+// Stub behaviour for a request, from its full card number
+function stubBehavior(body) {
+  const cardNumber = String((body.paymentDetails && body.paymentDetails.cardNumber) || '').replace(/\s/g, '');
+  return STUB_CARDS[cardNumber];
+}
+
+function stubOperation(operation) {
+  return async (req, res) => {
+    const behavior = stubBehavior(req.body);
+    console.log(`Stub gateway ${operation}:`, { amount: req.body.amount, behavior: behavior || 'fake' });
+
+    if (behavior === 'timeout') {
+      return setTimeout(() => res.status(504).json({ code: 'timeout' }), STUB_TIMEOUT_DELAY_MS);
+    }
+
+    if (behavior === 'server_error') {
+      return res.status(500).json({ code: 'gateway_unavailable', error: 'Stub gateway internal error' });
+    }
+
+    try {
+      const payment = {
+        amount: req.body.amount,
+        currency: req.body.currency,
+        cardLast4: req.body.cardLast4,
+        gatewayTransactionId: req.body.transactionId
+      };
+      const result = await fakeGateway[operation]({ ...req.body, payment });
+      res.json(result);
+    } catch (error) {
+      if (error instanceof GatewayError) {
+        return res.status(402).json({ code: error.code, error: error.message });
+      }
+      res.status(500).json({ code: 'gateway_unavailable', error: error.message });
+    }
+  };
+}
+
+app.post('/authorize', stubOperation('authorize'));
+app.post('/capture', stubOperation('capture'));
+app.post('/refund', stubOperation('refund'));
+app.post('/void', stubOperation('void'));
+
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'stub-payment-gateway',
+    timestamp: new Date().toISOString()
+  });
+});
+
+const server = app.listen(port, () => {
+  console.log(`Stub payment gateway running on port ${port}`);
+});
+
+process.on('SIGTERM', () => {
+  server.close(() => process.exit(0));
+});
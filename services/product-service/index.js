@@ -1,6 +1,12 @@
 const express = require('express');
 const { DaprClient } = require('@dapr/dapr');
 const { v4: uuidv4 } = require('uuid');
+const { addToList, updateWithETag } = require('../shared/etag-state');
+const { DEFAULT_CURRENCY, CURRENCIES, isCurrency, parseMinorUnits, toMinorUnits } = require('../shared/money');
+const { mapWithConcurrency } = require('../shared/concurrency');
+const { createOutbox, registerOutboxRoutes } = require('../shared/outbox');
+const { eventConsumer } = require('../shared/event-consumer');
+const { createDeadLetters, registerDeadLetterRoutes } = require('../shared/dead-letters');
 
 const app = express();
 const port = process.env.PORT || 3002;
@@ -15,13 +21,35 @@ app.use(express.json());
 const PRODUCT_STORE = 'product-store';
 const CATEGORY_STORE = 'product-store';
 
+// Events go through the outbox, committed with the state they announce
+const outbox = createOutbox(daprClient, { storeName: PRODUCT_STORE });
+
+// Event subscriptions skip redelivered events they already handled
+const consumeEvent = eventConsumer(daprClient, { storeName: PRODUCT_STORE });
+
+// Events their handlers keep failing on are dead-lettered and kept for an admin
+const deadLetters = createDeadLetters(daprClient, { storeName: PRODUCT_STORE, service: 'product-service', appPort: port });
+
+// Where an availability answer came from
+const AVAILABILITY_SOURCE = {
+  INVENTORY_SERVICE: 'inventory-service',
+  READ_MODEL: 'read-model',
+  PRODUCT_CATALOG: 'product-catalog'
+};
+
+// Batch availability checks: largest batch accepted and stock lookups run at once
+const MAX_AVAILABILITY_BATCH = parseInt(process.env.MAX_AVAILABILITY_BATCH) || 100;
+const STOCK_LOOKUP_CONCURRENCY = parseInt(process.env.STOCK_LOOKUP_CONCURRENCY) || 8;
+
 // Sample product data for demo
 const sampleProducts = [
   {
     id: '1',
     name: 'MacBook Pro 16"',
     description: 'Apple MacBook Pro 16-inch with M3 chip',
-    price: 2499.99,
+    price: 249999,
+    currency: 'USD',
+    weightGrams: 2140,
     category: 'electronics',
     stock: 10,
     imageUrl: 'https://example.com/macbook.jpg',
@@ -37,7 +65,9 @@ const sampleProducts = [
     id: '2',
     name: 'iPhone 15 Pro',
     description: 'Latest iPhone with A17 Pro chip',
-    price: 999.99,
+    price: 99999,
+    currency: 'USD',
+    weightGrams: 187,
     category: 'electronics',
     stock: 25,
     imageUrl: 'https://example.com/iphone.jpg',
@@ -53,7 +83,9 @@ const sampleProducts = [
     id: '3',
     name: 'Nike Air Max 270',
     description: 'Comfortable running shoes',
-    price: 150.00,
+    price: 15000,
+    currency: 'USD',
+    weightGrams: 800,
     category: 'fashion',
     stock: 50,
     imageUrl: 'https://example.com/nike.jpg',
@@ -103,6 +135,115 @@ async function initializeSampleData() {
   }
 }
 
+// Products saved before prices were kept in minor units have a decimal price
+// and no currency
+function withMinorUnitPrice(product) {
+  if (!product || product.currency) {
+    return product;
+  }
+  return { ...product, price: toMinorUnits(product.price, DEFAULT_CURRENCY), currency: DEFAULT_CURRENCY };
+}
+
+async function getProduct(id) {
+  return withMinorUnitPrice(await daprClient.state.get(PRODUCT_STORE, id));
+}
+
+// Validate a price in minor units and its currency; returns an error message
+function priceError(price, currency) {
+  if (!(parseMinorUnits(price) >= 0)) {
+    return 'Price must be a non-negative integer amount in minor units (e.g. cents)';
+  }
+  if (!isCurrency(currency)) {
+    return `Currency must be one of ${Object.keys(CURRENCIES).join(', ')}`;
+  }
+  return undefined;
+}
+
+// Cached copy of the inventory stock levels, kept up to date from inventory events
+function availabilityKey(productId) {
+  return `availability-${productId}`;
+}
+
+async function updateAvailabilityReadModel(productId, stockLevel) {
+  const { saved } = await updateWithETag(daprClient, PRODUCT_STORE, availabilityKey(productId), current => {
+    // Events can arrive out of order; never replace newer stock levels with older ones
+    if (current && current.asOf && stockLevel.asOf && new Date(current.asOf) > new Date(stockLevel.asOf)) {
+      return undefined;
+    }
+
+    return {
+      productId,
+      quantity: stockLevel.quantity,
+      reserved: stockLevel.reserved,
+      available: stockLevel.available,
+      asOf: stockLevel.asOf || new Date().toISOString(),
+      cachedAt: new Date().toISOString()
+    };
+  });
+
+  return saved;
+}
+
+// Status code of a failed Dapr service invocation, if it reports one
+function invocationStatus(error) {
+  try {
+    return JSON.parse(error.message).status;
+  } catch (parseError) {
+    return undefined;
+  }
+}
+
+// Read the stock level of a product. inventory-service is asked first; when it
+// cannot be reached the cached read model is used, and the product's own stock
+// field is the last resort.
+async function getStockLevel(product) {
+  let inventory;
+
+  try {
+    inventory = await daprClient.invoker.invoke('inventory-service', `inventory/${product.id}`, 'GET');
+  } catch (error) {
+    if (invocationStatus(error) === 404) {
+      // inventory-service is up but does not stock the product
+      return { quantity: 0, reserved: 0, available: 0, source: AVAILABILITY_SOURCE.INVENTORY_SERVICE };
+    }
+    console.error(`Inventory service unavailable for product ${product.id}, using cached stock:`, error.message);
+  }
+
+  if (inventory) {
+    const stockLevel = {
+      quantity: inventory.quantity,
+      reserved: inventory.reserved,
+      available: inventory.available,
+      asOf: inventory.lastUpdated
+    };
+
+    await updateAvailabilityReadModel(product.id, stockLevel).catch(error =>
+      console.error(`Error caching stock level for product ${product.id}:`, error)
+    );
+
+    return { ...stockLevel, source: AVAILABILITY_SOURCE.INVENTORY_SERVICE };
+  }
+
+  const cached = await daprClient.state.get(PRODUCT_STORE, availabilityKey(product.id));
+  if (cached) {
+    return {
+      quantity: cached.quantity,
+      reserved: cached.reserved,
+      available: cached.available,
+      asOf: cached.asOf,
+      source: AVAILABILITY_SOURCE.READ_MODEL
+    };
+  }
+
+  return {
+    quantity: product.stock,
+    reserved: 0,
+    available: product.stock,
+    asOf: product.updatedAt,
+    source: AVAILABILITY_SOURCE.PRODUCT_CATALOG
+  };
+}
+
 // API Endpoints
 
 // Get all products
@@ -116,7 +257,7 @@ app.get('/products', async (req, res) => {
     // Get all products
     const products = [];
     for (const id of productIds) {
-      const product = await daprClient.state.get(PRODUCT_STORE, id);
+      const product = await getProduct(id);
       if (product && product.status === 'active') {
         products.push(product);
       }
@@ -169,7 +310,7 @@ app.get('/products/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const product = await daprClient.state.get(PRODUCT_STORE, id);
+    const product = await getProduct(id);
     
     if (!product || product.status !== 'active') {
       return res.status(404).json({ error: 'Product not found' });
@@ -185,18 +326,25 @@ app.get('/products/:id', async (req, res) => {
 // Create product
 app.post('/products', async (req, res) => {
   try {
-    const { name, description, price, category, stock, imageUrl, tags, specifications } = req.body;
+    const { name, description, price, currency = DEFAULT_CURRENCY, weightGrams, category, stock, imageUrl, tags, specifications } = req.body;
     
-    if (!name || !price || !category) {
+    if (!name || price === undefined || !category) {
       return res.status(400).json({ error: 'Name, price and category are required' });
     }
     
+    const invalidPrice = priceError(price, currency);
+    if (invalidPrice) {
+      return res.status(400).json({ error: invalidPrice });
+    }
+
     const productId = uuidv4();
     const product = {
       id: productId,
       name,
       description,
-      price: parseFloat(price),
+      price: parseMinorUnits(price),
+      currency,
+      weightGrams: weightGrams !== undefined ? parseInt(weightGrams) : undefined,
       category,
       stock: parseInt(stock) || 0,
       imageUrl,
@@ -207,31 +355,22 @@ app.post('/products', async (req, res) => {
       status: 'active'
     };
     
-    // Save product
-    await daprClient.state.save(PRODUCT_STORE, [
+    // Save product with its product created event, published once the
+    // product is listed
+    const created = outbox.batch([
       {
-        key: productId,
-        value: product
+        topic: 'product-created',
+        data: { productId, product }
       }
-    ]);
+    ], [{ operation: 'upsert', request: { key: productId, value: product } }]);
+    await created.commit();
     
     // Update product list
-    const productIds = await daprClient.state.get(PRODUCT_STORE, 'product-list') || [];
-    productIds.push(productId);
-    await daprClient.state.save(PRODUCT_STORE, [
-      {
-        key: 'product-list',
-        value: productIds
-      }
-    ]);
+    await addToList(daprClient, PRODUCT_STORE, 'product-list', productId);
     
     console.log(`Product created: ${productId}`);
     
-    // Publish product created event
-    await daprClient.pubsub.publish('order-pubsub', 'product-created', {
-      productId,
-      product
-    });
+    await created.relay();
     
     res.status(201).json(product);
   } catch (error) {
@@ -246,12 +385,22 @@ app.put('/products/:id', async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
     
-    const existingProduct = await daprClient.state.get(PRODUCT_STORE, id);
+    const existingProduct = await getProduct(id);
     
     if (!existingProduct || existingProduct.status !== 'active') {
       return res.status(404).json({ error: 'Product not found' });
     }
     
+    if (updates.price !== undefined || updates.currency !== undefined) {
+      const invalidPrice = priceError(
+        updates.price !== undefined ? updates.price : existingProduct.price,
+        updates.currency !== undefined ? updates.currency : existingProduct.currency
+      );
+      if (invalidPrice) {
+        return res.status(400).json({ error: invalidPrice });
+      }
+    }
+
     const updatedProduct = {
       ...existingProduct,
       ...updates,
@@ -259,8 +408,8 @@ app.put('/products/:id', async (req, res) => {
     };
     
     // Convert price to number if provided
-    if (updates.price) {
-      updatedProduct.price = parseFloat(updates.price);
+    if (updates.price !== undefined) {
+      updatedProduct.price = parseMinorUnits(updates.price);
     }
     
     // Convert stock to number if provided
@@ -268,22 +417,29 @@ app.put('/products/:id', async (req, res) => {
       updatedProduct.stock = parseInt(updates.stock);
     }
     
-    await daprClient.state.save(PRODUCT_STORE, [
+    if (updates.weightGrams !== undefined) {
+      updatedProduct.weightGrams = parseInt(updates.weightGrams);
+    }
+
+    // Save product with its product updated event
+    await outbox.save([
       {
         key: id,
         value: updatedProduct
       }
+    ], [
+      {
+        topic: 'product-updated',
+        data: {
+          productId: id,
+          product: updatedProduct,
+          changes: updates
+        }
+      }
     ]);
     
     console.log(`Product updated: ${id}`);
     
-    // Publish product updated event
-    await daprClient.pubsub.publish('order-pubsub', 'product-updated', {
-      productId: id,
-      product: updatedProduct,
-      changes: updates
-    });
-    
     res.json(updatedProduct);
   } catch (error) {
     console.error('Error updating product:', error);
@@ -291,31 +447,84 @@ app.put('/products/:id', async (req, res) => {
   }
 });
 
+// Availability of a product for a quantity; undefined when the product is not sold
+async function checkAvailability(id, quantity) {
+  const product = await getProduct(id);
+
+  if (!product || product.status !== 'active') {
+    return undefined;
+  }
+
+  const stockLevel = await getStockLevel(product);
+
+  return {
+    productId: id,
+    requestedQuantity: quantity,
+    availableStock: stockLevel.available,
+    reservedStock: stockLevel.reserved,
+    totalStock: stockLevel.quantity,
+    available: stockLevel.available >= quantity,
+    source: stockLevel.source,
+    asOf: stockLevel.asOf,
+    product: {
+      id: product.id,
+      name: product.name,
+      price: product.price,
+      currency: product.currency,
+      weightGrams: product.weightGrams,
+      category: product.category,
+      tags: product.tags
+    }
+  };
+}
+
+// Check availability of many products in one call
+// Body: { items: [{ productId, quantity }] }. Results keep the order of the
+// items; unknown products get `error` instead of failing the whole batch.
+app.post('/products/check-availability', async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+
+    if (items.length > MAX_AVAILABILITY_BATCH) {
+      return res.status(400).json({ error: `At most ${MAX_AVAILABILITY_BATCH} items can be checked at once` });
+    }
+
+    if (items.some(item => !item || !item.productId)) {
+      return res.status(400).json({ error: 'Every item needs a productId' });
+    }
+
+    const results = await mapWithConcurrency(items, STOCK_LOOKUP_CONCURRENCY, async ({ productId, quantity = 1 }) => {
+      const availability = await checkAvailability(String(productId), quantity);
+      return availability || { productId: String(productId), requestedQuantity: quantity, available: false, error: 'Product not found' };
+    });
+
+    res.json({
+      results,
+      available: results.every(result => result.available)
+    });
+  } catch (error) {
+    console.error('Error checking availability:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Check product availability
 app.post('/products/:id/check-availability', async (req, res) => {
   try {
     const { id } = req.params;
     const { quantity = 1 } = req.body;
     
-    const product = await daprClient.state.get(PRODUCT_STORE, id);
+    const availability = await checkAvailability(id, quantity);
     
-    if (!product || product.status !== 'active') {
+    if (!availability) {
       return res.status(404).json({ error: 'Product not found' });
     }
     
-    const available = product.stock >= quantity;
-    
-    res.json({
-      productId: id,
-      requestedQuantity: quantity,
-      availableStock: product.stock,
-      available,
-      product: {
-        id: product.id,
-        name: product.name,
-        price: product.price
-      }
-    });
+    res.json(availability);
   } catch (error) {
     console.error('Error checking availability:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -330,7 +539,7 @@ app.get('/categories', async (req, res) => {
     const categories = new Set();
     
     for (const id of productIds) {
-      const product = await daprClient.state.get(PRODUCT_STORE, id);
+      const product = await getProduct(id);
       if (product && product.status === 'active') {
         categories.add(product.category);
       }
@@ -345,6 +554,12 @@ app.get('/categories', async (req, res) => {
   }
 });
 
+// Inspect and replay events stuck in the outbox (admin)
+registerOutboxRoutes(app, outbox);
+
+// Keep dead-lettered events; inspect, replay or discard them (admin)
+registerDeadLetterRoutes(app, deadLetters, consumeEvent);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -356,26 +571,55 @@ app.get('/health', (req, res) => {
 
 // Dapr pub/sub subscription configuration
 app.get('/dapr/subscribe', (req, res) => {
-  res.json([
+  res.json(deadLetters.subscriptions([
     {
       pubsubname: 'order-pubsub',
       topic: 'inventory-updated',
       route: '/events/inventory-updated'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'inventory-reserved',
+      route: '/events/inventory-stock-changed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'inventory-released',
+      route: '/events/inventory-stock-changed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'order-fulfilled',
+      route: '/events/inventory-stock-changed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'inventory-transfer-started',
+      route: '/events/inventory-stock-changed'
+    },
+    {
+      pubsubname: 'order-pubsub',
+      topic: 'inventory-transfer-completed',
+      route: '/events/inventory-stock-changed'
     }
-  ]);
+  ]));
 });
 
 // Handle inventory updated events
-app.post('/events/inventory-updated', async (req, res) => {
+app.post('/events/inventory-updated', consumeEvent, async (req, res) => {
   try {
     console.log('Inventory updated event received:', req.body);
     
     // Dapr pub/sub event format: { data: {...}, ... } or direct data
     const eventData = req.body.data || req.body;
-    const { productId, newStock } = eventData;
+    const { productId, newStock, stockLevel } = eventData;
+
+    if (stockLevel) {
+      await updateAvailabilityReadModel(productId, stockLevel);
+    }
     
     // Update product stock
-    const product = await daprClient.state.get(PRODUCT_STORE, productId);
+    const product = await getProduct(productId);
     if (product) {
       product.stock = newStock;
       product.updatedAt = new Date().toISOString();
@@ -393,7 +637,25 @@ app.post('/events/inventory-updated', async (req, res) => {
     res.status(200).send();
   } catch (error) {
     console.error('Error handling inventory updated event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
+  }
+});
+
+// Handle inventory events that change reserved or available stock
+app.post('/events/inventory-stock-changed', consumeEvent, async (req, res) => {
+  try {
+    const { data } = req.body;
+    const { productId, stockLevel } = data;
+
+    if (productId && stockLevel) {
+      await updateAvailabilityReadModel(productId, stockLevel);
+      console.log(`Availability read model updated: ${productId} -> ${stockLevel.available} available`);
+    }
+
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error handling inventory stock event:', error);
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
@@ -402,6 +664,9 @@ const server = app.listen(port, async () => {
   console.log(`Product Service running on port ${port}`);
   console.log(`Dapr sidecar expected on port ${daprPort}`);
   
+  // Publish outbox events left behind by a crash or a broker outage
+  outbox.startRelay();
+
   // Initialize sample data
   await initializeSampleData();
 });
@@ -409,6 +674,7 @@ const server = app.listen(port, async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  outbox.stopRelay();
   server.close(() => {
     console.log('Product Service stopped');
     process.exit(0);
@@ -0,0 +1,34 @@
+// Concurrency helpers
+
+// Map items with an async function, running at most `limit` calls at a time.
+// Results keep the order of `items`; the first rejection rejects the whole map
+// (wrap `fn` to collect failures instead).
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Split items into chunks of at most `size`
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  mapWithConcurrency,
+  chunk
+};
@@ -0,0 +1,307 @@
+// Dead-letter topics for pub/sub subscriptions
+//
+// Every subscription of a service gets a dead-letter topic of its own. Dapr
+// moves an event there when its handler keeps failing (once the retries of
+// the resiliency policy are used up) or drops it. The service consumes its
+// dead-letter topics at /events/dead-letter/<handler> and keeps the events
+// for an admin to inspect, fix and replay, or discard. Records:
+//
+//   dead-letter-<id>    { id, eventId, handler, topic, event, data, status, error,
+//                         attempts, deadLetteredAt, replays, ... }
+//   dead-letters        [id, ...]   dead letters not replayed or discarded yet
+//
+// `handler` is the route of the subscription that failed, `error` and
+// `attempts` come from its failed deliveries (see event-consumer.js). A
+// replay posts the event, with its data edited if needed, to the handler
+// again under the same CloudEvent id.
+
+const { updateWithETag, addToList, removeFromList } = require('./etag-state');
+const { EVENT_STATUS, consumedEventKey } = require('./event-consumer');
+
+const DEAD_LETTER_STATUS = {
+  PENDING: 'pending',
+  REPLAYED: 'replayed',
+  DISCARDED: 'discarded'
+};
+
+const DEAD_LETTER_LIST_KEY = 'dead-letters';
+
+// How long replayed and discarded dead letters are kept for inspection
+const RETENTION_SECONDS = parseInt(process.env.DEAD_LETTER_RETENTION_SECONDS) || 7 * 24 * 60 * 60;
+
+const REPLAY_TIMEOUT_MS = parseInt(process.env.DEAD_LETTER_REPLAY_TIMEOUT_MS) || 30000;
+
+class DeadLetterError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'DeadLetterError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function deadLetterKey(deadLetterId) {
+  return `dead-letter-${deadLetterId}`;
+}
+
+// Handler name of a subscription: its route without /events/
+function handlerOf(subscription) {
+  return subscription.route.replace(/^\/events\//, '');
+}
+
+function createDeadLetters(daprClient, { storeName, service, appPort }) {
+  // Topic each handler subscribes to, as last announced to Dapr
+  const topics = {};
+
+  function deadLetterTopic(handler) {
+    return `${service}-${handler}-deadletter`;
+  }
+
+  // The subscriptions of the service with their dead-letter topics, followed
+  // by the subscriptions to those topics
+  function subscriptions(list) {
+    const withDeadLetters = list.map(subscription => {
+      topics[handlerOf(subscription)] = subscription.topic;
+      return { ...subscription, deadLetterTopic: deadLetterTopic(handlerOf(subscription)) };
+    });
+
+    return [
+      ...withDeadLetters,
+      ...list.map(subscription => ({
+        pubsubname: subscription.pubsubname,
+        topic: deadLetterTopic(handlerOf(subscription)),
+        route: `/events/dead-letter/${handlerOf(subscription)}`
+      }))
+    ];
+  }
+
+  async function getDeadLetter(deadLetterId) {
+    return daprClient.state.get(storeName, deadLetterKey(deadLetterId));
+  }
+
+  // Keep an event Dapr dead-lettered for `handler`. Redelivered dead letters
+  // are kept once.
+  async function record(handler, event) {
+    const deadLetterId = `${handler}-${event.id}`;
+    const delivery = await daprClient.state.get(storeName, consumedEventKey(handler, event.id));
+    const { data, ...attributes } = event;
+
+    const { saved, value } = await updateWithETag(daprClient, storeName, deadLetterKey(deadLetterId), current => {
+      if (current) {
+        return undefined;
+      }
+      return {
+        id: deadLetterId,
+        eventId: event.id,
+        handler,
+        topic: topics[handler] || handler,
+        event: attributes,
+        data,
+        status: DEAD_LETTER_STATUS.PENDING,
+        error: delivery ? delivery.lastError : undefined,
+        attempts: delivery ? delivery.attempts : 0,
+        deadLetteredAt: new Date().toISOString(),
+        replays: []
+      };
+    });
+
+    if (saved) {
+      await addToList(daprClient, storeName, DEAD_LETTER_LIST_KEY, deadLetterId);
+      console.error(`Event ${event.id} dead-lettered for ${handler}: ${value.error || 'no error recorded'}`);
+    }
+    return value;
+  }
+
+  // Dead letters not replayed or discarded yet, oldest first
+  async function listPending() {
+    const ids = (await daprClient.state.get(storeName, DEAD_LETTER_LIST_KEY)) || [];
+    const deadLetters = [];
+    for (const id of ids) {
+      const deadLetter = await getDeadLetter(id);
+      if (deadLetter && deadLetter.status === DEAD_LETTER_STATUS.PENDING) {
+        deadLetters.push(deadLetter);
+      }
+    }
+    return deadLetters.sort((a, b) => new Date(a.deadLetteredAt) - new Date(b.deadLetteredAt));
+  }
+
+  function assertPending(deadLetter) {
+    if (!deadLetter) {
+      throw new DeadLetterError('Dead letter not found', 404);
+    }
+    if (deadLetter.status !== DEAD_LETTER_STATUS.PENDING) {
+      throw new DeadLetterError(`Dead letter was already ${deadLetter.status}`, 409, {
+        status: deadLetter.status,
+        settledAt: deadLetter.replayedAt || deadLetter.discardedAt
+      });
+    }
+  }
+
+  // Change a pending dead letter. Settled ones (replayed or discarded) are
+  // kept for RETENTION_SECONDS and leave the list.
+  async function updatePending(deadLetterId, mutate, { settled }) {
+    const { value } = await updateWithETag(daprClient, storeName, deadLetterKey(deadLetterId), current => {
+      assertPending(current);
+      return mutate(current);
+    }, settled ? { metadata: { ttlInSeconds: String(RETENTION_SECONDS) } } : {});
+
+    if (settled) {
+      await removeFromList(daprClient, storeName, DEAD_LETTER_LIST_KEY, deadLetterId);
+    }
+    return value;
+  }
+
+  // Post the event to its handler like Dapr would; answers the Dapr status
+  async function deliver(deadLetter, data) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REPLAY_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${appPort}/events/${deadLetter.handler}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...deadLetter.event, topic: deadLetter.topic, data }),
+        signal: controller.signal
+      });
+      const result = await response.json().catch(() => ({}));
+      return result.status;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Hand a pending dead letter to its handler again. `data`, when given,
+  // replaces the event data (and is kept for later replays if this one fails
+  // too). The dead letter is replayed once the handler succeeds.
+  async function replay(deadLetterId, { data } = {}) {
+    const current = await getDeadLetter(deadLetterId);
+    assertPending(current);
+
+    const edited = data !== undefined;
+    const payload = edited ? data : current.data;
+    let outcome;
+    let error;
+    try {
+      outcome = await deliver(current, payload);
+    } catch (deliveryError) {
+      // The handler could not be reached; it is up to the admin to try again
+      outcome = EVENT_STATUS.RETRY;
+      error = deliveryError.message;
+      console.error(`Error replaying dead letter ${deadLetterId}:`, error);
+    }
+
+    const replayed = outcome === EVENT_STATUS.SUCCESS;
+    if (!replayed && !error) {
+      const delivery = await daprClient.state.get(storeName, consumedEventKey(current.handler, current.eventId));
+      error = delivery && delivery.lastError;
+    }
+    const now = new Date().toISOString();
+
+    return updatePending(deadLetterId, deadLetter => ({
+      ...deadLetter,
+      data: payload,
+      originalData: edited && deadLetter.originalData === undefined ? deadLetter.data : deadLetter.originalData,
+      status: replayed ? DEAD_LETTER_STATUS.REPLAYED : DEAD_LETTER_STATUS.PENDING,
+      replays: [
+        ...deadLetter.replays,
+        { outcome, edited, error, at: now }
+      ],
+      replayedAt: replayed ? now : undefined
+    }), { settled: replayed });
+  }
+
+  async function discard(deadLetterId, reason) {
+    return updatePending(deadLetterId, deadLetter => ({
+      ...deadLetter,
+      status: DEAD_LETTER_STATUS.DISCARDED,
+      discardReason: reason,
+      discardedAt: new Date().toISOString()
+    }), { settled: true });
+  }
+
+  return {
+    subscriptions,
+    record,
+    getDeadLetter,
+    listPending,
+    replay,
+    discard
+  };
+}
+
+// Consumer of the dead-letter topics (behind `consumeEvent`, the event
+// consumer middleware) and admin endpoints:
+//   GET  /admin/dead-letters?handler=<handler>   pending dead letters
+//   GET  /admin/dead-letters/:id
+//   POST /admin/dead-letters/:id/replay          body { data } replaces the event data
+//   POST /admin/dead-letters/:id/discard         body { reason }
+function registerDeadLetterRoutes(app, deadLetters, consumeEvent) {
+  app.post('/events/dead-letter/:handler', consumeEvent, async (req, res) => {
+    try {
+      await deadLetters.record(req.params.handler, req.body);
+      res.status(200).send();
+    } catch (error) {
+      console.error('Error handling dead-lettered event:', error);
+      res.status(500).json({ error: 'Event handling failed', message: error.message });
+    }
+  });
+
+  app.get('/admin/dead-letters', async (req, res) => {
+    try {
+      const { handler } = req.query;
+      const entries = (await deadLetters.listPending()).filter(deadLetter => !handler || deadLetter.handler === handler);
+      res.json({ deadLetters: entries, count: entries.length });
+    } catch (error) {
+      console.error('Error listing dead letters:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.get('/admin/dead-letters/:id', async (req, res) => {
+    try {
+      const deadLetter = await deadLetters.getDeadLetter(req.params.id);
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      res.json(deadLetter);
+    } catch (error) {
+      console.error('Error fetching dead letter:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.post('/admin/dead-letters/:id/replay', async (req, res) => {
+    try {
+      const deadLetter = await deadLetters.replay(req.params.id, { data: (req.body || {}).data });
+      console.log(`Dead letter replayed: ${req.params.id} (${deadLetter.status})`);
+      res.json(deadLetter);
+    } catch (error) {
+      if (error instanceof DeadLetterError) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+      console.error('Error replaying dead letter:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.post('/admin/dead-letters/:id/discard', async (req, res) => {
+    try {
+      const deadLetter = await deadLetters.discard(req.params.id, (req.body || {}).reason);
+      console.log(`Dead letter discarded: ${req.params.id}`);
+      res.json(deadLetter);
+    } catch (error) {
+      if (error instanceof DeadLetterError) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+      console.error('Error discarding dead letter:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+}
+
+module.exports = {
+  DEAD_LETTER_STATUS,
+  DeadLetterError,
+  createDeadLetters,
+  registerDeadLetterRoutes
+};
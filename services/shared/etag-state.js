@@ -0,0 +1,233 @@
+// Optimistic concurrency helpers for Dapr state
+//
+// Read-modify-write paths read the value together with its ETag and save it
+// back with first-write-wins concurrency. When another writer got there first
+// the save is rejected and the whole read-modify-write is retried.
+
+const { StateConcurrencyEnum } = require('@dapr/dapr');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 25;
+
+class ETagConflictError extends Error {
+  constructor(storeName, key, attempts) {
+    super(`Concurrent update conflict on ${storeName}/${key} after ${attempts} attempts`);
+    this.name = 'ETagConflictError';
+    this.storeName = storeName;
+    this.key = key;
+    this.attempts = attempts;
+  }
+}
+
+// Dapr answers a stale or mismatching ETag with 409 (and 400 for some stores)
+function isETagMismatch(error) {
+  try {
+    const details = JSON.parse(error.message);
+    return details.status === 409 ||
+      (details.status === 400 && /etag/i.test(details.error_msg || ''));
+  } catch (parseError) {
+    return /etag/i.test(error.message || '');
+  }
+}
+
+// Read a value together with the ETag the state store holds for it
+async function getWithETag(daprClient, storeName, key) {
+  const [item] = await daprClient.state.getBulk(storeName, [key]);
+
+  if (!item || item.data === undefined || item.data === '') {
+    return { value: undefined, etag: item && item.etag };
+  }
+
+  return { value: item.data, etag: item.etag };
+}
+
+// Save a value only if the stored ETag still matches. `metadata` is passed to
+// the state store as is (e.g. `{ ttlInSeconds: '60' }`).
+async function saveWithETag(daprClient, storeName, key, value, etag, metadata) {
+  const result = await daprClient.state.save(storeName, [
+    {
+      key,
+      value,
+      etag,
+      metadata,
+      options: {
+        concurrency: StateConcurrencyEnum.CONCURRENCY_FIRST_WRITE
+      }
+    }
+  ]);
+
+  if (result && result.error) {
+    if (isETagMismatch(result.error)) {
+      return false;
+    }
+    throw result.error;
+  }
+
+  return true;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Transaction operations given as a list or as a function of what is saved
+async function resolveOperations(operations, updated) {
+  return typeof operations === 'function' ? operations(updated) : operations;
+}
+
+// Apply `mutate` to the current value and save the result with its ETag,
+// retrying on conflicts. `mutate` receives the current value (undefined when
+// the key does not exist) and returns the value to save; returning undefined
+// leaves the state untouched. `options.metadata` is saved along with the value.
+async function updateWithETag(daprClient, storeName, key, mutate, options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY_MS;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { value: current, etag } = await getWithETag(daprClient, storeName, key);
+    const updated = await mutate(current);
+
+    if (updated === undefined) {
+      return { saved: false, value: current, attempts: attempt };
+    }
+
+    if (await saveWithETag(daprClient, storeName, key, updated, etag, options.metadata)) {
+      return { saved: true, value: updated, attempts: attempt };
+    }
+
+    // Back off with jitter so competing writers spread out
+    await delay(retryDelayMs * attempt + Math.random() * retryDelayMs);
+  }
+
+  throw new ETagConflictError(storeName, key, maxAttempts);
+}
+
+// Like updateWithETag, but the update of `key` is committed in one state
+// transaction together with `operations` (Dapr transaction operations, e.g.
+// `{ operation: 'upsert', request: { key, value } }`). When `mutate` returns
+// undefined the operations are committed on their own. `operations` may also
+// be a function of the value about to be saved, called on every attempt.
+async function updateWithETagInTransaction(daprClient, storeName, key, mutate, operations, options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY_MS;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { value: current, etag } = await getWithETag(daprClient, storeName, key);
+    const updated = await mutate(current);
+
+    const transactionOperations = [...await resolveOperations(operations, updated)];
+    if (updated !== undefined) {
+      transactionOperations.push({
+        operation: 'upsert',
+        request: {
+          key,
+          value: updated,
+          etag,
+          options: {
+            concurrency: StateConcurrencyEnum.CONCURRENCY_FIRST_WRITE
+          }
+        }
+      });
+    }
+
+    try {
+      await daprClient.state.transaction(storeName, transactionOperations);
+      return {
+        saved: updated !== undefined,
+        value: updated === undefined ? current : updated,
+        attempts: attempt
+      };
+    } catch (error) {
+      if (!isETagMismatch(error)) {
+        throw error;
+      }
+    }
+
+    await delay(retryDelayMs * attempt + Math.random() * retryDelayMs);
+  }
+
+  throw new ETagConflictError(storeName, key, maxAttempts);
+}
+
+// Read-modify-write of several keys committed in one state transaction
+// together with `operations`. `mutate` receives the current values by key and
+// returns the values to save by key (keys left out are not written), or
+// undefined to commit nothing. Every written key is guarded by its ETag.
+// `operations` may also be a function of the values about to be saved.
+async function updateKeysWithETagInTransaction(daprClient, storeName, keys, mutate, operations = [], options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY_MS;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const current = {};
+    const etags = {};
+    for (const key of keys) {
+      const { value, etag } = await getWithETag(daprClient, storeName, key);
+      current[key] = value;
+      etags[key] = etag;
+    }
+
+    const updated = await mutate(current);
+    if (updated === undefined) {
+      return { saved: false, values: current, attempts: attempt };
+    }
+
+    const transactionOperations = [...await resolveOperations(operations, updated)];
+    for (const [key, value] of Object.entries(updated)) {
+      transactionOperations.push({
+        operation: 'upsert',
+        request: {
+          key,
+          value,
+          etag: etags[key],
+          options: {
+            concurrency: StateConcurrencyEnum.CONCURRENCY_FIRST_WRITE
+          }
+        }
+      });
+    }
+
+    try {
+      await daprClient.state.transaction(storeName, transactionOperations);
+      return { saved: true, values: { ...current, ...updated }, attempts: attempt };
+    } catch (error) {
+      if (!isETagMismatch(error)) {
+        throw error;
+      }
+    }
+
+    await delay(retryDelayMs * attempt + Math.random() * retryDelayMs);
+  }
+
+  throw new ETagConflictError(storeName, keys.join(','), maxAttempts);
+}
+
+// Add an ID to a list kept under a single key
+async function addToList(daprClient, storeName, key, id) {
+  const { value } = await updateWithETag(daprClient, storeName, key, current => {
+    const list = current || [];
+    return list.includes(id) ? undefined : [...list, id];
+  });
+  return value || [];
+}
+
+// Remove an ID from a list kept under a single key
+async function removeFromList(daprClient, storeName, key, id) {
+  const { value } = await updateWithETag(daprClient, storeName, key, current => {
+    const list = current || [];
+    return list.includes(id) ? list.filter(item => item !== id) : undefined;
+  });
+  return value || [];
+}
+
+module.exports = {
+  ETagConflictError,
+  isETagMismatch,
+  getWithETag,
+  saveWithETag,
+  updateWithETag,
+  updateWithETagInTransaction,
+  updateKeysWithETagInTransaction,
+  addToList,
+  removeFromList
+};
@@ -0,0 +1,169 @@
+// Idempotent pub/sub event consumers
+//
+// Pub/sub delivers at least once, so a subscriber can get the same event
+// again. Every /events/* route runs behind this middleware: the first
+// delivery of a CloudEvent id claims it for the route, runs the handler and
+// records the id as processed (with a TTL). Redeliveries of a processed id
+// are answered with SUCCESS without running the handler again.
+//
+// Handlers answer as usual (200 when handled, 4xx or 5xx when they failed)
+// and the answer is translated to the status Dapr expects:
+//
+//   2xx        -> SUCCESS   the event is done
+//   4xx, 5xx   -> RETRY     Dapr redelivers the event
+//
+// A 4xx often means "not there yet" (an order whose earlier event is still on
+// its way), so failures are never dropped: once the retry policy gives up the
+// event goes to the dead-letter topic, where it can be inspected and replayed.
+//
+// Failed deliveries are recorded with their attempts and the handler's error
+// (its `message`, or `error`), which is what dead letters report later (see
+// dead-letters.js); a failed event can be claimed again. A claim is held
+// until the handler answers, even if Dapr stopped waiting for the delivery,
+// so a redelivery never runs next to the first one; it expires after the lock
+// time in case the process died. Events without an id or data are dropped.
+
+const { updateWithETag } = require('./etag-state');
+
+const EVENT_STATUS = {
+  SUCCESS: 'SUCCESS',
+  RETRY: 'RETRY',
+  DROP: 'DROP'
+};
+
+// How long processed event ids are remembered; redeliveries come well within
+const DEFAULT_TTL_SECONDS = parseInt(process.env.EVENT_DEDUP_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+// How long a claimed event stays locked if its handler never finishes
+const DEFAULT_LOCK_SECONDS = parseInt(process.env.EVENT_DEDUP_LOCK_SECONDS) || 60;
+
+const RECORD_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  PROCESSED: 'processed',
+  FAILED: 'failed'
+};
+
+function consumedEventKey(subscriber, eventId) {
+  return `consumed-${subscriber}-${eventId}`;
+}
+
+function eventStatusFor(statusCode) {
+  return statusCode >= 400 ? EVENT_STATUS.RETRY : EVENT_STATUS.SUCCESS;
+}
+
+// Whether a delivery may claim the event recorded as `record`
+function claimable(record, now) {
+  if (!record || record.status === RECORD_STATUS.FAILED) {
+    return true;
+  }
+  return record.status === RECORD_STATUS.IN_PROGRESS && new Date(record.lockedUntil) <= now;
+}
+
+// Middleware factory. Processed ids are kept per route (subscriber) in
+// `storeName`.
+function eventConsumer(daprClient, { storeName, ttlSeconds = DEFAULT_TTL_SECONDS, lockSeconds = DEFAULT_LOCK_SECONDS }) {
+  async function settleRecord(key, record, status, body) {
+    const now = new Date().toISOString();
+    const value = status === EVENT_STATUS.SUCCESS
+      ? { ...record, status: RECORD_STATUS.PROCESSED, processedAt: now }
+      : {
+        ...record,
+        status: RECORD_STATUS.FAILED,
+        lastError: (body && (body.message || body.error)) || 'Event handling failed',
+        failedAt: now
+      };
+
+    await daprClient.state.save(storeName, [
+      {
+        key,
+        value,
+        metadata: { ttlInSeconds: String(ttlSeconds) }
+      }
+    ]);
+  }
+
+  function answer(res, status) {
+    return res.status(200).json({ status });
+  }
+
+  return async (req, res, next) => {
+    const subscriber = req.path.replace(/^\/events\//, '');
+    const { id: eventId, topic, data } = req.body || {};
+
+    if (!eventId || data === undefined) {
+      console.error(`Dropping malformed event on ${req.path}: missing ${eventId ? 'data' : 'id'}`);
+      return answer(res, EVENT_STATUS.DROP);
+    }
+
+    try {
+      const key = consumedEventKey(subscriber, eventId);
+      const now = new Date();
+      let existing;
+
+      // Claim the event unless it was processed or is being processed
+      const { saved, value: record } = await updateWithETag(daprClient, storeName, key, current => {
+        existing = current;
+        if (!claimable(current, now)) {
+          return undefined;
+        }
+
+        return {
+          ...current,
+          eventId,
+          topic,
+          subscriber,
+          status: RECORD_STATUS.IN_PROGRESS,
+          attempts: ((current && current.attempts) || 0) + 1,
+          lockedUntil: new Date(now.getTime() + lockSeconds * 1000).toISOString(),
+          receivedAt: (current && current.receivedAt) || now.toISOString()
+        };
+      }, { metadata: { ttlInSeconds: String(lockSeconds) } });
+
+      if (!saved) {
+        if (existing.status === RECORD_STATUS.PROCESSED) {
+          console.log(`Duplicate event ${eventId} on ${req.path} skipped`);
+          return answer(res, EVENT_STATUS.SUCCESS);
+        }
+
+        // Another delivery is handling it; ask again in case that one fails
+        return answer(res, EVENT_STATUS.RETRY);
+      }
+
+      // Settle the claim once the handler answered, then answer Dapr. json
+      // ends up in send; handlers may also answer with end alone.
+      const send = res.send.bind(res);
+      const json = res.json.bind(res);
+      const end = res.end.bind(res);
+      let body;
+
+      const settle = () => {
+        res.send = send;
+        res.json = json;
+        res.end = end;
+        const status = eventStatusFor(res.statusCode);
+
+        settleRecord(key, record, status, body)
+          .catch(error => console.error(`Error recording event ${eventId} on ${req.path}:`, error))
+          .then(() => answer(res, status));
+        return res;
+      };
+      res.json = value => {
+        body = value;
+        return json(value);
+      };
+      res.send = settle;
+      res.end = settle;
+
+      next();
+    } catch (error) {
+      console.error(`Error checking event ${eventId} on ${req.path}:`, error);
+      answer(res, EVENT_STATUS.RETRY);
+    }
+  };
+}
+
+module.exports = {
+  EVENT_STATUS,
+  consumedEventKey,
+  eventConsumer
+};
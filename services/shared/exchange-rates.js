@@ -0,0 +1,81 @@
+// Exchange rate table for currency conversion
+//
+// Rates are read from a Dapr configuration store when EXCHANGE_RATES_CONFIG_STORE
+// is set, otherwise from the secret store:
+//
+//   configuration store keys   exchange-rate-base = USD, exchange-rate-EUR = 0.92, ...
+//   secret store (secrets.json) currency:base = USD, currency:rates:EUR = 0.92, ...
+//
+// Each rate is the number of units of that currency per one unit of the base
+// currency. The table is cached for EXCHANGE_RATES_CACHE_MS.
+
+const { DEFAULT_CURRENCY } = require('./money');
+
+const CONFIG_STORE = process.env.EXCHANGE_RATES_CONFIG_STORE;
+const SECRET_STORE = process.env.EXCHANGE_RATES_SECRET_STORE || 'local-secret-store';
+const CACHE_MS = parseInt(process.env.EXCHANGE_RATES_CACHE_MS) || 5 * 60 * 1000;
+
+const CONFIG_BASE_KEY = 'exchange-rate-base';
+const CONFIG_RATE_PREFIX = 'exchange-rate-';
+const SECRET_BASE_KEY = 'currency:base';
+const SECRET_RATE_PREFIX = 'currency:rates:';
+
+// The JS SDK only supports the configuration API over gRPC, so the sidecar's
+// HTTP endpoint is called directly
+async function loadFromConfigStore(daprPort) {
+  const response = await fetch(`http://localhost:${daprPort}/v1.0/configuration/${CONFIG_STORE}`);
+  if (!response.ok) {
+    throw new Error(`Configuration store ${CONFIG_STORE} answered ${response.status}`);
+  }
+
+  const items = await response.json();
+  const rates = {};
+  for (const [key, item] of Object.entries(items)) {
+    if (key !== CONFIG_BASE_KEY && key.startsWith(CONFIG_RATE_PREFIX)) {
+      rates[key.slice(CONFIG_RATE_PREFIX.length)] = item.value;
+    }
+  }
+  const base = items[CONFIG_BASE_KEY] ? items[CONFIG_BASE_KEY].value : DEFAULT_CURRENCY;
+  return { base, rates, source: `configuration:${CONFIG_STORE}` };
+}
+
+async function loadFromSecretStore(daprClient) {
+  const secrets = await daprClient.secret.getBulk(SECRET_STORE);
+  const rates = {};
+  let base = DEFAULT_CURRENCY;
+  for (const [name, secret] of Object.entries(secrets)) {
+    if (name === SECRET_BASE_KEY) {
+      base = secret[name];
+    } else if (name.startsWith(SECRET_RATE_PREFIX)) {
+      rates[name.slice(SECRET_RATE_PREFIX.length)] = secret[name];
+    }
+  }
+  return { base, rates, source: `secretstore:${SECRET_STORE}` };
+}
+
+function createExchangeRates(daprClient, { daprPort }) {
+  let cached;
+
+  return {
+    async get() {
+      if (cached && Date.now() - cached.loadedAt < CACHE_MS) {
+        return cached.table;
+      }
+
+      const table = CONFIG_STORE
+        ? await loadFromConfigStore(daprPort)
+        : await loadFromSecretStore(daprClient);
+
+      if (Object.keys(table.rates).length === 0) {
+        throw new Error(`No exchange rates found in ${table.source}`);
+      }
+
+      cached = { table, loadedAt: Date.now() };
+      return table;
+    }
+  };
+}
+
+module.exports = {
+  createExchangeRates
+};
@@ -0,0 +1,173 @@
+// Idempotency-Key support for Express endpoints
+//
+// The first request with a given key claims it, runs normally and has its
+// response stored with a TTL. Retries with the same key get the stored
+// response replayed instead of running the handler again. Reusing a key with
+// a different request body is rejected with 422. Responses are captured
+// however the handler sends them (json, send or end); server errors give the
+// key back for a retry. A key stays locked while its handler runs, even if
+// the client went away, and only a process that died leaves it locked until
+// the lock expires.
+
+const crypto = require('crypto');
+const { updateWithETag } = require('./etag-state');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+
+// How long a claimed key stays locked if its request never finishes
+const DEFAULT_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+const RECORD_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+// JSON with sorted object keys, so the same body always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function requestFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+// Middleware factory. `scope` separates the keys of different endpoints.
+function idempotency(daprClient, { storeName, scope, ttlSeconds = DEFAULT_TTL_SECONDS, lockSeconds = DEFAULT_LOCK_SECONDS }) {
+  function recordKey(idempotencyKey) {
+    return `idempotency-${scope}-${idempotencyKey}`;
+  }
+
+  async function release(key) {
+    await daprClient.state.delete(storeName, key);
+  }
+
+  async function storeResponse(key, record, response) {
+    await daprClient.state.save(storeName, [
+      {
+        key,
+        value: {
+          ...record,
+          status: RECORD_STATUS.COMPLETED,
+          response,
+          completedAt: new Date().toISOString()
+        },
+        metadata: { ttlInSeconds: String(ttlSeconds) }
+      }
+    ]);
+  }
+
+  return async (req, res, next) => {
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `${IDEMPOTENCY_HEADER} must be 1-${MAX_KEY_LENGTH} characters` });
+    }
+
+    try {
+      const key = recordKey(idempotencyKey);
+      const fingerprint = requestFingerprint(req);
+      const now = new Date();
+      let existing;
+
+      // Claim the key unless another request already holds it
+      const { saved, value: record } = await updateWithETag(daprClient, storeName, key, current => {
+        existing = current;
+        if (current && !(current.status === RECORD_STATUS.IN_PROGRESS && new Date(current.lockedUntil) <= now)) {
+          return undefined;
+        }
+
+        return {
+          idempotencyKey,
+          fingerprint,
+          status: RECORD_STATUS.IN_PROGRESS,
+          lockedUntil: new Date(now.getTime() + lockSeconds * 1000).toISOString(),
+          createdAt: now.toISOString()
+        };
+      }, { metadata: { ttlInSeconds: String(lockSeconds) } });
+
+      if (!saved) {
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            error: `${IDEMPOTENCY_HEADER} was already used with a different request`,
+            idempotencyKey
+          });
+        }
+
+        if (existing.status === RECORD_STATUS.IN_PROGRESS) {
+          return res.status(409).json({
+            error: 'A request with this Idempotency-Key is still being processed, please retry',
+            idempotencyKey
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        const { statusCode, body, contentType } = existing.response;
+        if (contentType === undefined) {
+          return res.status(statusCode).json(body);
+        }
+        return res.status(statusCode).type(contentType).send(body);
+      }
+
+      // Store the response before it goes out, so a retry that follows it
+      // immediately is answered from the stored copy. json and send both end
+      // up in end, which sees every response.
+      const json = res.json.bind(res);
+      const end = res.end.bind(res);
+      let jsonBody;
+
+      res.json = body => {
+        jsonBody = body;
+        return json(body);
+      };
+      res.end = (chunk, encoding, callback) => {
+        res.json = json;
+        res.end = end;
+
+        const response = jsonBody !== undefined
+          ? { statusCode: res.statusCode, body: jsonBody }
+          : {
+            statusCode: res.statusCode,
+            body: chunk ? Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined).toString() : '',
+            contentType: res.get('Content-Type') || ''
+          };
+
+        // Server errors are not stored, so the request can be retried with the same key
+        const settle = res.statusCode >= 500
+          ? release(key)
+          : storeResponse(key, record, response);
+
+        settle
+          .catch(error => console.error(`Error storing idempotent response for key ${idempotencyKey}:`, error))
+          .then(() => end(chunk, encoding, callback));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      console.error('Error checking idempotency key:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  idempotency
+};
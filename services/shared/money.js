@@ -0,0 +1,129 @@
+// Money helpers
+//
+// Amounts are integers in the minor unit of an ISO 4217 currency (cents for
+// USD, kuruş for TRY, yen for JPY) and always travel together with their
+// currency code.
+//
+// Rounding rules:
+// - Amounts given by clients must already be whole minor units; they are
+//   rejected, never rounded.
+// - Calculations that land between two minor units (currency conversion,
+//   percentages, proportional splits, legacy decimal amounts) round half to
+//   even, once, at the end.
+
+// Minor unit digits per currency (ISO 4217 exponent)
+const CURRENCIES = {
+  TRY: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CHF: 2,
+  JPY: 0
+};
+
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'USD';
+
+function isCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+}
+
+function isMinorAmount(amount) {
+  return Number.isSafeInteger(amount);
+}
+
+// Minor units from request input: an integer or an integer string, else NaN
+function parseMinorUnits(value) {
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    value = Number(value);
+  }
+  return isMinorAmount(value) ? value : NaN;
+}
+
+// numerator / denominator (BigInt) rounded half to even
+function divideHalfEven(numerator, denominator) {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const negative = numerator < 0n;
+  const absolute = negative ? -numerator : numerator;
+  let quotient = absolute / denominator;
+  const twiceRemainder = (absolute % denominator) * 2n;
+  if (twiceRemainder > denominator || (twiceRemainder === denominator && quotient % 2n === 1n)) {
+    quotient += 1n;
+  }
+  return Number(negative ? -quotient : quotient);
+}
+
+// Decimal string as a BigInt fraction, e.g. '32.15' -> { numerator: 3215n, denominator: 100n }
+function parseDecimal(value) {
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid decimal: ${value}`);
+  }
+  const [, sign, whole, fraction = ''] = match;
+  const numerator = BigInt(`${sign}${whole || '0'}${fraction}`);
+  return { numerator, denominator: 10n ** BigInt(fraction.length) };
+}
+
+// Major-unit decimal (e.g. a price saved before amounts were stored in minor units)
+function toMinorUnits(majorAmount, currency) {
+  const { numerator, denominator } = parseDecimal(majorAmount);
+  return divideHalfEven(numerator * 10n ** BigInt(CURRENCIES[currency]), denominator);
+}
+
+// Percentage of an amount, e.g. percentOf(1999, '8.875') for a tax rate
+function percentOf(amount, percent) {
+  const { numerator, denominator } = parseDecimal(percent);
+  return divideHalfEven(BigInt(amount) * numerator, denominator * 100n);
+}
+
+// amount * part / whole, e.g. the share of a total that belongs to some items
+function proportionOf(amount, part, whole) {
+  return whole === 0 ? 0 : divideHalfEven(BigInt(amount) * BigInt(part), BigInt(whole));
+}
+
+function formatMoney(amount, currency) {
+  const digits = CURRENCIES[currency] === undefined ? 2 : CURRENCIES[currency];
+  return `${(amount / 10 ** digits).toFixed(digits)} ${currency}`;
+}
+
+// Convert with a rate table giving the units of each currency per one unit of
+// the base currency, as decimal strings: { base: 'USD', rates: { EUR: '0.92' } }
+function convert(amount, fromCurrency, toCurrency, { base, rates }) {
+  if (fromCurrency === toCurrency) {
+    return amount;
+  }
+
+  const rateOf = currency => {
+    if (currency === base) {
+      return parseDecimal('1');
+    }
+    if (rates[currency] === undefined) {
+      throw new Error(`No exchange rate for ${currency}`);
+    }
+    return parseDecimal(rates[currency]);
+  };
+
+  const from = rateOf(fromCurrency);
+  const to = rateOf(toCurrency);
+
+  // amount / 10^fromDigits / fromRate * toRate * 10^toDigits
+  const numerator = BigInt(amount) * to.numerator * from.denominator * 10n ** BigInt(CURRENCIES[toCurrency]);
+  const denominator = to.denominator * from.numerator * 10n ** BigInt(CURRENCIES[fromCurrency]);
+  return divideHalfEven(numerator, denominator);
+}
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  isCurrency,
+  isMinorAmount,
+  parseMinorUnits,
+  divideHalfEven,
+  toMinorUnits,
+  percentOf,
+  proportionOf,
+  formatMoney,
+  convert
+};
@@ -0,0 +1,414 @@
+// Transactional outbox for pub/sub events
+//
+// Events are not published straight away: they are written to the service's
+// state store in the same transaction as the state change they announce, so
+// an event exists exactly when its change was committed. Records:
+//
+//   outbox-<entryId>        { id, topic, data, status, attempts, shard, createdAt,
+//                             nextAttemptAt, lastAttemptAt, lastError, sentAt }
+//   outbox-index-<shard>    [entryId, ...]   entries not sent yet
+//
+// The unsent index is spread over a few keys so concurrent writers rarely
+// collide on it; every write of the index is guarded by its ETag like the
+// rest of the transaction.
+//
+// A relay publishes the entries of a commit right after it, and a sweep
+// publishes whatever is still pending (the process died before publishing,
+// the broker was down), retrying with backoff. Entries are published with
+// their ID as CloudEvent ID, so retries of one entry carry the same ID.
+// Entries that keep failing are marked failed and wait for a replay
+// (see registerOutboxRoutes).
+
+const crypto = require('crypto');
+const { StateConcurrencyEnum } = require('@dapr/dapr');
+const {
+  ETagConflictError,
+  isETagMismatch,
+  getWithETag,
+  updateWithETag,
+  updateKeysWithETagInTransaction,
+  removeFromList
+} = require('./etag-state');
+
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+const INDEX_SHARDS = parseInt(process.env.OUTBOX_INDEX_SHARDS) || 4;
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+const RETRY_DELAY_MS = parseInt(process.env.OUTBOX_RETRY_DELAY_MS) || 1000;
+const MAX_RETRY_DELAY_MS = parseInt(process.env.OUTBOX_MAX_RETRY_DELAY_MS) || 5 * 60 * 1000;
+const RELAY_INTERVAL_MS = parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS) || 5000;
+
+// How long sent entries are kept for inspection
+const RETENTION_SECONDS = parseInt(process.env.OUTBOX_RETENTION_SECONDS) || 7 * 24 * 60 * 60;
+
+const COMMIT_ATTEMPTS = 5;
+
+class OutboxError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'OutboxError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function entryKey(entryId) {
+  return `outbox-${entryId}`;
+}
+
+function indexKey(shard) {
+  return `outbox-index-${shard}`;
+}
+
+// Wait before the next attempt of an entry, doubling with every attempt
+function retryDelay(attempts) {
+  return Math.min(RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// `events` are { topic, data } objects, or a function of the values being
+// saved that returns them
+function resolveEvents(events, values) {
+  return (typeof events === 'function' ? events(values) : events) || [];
+}
+
+function createOutbox(daprClient, { storeName, pubsubName = 'order-pubsub' }) {
+  // Events staged for a transaction. `operations` is meant as the
+  // `operations` argument of the etag-state helpers: on every attempt it
+  // writes fresh entries for the events next to `baseOperations` and adds
+  // them to an index shard. `commit` commits them without any other update.
+  // After the commit, `relay` publishes the entries of the attempt that made it.
+  function batch(events, baseOperations = []) {
+    let entries = [];
+
+    async function operations(values) {
+      entries = [];
+      const list = resolveEvents(events, values);
+      if (list.length === 0) {
+        return baseOperations;
+      }
+
+      const now = new Date().toISOString();
+      const shard = Math.floor(Math.random() * INDEX_SHARDS);
+      entries = list.map(({ topic, data }) => ({
+        id: crypto.randomUUID(),
+        topic,
+        data,
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        shard,
+        createdAt: now,
+        nextAttemptAt: now
+      }));
+
+      const { value: index, etag } = await getWithETag(daprClient, storeName, indexKey(shard));
+
+      return [
+        ...baseOperations,
+        ...entries.map(entry => ({
+          operation: 'upsert',
+          request: { key: entryKey(entry.id), value: entry }
+        })),
+        {
+          operation: 'upsert',
+          request: {
+            key: indexKey(shard),
+            value: [...(index || []), ...entries.map(entry => entry.id)],
+            etag,
+            options: {
+              concurrency: StateConcurrencyEnum.CONCURRENCY_FIRST_WRITE
+            }
+          }
+        }
+      ];
+    }
+
+    // The change is committed either way: entries that could not be
+    // published here are left to the sweep
+    async function relay() {
+      const committed = entries;
+      entries = [];
+      for (const entry of committed) {
+        try {
+          await deliver(entry.id);
+        } catch (error) {
+          console.error(`Error relaying outbox entry ${entry.id}:`, error);
+        }
+      }
+    }
+
+    // Commit the batch on its own, retrying when another writer changed the
+    // index shard
+    async function commit() {
+      for (let attempt = 1; attempt <= COMMIT_ATTEMPTS; attempt++) {
+        try {
+          await daprClient.state.transaction(storeName, await operations());
+          return;
+        } catch (error) {
+          if (!isETagMismatch(error)) {
+            throw error;
+          }
+        }
+      }
+
+      throw new ETagConflictError(storeName, 'outbox-index', COMMIT_ATTEMPTS);
+    }
+
+    return { operations, commit, relay };
+  }
+
+  // updateWithETag whose events are committed with the update. `events` gets
+  // the saved value; nothing is written when `mutate` leaves the value alone.
+  // `options.operations` are committed along with the update. With
+  // `relay: false` the events are published by calling the returned `relay`
+  // instead of right after the commit.
+  async function update(key, mutate, events, { operations = [], ...options } = {}) {
+    const { saved, values, attempts, relay } = await updateKeys([key], async current => {
+      const updated = await mutate(current[key]);
+      return updated === undefined ? undefined : { [key]: updated };
+    }, values => resolveEvents(events, values[key]), operations, options);
+    return { saved, value: values[key], attempts, relay };
+  }
+
+  // updateKeysWithETagInTransaction whose events are committed with the
+  // update. `events` gets the values by key, saved and read.
+  async function updateKeys(keys, mutate, events, operations = [], { relay = true } = {}) {
+    let current;
+    const staged = batch(updated => resolveEvents(events, { ...current, ...updated }), operations);
+
+    const result = await updateKeysWithETagInTransaction(daprClient, storeName, keys, values => {
+      current = values;
+      return mutate(values);
+    }, staged.operations);
+
+    if (result.saved && relay) {
+      await staged.relay();
+    }
+    return { ...result, relay: staged.relay };
+  }
+
+  // Commit transaction operations (e.g. plain saves and deletes) together
+  // with events
+  async function commit(operations, events) {
+    const staged = batch(events, operations);
+    await staged.commit();
+    await staged.relay();
+  }
+
+  // Save values the way state.save does, together with events
+  async function save(items, events) {
+    return commit(items.map(({ key, value }) => ({ operation: 'upsert', request: { key, value } })), events);
+  }
+
+  // Publish an event that does not go with a state change
+  async function publish(topic, data) {
+    return commit([], [{ topic, data }]);
+  }
+
+  async function getEntry(entryId) {
+    return daprClient.state.get(storeName, entryKey(entryId));
+  }
+
+  // Publish an entry once. The attempt is claimed first (pushing
+  // nextAttemptAt out by the retry delay), so the relay and the sweep never
+  // publish the same attempt twice. Returns the entry as it ends up.
+  async function deliver(entryId) {
+    const now = Date.now();
+    const { saved, value: entry } = await updateWithETag(daprClient, storeName, entryKey(entryId), current => {
+      if (!current || current.status !== OUTBOX_STATUS.PENDING || new Date(current.nextAttemptAt).getTime() > now) {
+        return undefined;
+      }
+      const attempts = current.attempts + 1;
+      return {
+        ...current,
+        attempts,
+        lastAttemptAt: new Date(now).toISOString(),
+        nextAttemptAt: new Date(now + retryDelay(attempts)).toISOString()
+      };
+    });
+
+    if (!saved) {
+      return entry;
+    }
+
+    let error;
+    try {
+      const result = await daprClient.pubsub.publish(pubsubName, entry.topic, entry.data, {
+        metadata: { 'cloudevent.id': entry.id }
+      });
+      error = result && result.error;
+    } catch (publishError) {
+      error = publishError;
+    }
+
+    if (!error) {
+      const { value: sent } = await updateWithETag(daprClient, storeName, entryKey(entryId), current => current && {
+        ...current,
+        status: OUTBOX_STATUS.SENT,
+        sentAt: new Date().toISOString(),
+        lastError: undefined
+      }, { metadata: { ttlInSeconds: String(RETENTION_SECONDS) } });
+      await removeFromList(daprClient, storeName, indexKey(entry.shard), entryId);
+      return sent;
+    }
+
+    const failed = entry.attempts >= MAX_ATTEMPTS;
+    console.error(`Publishing ${entry.topic} event ${entryId} failed (attempt ${entry.attempts}${failed ? ', giving up' : ''}):`, error.message);
+
+    const { value: updated } = await updateWithETag(daprClient, storeName, entryKey(entryId), current => current && {
+      ...current,
+      status: failed ? OUTBOX_STATUS.FAILED : current.status,
+      lastError: error.message
+    });
+    return updated;
+  }
+
+  // Entries not sent yet, oldest first. Index IDs whose entry is gone or was
+  // sent are dropped from the index on the way.
+  async function listUnsent() {
+    const entries = [];
+    for (let shard = 0; shard < INDEX_SHARDS; shard++) {
+      const ids = (await daprClient.state.get(storeName, indexKey(shard))) || [];
+      for (const id of ids) {
+        const entry = await getEntry(id);
+        if (!entry || entry.status === OUTBOX_STATUS.SENT) {
+          await removeFromList(daprClient, storeName, indexKey(shard), id);
+          continue;
+        }
+        entries.push(entry);
+      }
+    }
+    return entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // Publish pending entries whose next attempt is due
+  async function relayPending() {
+    const now = Date.now();
+    const due = (await listUnsent()).filter(entry =>
+      entry.status === OUTBOX_STATUS.PENDING && new Date(entry.nextAttemptAt).getTime() <= now
+    );
+
+    for (const entry of due) {
+      try {
+        await deliver(entry.id);
+      } catch (error) {
+        console.error(`Error relaying outbox entry ${entry.id}:`, error);
+      }
+    }
+    return due.length;
+  }
+
+  // Publish a pending or failed entry again right away, with a fresh round of
+  // attempts
+  async function replay(entryId) {
+    const { value: entry } = await updateWithETag(daprClient, storeName, entryKey(entryId), current => {
+      if (!current) {
+        throw new OutboxError('Outbox entry not found', 404);
+      }
+      if (current.status === OUTBOX_STATUS.SENT) {
+        throw new OutboxError('Outbox entry was already sent', 409, { sentAt: current.sentAt });
+      }
+      return {
+        ...current,
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        replayedAt: new Date().toISOString()
+      };
+    });
+
+    return deliver(entry.id);
+  }
+
+  let relayTimer;
+
+  function startRelay(intervalMs = RELAY_INTERVAL_MS) {
+    if (!relayTimer) {
+      relayTimer = setInterval(() => {
+        relayPending().catch(error => console.error('Error relaying outbox entries:', error));
+      }, intervalMs);
+      relayTimer.unref();
+    }
+  }
+
+  function stopRelay() {
+    clearInterval(relayTimer);
+    relayTimer = undefined;
+  }
+
+  return {
+    batch,
+    update,
+    updateKeys,
+    commit,
+    save,
+    publish,
+    getEntry,
+    listUnsent,
+    relayPending,
+    replay,
+    startRelay,
+    stopRelay
+  };
+}
+
+// Admin endpoints to inspect and replay the outbox of a service:
+//   GET  /admin/outbox?status=pending|failed   entries not sent yet
+//   GET  /admin/outbox/:id
+//   POST /admin/outbox/:id/replay              publish a pending or failed entry now
+function registerOutboxRoutes(app, outbox) {
+  app.get('/admin/outbox', async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && ![OUTBOX_STATUS.PENDING, OUTBOX_STATUS.FAILED].includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          validStatuses: [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.FAILED]
+        });
+      }
+
+      const entries = (await outbox.listUnsent()).filter(entry => !status || entry.status === status);
+      res.json({ entries, count: entries.length });
+    } catch (error) {
+      console.error('Error listing outbox entries:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.get('/admin/outbox/:id', async (req, res) => {
+    try {
+      const entry = await outbox.getEntry(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Outbox entry not found' });
+      }
+      res.json(entry);
+    } catch (error) {
+      console.error('Error fetching outbox entry:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.post('/admin/outbox/:id/replay', async (req, res) => {
+    try {
+      const entry = await outbox.replay(req.params.id);
+      console.log(`Outbox entry replayed: ${req.params.id} (${entry.status})`);
+      res.json(entry);
+    } catch (error) {
+      if (error instanceof OutboxError) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+      console.error('Error replaying outbox entry:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+}
+
+module.exports = {
+  OUTBOX_STATUS,
+  OutboxError,
+  createOutbox,
+  registerOutboxRoutes
+};
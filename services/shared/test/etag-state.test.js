@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  ETagConflictError,
+  updateWithETag,
+  updateKeysWithETagInTransaction,
+  addToList
+} = require('../etag-state');
+const { createMemoryDaprClient } = require('./memory-state');
+
+const STORE = 'test-store';
+
+// Run `count` updates at once; returns how many saved and how many gave up
+async function runConcurrently(count, update) {
+  const results = await Promise.allSettled(Array.from({ length: count }, (_, i) => update(i)));
+  const gaveUp = results.filter(result => result.status === 'rejected');
+  gaveUp.forEach(result => assert.ok(result.reason instanceof ETagConflictError, result.reason));
+  return { saved: results.length - gaveUp.length, gaveUp: gaveUp.length };
+}
+
+test('concurrent updates are never lost', async () => {
+  const daprClient = createMemoryDaprClient();
+
+  const { saved, gaveUp } = await runConcurrently(20, () =>
+    updateWithETag(daprClient, STORE, 'counter', current => (current || 0) + 1, { maxAttempts: 50, retryDelayMs: 1 })
+  );
+
+  assert.strictEqual(gaveUp, 0);
+  assert.strictEqual(await daprClient.state.get(STORE, 'counter'), saved);
+});
+
+test('updates that give up on conflicts leave no trace', async () => {
+  const daprClient = createMemoryDaprClient();
+
+  const { saved, gaveUp } = await runConcurrently(20, () =>
+    updateWithETag(daprClient, STORE, 'counter', current => (current || 0) + 1, { maxAttempts: 1 })
+  );
+
+  assert.ok(gaveUp > 0, 'expected single-attempt writers to conflict');
+  assert.strictEqual(await daprClient.state.get(STORE, 'counter'), saved);
+});
+
+test('updates that leave the value alone save nothing', async () => {
+  const daprClient = createMemoryDaprClient();
+  await daprClient.state.save(STORE, [{ key: 'value', value: 1 }]);
+
+  const result = await updateWithETag(daprClient, STORE, 'value', () => undefined);
+
+  assert.deepStrictEqual(result, { saved: false, value: 1, attempts: 1 });
+});
+
+test('keys updated in one transaction stay consistent', async () => {
+  const daprClient = createMemoryDaprClient();
+  await daprClient.state.save(STORE, [{ key: 'from', value: 100 }, { key: 'to', value: 0 }]);
+
+  const { gaveUp } = await runConcurrently(10, () =>
+    updateKeysWithETagInTransaction(daprClient, STORE, ['from', 'to'], current => ({
+      from: current.from - 10,
+      to: current.to + 10
+    }), [], { maxAttempts: 50, retryDelayMs: 1 })
+  );
+
+  assert.strictEqual(gaveUp, 0);
+  assert.strictEqual(await daprClient.state.get(STORE, 'from'), 0);
+  assert.strictEqual(await daprClient.state.get(STORE, 'to'), 100);
+});
+
+test('concurrent list additions keep every id', async () => {
+  const daprClient = createMemoryDaprClient();
+
+  await Promise.all(Array.from({ length: 5 }, (_, i) => addToList(daprClient, STORE, 'list', `id-${i}`)));
+
+  const list = await daprClient.state.get(STORE, 'list');
+  assert.strictEqual(list.length, 5);
+});
@@ -0,0 +1,81 @@
+// In-memory stand-in for the Dapr client's state API, with ETags
+//
+// Every call yields to the event loop before it reads or writes, so
+// concurrent read-modify-write paths interleave the way they do against a
+// real state store. Saves and transactions with a stale ETag are rejected
+// like Dapr rejects them; a first-write without an ETag only creates a key.
+
+const { StateConcurrencyEnum } = require('@dapr/dapr');
+
+function createMemoryDaprClient() {
+  const items = new Map();
+  let version = 0;
+
+  const clone = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  function etagMatches({ key, etag, options }) {
+    if (etag === undefined) {
+      return !(options && options.concurrency === StateConcurrencyEnum.CONCURRENCY_FIRST_WRITE && items.has(key));
+    }
+    return items.has(key) && items.get(key).etag === etag;
+  }
+
+  function write(key, value) {
+    items.set(key, { value: clone(value), etag: String(++version) });
+  }
+
+  return {
+    items,
+    state: {
+      async get(storeName, key) {
+        await tick();
+        return items.has(key) ? clone(items.get(key).value) : undefined;
+      },
+
+      async getBulk(storeName, keys) {
+        await tick();
+        return keys.map(key => ({
+          key,
+          data: items.has(key) ? clone(items.get(key).value) : undefined,
+          etag: items.has(key) ? items.get(key).etag : undefined
+        }));
+      },
+
+      async save(storeName, entries) {
+        await tick();
+        if (!entries.every(etagMatches)) {
+          return { error: new Error(JSON.stringify({ status: 409, error_msg: 'etag mismatch' })) };
+        }
+        entries.forEach(entry => write(entry.key, entry.value));
+        return {};
+      },
+
+      async delete(storeName, key) {
+        await tick();
+        items.delete(key);
+      },
+
+      async transaction(storeName, operations) {
+        await tick();
+        if (!operations.every(({ request }) => etagMatches(request))) {
+          throw new Error(JSON.stringify({ status: 409, error_msg: 'etag mismatch' }));
+        }
+        for (const { operation, request } of operations) {
+          if (operation === 'delete') {
+            items.delete(request.key);
+          } else {
+            write(request.key, request.value);
+          }
+        }
+      }
+    },
+    pubsub: {
+      async publish() {
+        return {};
+      }
+    }
+  };
+}
+
+module.exports = { createMemoryDaprClient };
@@ -1,6 +1,9 @@
 const express = require('express');
 const { DaprClient, DaprServer } = require('@dapr/dapr');
 const { v4: uuidv4 } = require('uuid');
+const { createOutbox, registerOutboxRoutes } = require('../shared/outbox');
+const { eventConsumer } = require('../shared/event-consumer');
+const { createDeadLetters, registerDeadLetterRoutes } = require('../shared/dead-letters');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -22,6 +25,15 @@ app.use(express.json());
 // State store names
 const USER_STORE = 'user-store';
 
+// Events go through the outbox, committed with the state they announce
+const outbox = createOutbox(daprClient, { storeName: USER_STORE });
+
+// Event subscriptions skip redelivered events they already handled
+const consumeEvent = eventConsumer(daprClient, { storeName: USER_STORE });
+
+// Events their handlers keep failing on are dead-lettered and kept for an admin
+const deadLetters = createDeadLetters(daprClient, { storeName: USER_STORE, service: 'user-service', appPort: port });
+
 // Users database simulation
 const users = new Map();
 
@@ -46,21 +58,20 @@ app.post('/users', async (req, res) => {
       status: 'active'
     };
 
-    // Save to Dapr state store
-    await daprClient.state.save(USER_STORE, [
+    // Save to Dapr state store with the user created event
+    await outbox.save([
       {
         key: userId,
         value: user
       }
+    ], [
+      {
+        topic: 'user-created',
+        data: { userId, user }
+      }
     ]);
 
     console.log(`User created: ${userId}`);
-    
-    // Publish user created event
-    await daprClient.pubsub.publish('order-pubsub', 'user-created', {
-      userId,
-      user
-    });
 
     res.status(201).json(user);
   } catch (error) {
@@ -136,22 +147,24 @@ app.put('/users/:id', async (req, res) => {
       updatedAt: new Date().toISOString()
     };
 
-    // Save to Dapr state store
-    await daprClient.state.save(USER_STORE, [
+    // Save to Dapr state store with the user updated event
+    await outbox.save([
       {
         key: id,
         value: updatedUser
       }
+    ], [
+      {
+        topic: 'user-updated',
+        data: {
+          userId: id,
+          user: updatedUser,
+          changes: updates
+        }
+      }
     ]);
 
     console.log(`User updated: ${id}`);
-    
-    // Publish user updated event
-    await daprClient.pubsub.publish('order-pubsub', 'user-updated', {
-      userId: id,
-      user: updatedUser,
-      changes: updates
-    });
 
     res.json(updatedUser);
   } catch (error) {
@@ -172,16 +185,17 @@ app.delete('/users/:id', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Delete from Dapr state store
-    await daprClient.state.delete(USER_STORE, id);
+    // Delete from Dapr state store with the user deleted event
+    await outbox.commit([
+      { operation: 'delete', request: { key: id } }
+    ], [
+      {
+        topic: 'user-deleted',
+        data: { userId: id, user: existingUser }
+      }
+    ]);
 
     console.log(`User deleted: ${id}`);
-    
-    // Publish user deleted event
-    await daprClient.pubsub.publish('order-pubsub', 'user-deleted', {
-      userId: id,
-      user: existingUser
-    });
 
     res.status(204).send();
   } catch (error) {
@@ -190,6 +204,12 @@ app.delete('/users/:id', async (req, res) => {
   }
 });
 
+// Inspect and replay events stuck in the outbox (admin)
+registerOutboxRoutes(app, outbox);
+
+// Keep dead-lettered events; inspect, replay or discard them (admin)
+registerDeadLetterRoutes(app, deadLetters, consumeEvent);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -201,17 +221,17 @@ app.get('/health', (req, res) => {
 
 // Dapr pub/sub subscription configuration
 app.get('/dapr/subscribe', (req, res) => {
-  res.json([
+  res.json(deadLetters.subscriptions([
     {
       pubsubname: 'order-pubsub',
       topic: 'order-created',
       route: '/events/order-created'
     }
-  ]);
+  ]));
 });
 
 // Handle order created events
-app.post('/events/order-created', async (req, res) => {
+app.post('/events/order-created', consumeEvent, async (req, res) => {
   try {
     const { data } = req.body;
     console.log('Order created event received:', data);
@@ -222,7 +242,7 @@ app.post('/events/order-created', async (req, res) => {
     res.status(200).send();
   } catch (error) {
     console.error('Error handling order created event:', error);
-    res.status(500).json({ error: 'Event handling failed' });
+    res.status(500).json({ error: 'Event handling failed', message: error.message });
   }
 });
 
@@ -230,11 +250,15 @@ app.post('/events/order-created', async (req, res) => {
 const server = app.listen(port, () => {
   console.log(`User Service running on port ${port}`);
   console.log(`Dapr sidecar expected on port ${daprPort}`);
+
+  // Publish outbox events left behind by a crash or a broker outage
+  outbox.startRelay();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  outbox.stopRelay();
   server.close(() => {
     console.log('User Service stopped');
     process.exit(0);